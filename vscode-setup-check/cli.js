@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+
+/**
+ * VS Code Mobile Development Setup Verification Script
+ * 
+ * PURPOSE:
+ * This script verifies your development environment is properly configured for
+ * mobile development with VS Code, P5.js, Git, and GitHub.
+ * 
+ * USAGE:
+ * Run with npx (no installation required):
+ *   npx @digitalfutures/vscode-setup-check
+ * 
+ * Or with help flag:
+ *   npx @digitalfutures/vscode-setup-check --help
+ * 
+ * This is the command line entry point, shared with guide/verifySetup.js
+ * (which runs it as `node guide/verifySetup.js`). The checks themselves
+ * live in lib/ and are available programmatically from index.js.
+ * 
+ * WHAT IT CHECKS:
+ * - Node.js and npm installation
+ * - VS Code installation and PATH configuration
+ * - Required VS Code extensions (5 total)
+ * - Live Server settings and port
+ * - Git installation and user configuration
+ * - Local repository structure and status
+ * - The GitHub Pages deploy workflow
+ * - Links and assets in the repository's HTML files
+ * - p5.js sketches (p5 version, setup/draw, libraries)
+ * - Git authentication (credential helper, SSH keys)
+ * 
+ * CRITICALITY LEVELS:
+ * - CRITICAL: Must be fixed for development to work
+ * - IMPORTANT: Recommended for full functionality
+ * - OPTIONAL: Nice to have, but not required
+ * 
+ * AUTHOR: Digital Futures, OCAD University
+ * DATE: October 2025
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { colors, symbols, print } = require('./lib/output');
+const { EXIT_CODES, DEFAULT_COMMAND, createRun, getExitCode, buildReport } = require('./lib/run');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { createEnv } = require('./lib/env');
+const { describeContext } = require('./lib/context');
+const { resolveGuideBase, resolveGuidePage } = require('./lib/guides');
+const { checkNode, checkVSCode, checkExtensions, checkSettings, checkLiveServer, checkGit, checkLocalRepo, checkPagesWorkflow, checkLinks, checkP5Projects, checkGitAuth } = require('./lib/checks');
+const { applyFixes } = require('./lib/fix');
+const { printManualChecklist, printSummary } = require('./lib/summary');
+const { writeHtmlReport } = require('./lib/htmlReport');
+const { renderMarkdownReport } = require('./lib/markdownReport');
+const { loadResults, aggregateResults, formatAggregateTable, renderAggregateHtml } = require('./lib/aggregate');
+const { loadHistory, createHistoryEntry, saveRun, findPreviousRun, diffRuns, formatHistory } = require('./lib/history');
+const { planInit, applyInit, formatDiff } = require('./lib/init');
+
+// Values accepted by --format (--json is short for --format json)
+const FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Help text for the command the user ran
+ */
+function getHelpText(command, guideHome) {
+  const usage = (args, description) => `  ${`${command} ${args}`.padEnd(command.length + 22)} ${description}`;
+  
+  return `
+VS Code Mobile Development Setup Verification Script
+====================================================
+
+USAGE:
+${usage('', 'Run verification checks')}
+${usage('--help', 'Show this help message')}
+${usage('--json', 'Print results as a JSON document')}
+${usage('--format markdown', 'Print results as Markdown for issues and chat')}
+${usage('--strict', 'Treat warnings as failures')}
+${usage('--config <file>', 'Use a course configuration file')}
+${usage('--fix', 'Offer to fix problems automatically')}
+${usage('--fix --yes', 'Fix without asking for confirmation')}
+${usage('--guide-base <url>', 'Link to the guide pages at this URL or path')}
+${usage('--report <file>', 'Also save the results as an HTML report')}
+${usage('--student <id>', 'Save your student ID in the results')}
+${usage('--vscode-path <path>', 'Check this VS Code (or Insiders, VSCodium) install')}
+${usage('aggregate <folder>', 'Class dashboard from saved --json results')}
+${usage('history', 'List your past runs (the latest 20)')}
+${usage('history --limit <n>', 'List the latest n runs')}
+${usage('init', 'Add course recommendations and settings to this repo')}
+${usage('init --dry-run', 'Show what init would change')}
+
+WHAT THIS SCRIPT DOES:
+  Automatically verifies your development environment setup including:
+  - Software installation (Node.js, VS Code, Git)
+  - VS Code extensions (GitLens, p5js, Live Server, etc.): installed
+    version, course minimum versions, whether they are disabled, and
+    conflicting or deprecated extensions that should be uninstalled
+  - VS Code settings (files.autoSave, git.enableSmartCommit, git.autofetch,
+    the default terminal profile, Workspace Trust) in the user settings
+    of the active profile and the workspace
+  - Live Server: liveServer.settings (port, root, host) from the workspace
+    and user settings, and whether the port is free or held by VS Code
+  - Git configuration (username, email)
+  - Git authentication (credential helper, SSH keys) - read locally,
+    nothing is sent to GitHub
+  - Repository status and structure (if run from a repo): unfinished
+    merges and rebases, conflicts, detached HEAD, the Pages branch,
+    commits to push or pull, files over 100 MB and .gitignore entries
+  - The GitHub Pages URL of the repository and of each sketch folder
+  - The Pages workflow in .github/workflows: push trigger for your
+    branch, permissions, upload and deploy steps, and an artifact path
+    that includes your sketches (problems are listed by line)
+  - Links and assets in the repository's HTML files: missing files, and
+    names whose case only matches on macOS and Windows (GitHub Pages is
+    case-sensitive), and root-relative paths (/sketch.js) that 404 on a
+    Pages project site
+  - p5.js sketches: the p5 version against the course minimum, setup()
+    and draw() in the sketch files, and missing files under libraries/
+
+OUTPUT:
+  ✓ Green checkmarks = Passed
+  ✗ Red X marks = Failed (with fix instructions)
+  ⚠ Yellow warnings = Attention needed
+
+  With --json, the coloured output is replaced by a single JSON document
+  listing every check (id, status, criticality, details, fix steps, guide
+  link) and the summary counts, for collecting results with scripts.
+
+  With --format markdown, the results are printed as Markdown instead: a
+  collapsible table of every check and the fix steps for each problem,
+  ready to paste into a GitHub issue or Discord when asking for help.
+
+  With --report report.html, the results are also saved as a standalone
+  web page (grouped by section, with copyable fix commands and guide
+  links) that can be opened in a browser or sent to an instructor.
+
+CRITICALITY LEVELS:
+  🔴 CRITICAL   - Must be fixed for development to work
+  🟡 IMPORTANT  - Recommended for full functionality
+  🟢 OPTIONAL   - Nice to have, but not required
+
+COURSE CONFIGURATION:
+  Required and optional extensions, allowed email domains, guide links,
+  the minimum p5.js version, the workspace settings init writes and the
+  manual checklist are read from .ocadu-setup.json (looked up from the
+  current directory upwards) or from the file given with --config.
+  Sections left out fall back to the package's default-config.json.
+
+EXIT CODES:
+  0  No CRITICAL or IMPORTANT failures (OPTIONAL items may have failed)
+  1  At least one CRITICAL failure
+  2  IMPORTANT failures, but nothing CRITICAL
+  3  With --strict only: OPTIONAL failures or warnings remain
+  4  The configuration file is missing or invalid, --format is unknown,
+     the aggregate folder cannot be read, or init cannot merge a file
+  5  The checker itself failed (e.g. the dashboard could not be written)
+
+  With --strict, warnings (e.g. "Not using OCADU email address" or
+  uncommitted changes) count as failures at their criticality level.
+
+AUTOMATIC FIXES:
+  With --fix, problems that have a known command (missing, outdated,
+  conflicting or deprecated extensions, Git user.name and user.email, the
+  credential helper, SSH file permissions) are fixed after the checks run. You are asked
+  before each command (--yes skips asking) and for your name and email.
+  Each fixed check is run again to confirm the fix worked.
+
+CLASS DASHBOARD (for instructors):
+  Students save their results with an identifier, e.g.
+    ${command} --json --student jsmith > jsmith.json
+  and hand in the file. Put the files in one folder and run
+    ${command} aggregate results/
+  to see each student's completion rate, who still has CRITICAL items and
+  which checks fail most often. The dashboard is also saved as
+  class-dashboard.html (choose another file with --report <file>).
+
+FINDING VS CODE:
+  VS Code, VS Code Insiders, VSCodium, code-server and the VS Code Server
+  (~/.vscode-server) are looked for on PATH and in the usual install
+  folders, including Snap, Flatpak and Scoop. Every editor found is listed
+  with its version. Extensions are checked with the editor whose terminal
+  you run the script in, or else the first one found. To choose one, give
+  the path to its command line launcher with --vscode-path or set the
+  OCADU_VSCODE_PATH environment variable.
+
+REMOTE CONNECTIONS:
+  The header shows where the script runs: on this computer, in WSL, over
+  SSH, in a dev container or Codespace, or through a VS Code tunnel. In
+  WSL, SSH and containers, VS Code itself runs on your own computer, so
+  the extensions installed on the remote side are checked and the fix
+  steps say where to install them. Through a tunnel, the desktop install
+  is checked rather than the tunnel's own "code" command.
+
+SETTING UP A REPOSITORY:
+  Run "${command} init" in a course repository to write
+  .vscode/extensions.json (VS Code offers to install the required
+  extensions when the folder is opened, and advises against conflicting
+  ones), .vscode/settings.json with the course's Live Server and
+  formatting settings, and a .gitignore for p5 sketches. Existing files
+  are merged: what is already there is kept and only missing entries are
+  added. --dry-run shows the changes as a diff without writing anything.
+
+RUN HISTORY:
+  Every run is saved in your user data folder (the latest 50 are kept).
+  The summary lists what changed since the last run in the same folder:
+  checks that are newly fixed or newly broken, and the completion trend.
+  Run "${command} history" to list the latest 20 runs, newest first,
+  or add --limit <n> to list n of them.
+
+MANUAL CHECKLIST:
+  Some steps (signing in to GitHub, enabling Copilot, creating a tunnel)
+  cannot be checked automatically. When run in a terminal, the script
+  asks about each one (y, n, or Enter to skip) and remembers your answers,
+  so confirmed items show ☑ on later runs and in other projects. Answers
+  are saved in your user data folder (OCADU_SETUP_DATA_DIR overrides it).
+
+GUIDE LINKS:
+  Fix instructions link to the guide pages. Inside a repository that
+  contains the guide (guide/index.html), links point to the local pages
+  under /guide for Live Server; elsewhere they point to the published
+  guide. --guide-base overrides both.
+
+TROUBLESHOOTING:
+  Each failed check includes:
+  - Why it's important (criticality level)
+  - How to fix it (automated script or manual steps)
+  - Links to relevant documentation
+
+For detailed setup instructions, see: 
+${guideHome}
+`;
+}
+
+/**
+ * Parse the command line options
+ */
+function parseArgs(args) {
+  return {
+    help: args.includes('--help') || args.includes('-h'),
+    format: getOptionValue(args, '--format') || (args.includes('--json') ? 'json' : 'text'),
+    strict: args.includes('--strict'),
+    config: getOptionValue(args, '--config'),
+    fix: args.includes('--fix'),
+    yes: args.includes('--yes') || args.includes('-y'),
+    guideBase: getOptionValue(args, '--guide-base'),
+    report: getOptionValue(args, '--report'),
+    student: getOptionValue(args, '--student'),
+    vscodePath: getOptionValue(args, '--vscode-path'),
+  };
+}
+
+/**
+ * Get the value of an option given as `--name value` or `--name=value`
+ */
+function getOptionValue(args, name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) {
+      return args[i + 1] || null;
+    }
+    if (args[i].startsWith(`${name}=`)) {
+      return args[i].slice(name.length + 1);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Report configuration errors and stop
+ */
+function exitWithConfigErrors(error) {
+  console.error(`${colors.red}${symbols.failure} Invalid configuration: ${error.configPath}${colors.reset}`);
+  error.errors.forEach((message) => {
+    console.error(`  - ${message}`);
+  });
+  console.error('\nSee default-config.json in the package for the expected format.');
+  process.exit(EXIT_CODES.config);
+}
+
+/**
+ * Print the help text, linking to the guide this run would use
+ */
+function printHelp(command, cliOptions) {
+  let guideHome;
+  try {
+    const env = createEnv();
+    const config = loadConfig({ cwd: env.cwd, configPath: cliOptions.config });
+    guideHome = resolveGuidePage(resolveGuideBase(env, config, cliOptions.guideBase), config.guides.home);
+  } catch (error) {
+    // An invalid course configuration is reported when the checks run
+    guideHome = loadConfig({ config: {} }).guideBase;
+  }
+  
+  console.log(getHelpText(command, guideHome));
+}
+
+/**
+ * The aggregate subcommand: summarise a folder of saved results
+ */
+function aggregateCommand(args) {
+  const dir = args.find((arg, index) => !arg.startsWith('-') && args[index - 1] !== '--report');
+  const reportPath = path.resolve(getOptionValue(args, '--report') || 'class-dashboard.html');
+  
+  if (!dir) {
+    console.error(`${colors.red}${symbols.failure} Give the folder of results to aggregate, e.g. aggregate results/${colors.reset}`);
+    process.exit(EXIT_CODES.config);
+  }
+  
+  let loaded;
+  try {
+    loaded = loadResults(dir);
+  } catch (error) {
+    console.error(`${colors.red}${symbols.failure} Could not read ${dir}: ${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.config);
+  }
+  
+  loaded.errors.forEach(({ file, message }) => {
+    console.error(`${colors.yellow}${symbols.warning} Skipped ${file}: ${message}${colors.reset}`);
+  });
+  
+  const aggregate = aggregateResults(loaded.entries);
+  console.log(formatAggregateTable(aggregate));
+  
+  fs.writeFileSync(reportPath, renderAggregateHtml(aggregate));
+  console.log(`\n${colors.cyan}📄 Dashboard saved to ${reportPath}${colors.reset}`);
+}
+
+/**
+ * The history subcommand: list past runs
+ */
+function historyCommand(args) {
+  const limit = parseInt(getOptionValue(args, '--limit'), 10) || undefined;
+  console.log(formatHistory(loadHistory(createEnv()), { limit }));
+}
+
+/**
+ * The init subcommand: write the workspace recommendations, settings and
+ * .gitignore into the repository at cwd (--dry-run shows the diff instead)
+ */
+function initCommand(args) {
+  const env = createEnv();
+  const dryRun = args.includes('--dry-run');
+  
+  let config;
+  try {
+    config = loadConfig({ cwd: env.cwd, configPath: getOptionValue(args, '--config') });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      exitWithConfigErrors(error);
+    }
+    throw error;
+  }
+  
+  const plan = planInit(env, config);
+  const written = dryRun ? [] : applyInit(env, plan);
+  
+  for (const entry of plan) {
+    if (entry.error) {
+      console.error(`${colors.red}${symbols.failure} ${entry.file} was not changed: ${entry.error}${colors.reset}`);
+    } else if (entry.after === entry.before) {
+      console.log(`${colors.green}${symbols.success} ${entry.file} is up to date${colors.reset}`);
+    } else if (dryRun) {
+      console.log(`${colors.cyan}${entry.before === null ? 'Would create' : 'Would update'} ${entry.file}${colors.reset}`);
+      const diff = formatDiff(entry).split('\n').map((line) => {
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+          return `${colors.green}${line}${colors.reset}`;
+        }
+        return line.startsWith('-') && !line.startsWith('---') ? `${colors.red}${line}${colors.reset}` : line;
+      });
+      console.log(`${diff.join('\n')}\n`);
+    } else if (written.includes(entry)) {
+      console.log(`${colors.green}${symbols.success} ${entry.before === null ? 'Created' : 'Updated'} ${entry.file} (added ${entry.added.join(', ')})${colors.reset}`);
+    }
+  }
+  
+  if (dryRun) {
+    console.log('Dry run: nothing was written. Run without --dry-run to apply these changes.');
+  } else if (written.length > 0) {
+    console.log(`\nCommit the changes so everyone who clones the repository gets them:\n  git add ${written.map((entry) => entry.file).join(' ')}`);
+  }
+  
+  if (plan.some((entry) => entry.error)) {
+    console.error('\nFix the file(s) above (comments and trailing commas are fine) and run init again.');
+    process.exit(EXIT_CODES.config);
+  }
+}
+
+/**
+ * Main execution
+ * entry.command is how the user ran the checker (shown in help and hints)
+ */
+async function main(entry = {}) {
+  const command = entry.command || DEFAULT_COMMAND;
+  const args = process.argv.slice(2);
+  const cliOptions = parseArgs(args);
+  
+  if (args[0] === 'aggregate' && !cliOptions.help) {
+    aggregateCommand(args.slice(1));
+    return;
+  }
+  
+  if (args[0] === 'init' && !cliOptions.help) {
+    initCommand(args.slice(1));
+    return;
+  }
+  
+  if (args[0] === 'history' && !cliOptions.help) {
+    historyCommand(args.slice(1));
+    return;
+  }
+  
+  if (cliOptions.help) {
+    printHelp(command, cliOptions);
+    return;
+  }
+  
+  if (!FORMATS.includes(cliOptions.format)) {
+    console.error(`${colors.red}${symbols.failure} Unknown format: ${cliOptions.format} (expected ${FORMATS.join(', ')})${colors.reset}`);
+    process.exit(EXIT_CODES.config);
+  }
+  
+  let run;
+  try {
+    run = createRun({
+      configPath: cliOptions.config,
+      strict: cliOptions.strict,
+      fix: cliOptions.fix,
+      silent: cliOptions.format !== 'text',
+      guideBase: cliOptions.guideBase,
+      student: cliOptions.student,
+      vscodePath: cliOptions.vscodePath,
+      command,
+    });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      exitWithConfigErrors(error);
+    }
+    throw error;
+  }
+  
+  if (cliOptions.format === 'text') {
+    console.clear();
+  }
+  
+  print(run, '╔════════════════════════════════════════════════════════════╗', 'cyan');
+  print(run, '║   VS Code Mobile Development Setup Verification Script    ║', 'cyan');
+  print(run, '╚════════════════════════════════════════════════════════════╝', 'cyan');
+  print(run, `Running in: ${describeContext(run.context)}`, 'cyan');
+  
+  checkNode(run);
+  checkVSCode(run);
+  checkExtensions(run);
+  checkSettings(run);
+  checkLiveServer(run);
+  checkGit(run);
+  checkLocalRepo(run);
+  checkPagesWorkflow(run);
+  checkLinks(run);
+  checkP5Projects(run);
+  checkGitAuth(run);
+  
+  if (cliOptions.fix) {
+    await applyFixes(run, { yes: cliOptions.yes });
+  }
+  
+  // Only ask about the manual checklist when someone is at the terminal
+  await printManualChecklist(run, {
+    interactive: cliOptions.format === 'text' && Boolean(process.stdin.isTTY && process.stdout.isTTY),
+  });
+  
+  const previousRun = findPreviousRun(loadHistory(run.env), run.env.cwd);
+  if (previousRun) {
+    run.changes = diffRuns(previousRun, createHistoryEntry(run));
+  }
+  
+  printSummary(run);
+  
+  try {
+    saveRun(run);
+  } catch (error) {
+    print(run, `${symbols.warning} Could not save this run to the history: ${error.message}`, 'yellow');
+  }
+  
+  if (cliOptions.report) {
+    try {
+      const reportPath = writeHtmlReport(run, cliOptions.report);
+      print(run, `📄 Report saved to ${reportPath}`, 'cyan');
+    } catch (error) {
+      console.error(`${colors.red}${symbols.failure} Could not save report: ${error.message}${colors.reset}`);
+    }
+  }
+  
+  if (cliOptions.format === 'json') {
+    console.log(JSON.stringify(buildReport(run), null, 2));
+  } else if (cliOptions.format === 'markdown') {
+    console.log(renderMarkdownReport(buildReport(run)));
+  }
+  
+  process.exitCode = getExitCode(run);
+}
+
+module.exports = {
+  main,
+};
+
+// Run the script
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = EXIT_CODES.error;
+  });
+}
@@ -0,0 +1,284 @@
+/**
+ * Class dashboard (the `aggregate` subcommand)
+ * 
+ * Reads a folder of per-student results saved with
+ * `--json --student <id> > <id>.json` and summarises the cohort: each
+ * student's completion rate, who still has CRITICAL items and which checks
+ * fail most often.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { colors } = require('./output');
+const { escapeHtml, renderPage } = require('./htmlReport');
+
+// The tool name written by buildReport, used to recognise result files
+const REPORT_TOOL = 'ocadu-vscode-setup';
+
+/**
+ * Whether a check counts as failed in its report (warnings do in --strict,
+ * as in printResult)
+ */
+function isFailure(check, report) {
+  return check.status === 'failure' || (report.strict && check.status === 'warning');
+}
+
+/**
+ * Decode a results file
+ * Windows PowerShell 5 writes redirected output (`> results.json`) as
+ * UTF-16 with a byte order mark.
+ */
+function readText(content) {
+  let text = content;
+  if (Buffer.isBuffer(content)) {
+    text = content[0] === 0xff && content[1] === 0xfe ? content.toString('utf16le') : content.toString('utf8');
+  }
+  return String(text).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Read every .json file in a folder
+ * Returns { entries: [{ file, student, report }], errors: [{ file, message }] }
+ * The student is the report's student field, or the file name without .json.
+ * Throws if the folder cannot be read.
+ */
+function loadResults(dir, fsys = fs) {
+  const entries = [];
+  const errors = [];
+  
+  const files = fsys.readdirSync(dir).filter((name) => name.toLowerCase().endsWith('.json')).sort();
+  
+  for (const file of files) {
+    let report;
+    try {
+      report = JSON.parse(readText(fsys.readFileSync(path.join(dir, file))));
+    } catch (error) {
+      errors.push({ file, message: `not valid JSON (${error.message})` });
+      continue;
+    }
+    
+    if (!report || report.tool !== REPORT_TOOL || !Array.isArray(report.checks) || !report.summary) {
+      errors.push({ file, message: 'not a results file (save one with --json)' });
+      continue;
+    }
+    
+    entries.push({ file, student: report.student || file.replace(/\.json$/i, ''), report });
+  }
+  
+  return { entries, errors };
+}
+
+/**
+ * Summarise loaded results
+ * A student with several files is counted once, using their latest run.
+ * 
+ * Returns:
+ * - students: [{ student, file, generatedAt, platform, passRate, passed,
+ *   failed, warnings, critical: [messages], important: [messages] }],
+ *   sorted by student
+ * - checks: [{ id, section, message, criticality, failures, warnings,
+ *   students }], failing checks sorted by how many students they affect
+ * - critical: the students with at least one CRITICAL item
+ */
+function aggregateResults(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    const current = latest.get(entry.student);
+    if (!current || String(entry.report.generatedAt) > String(current.report.generatedAt)) {
+      latest.set(entry.student, entry);
+    }
+  }
+  
+  const students = [];
+  const checks = new Map();
+  
+  for (const { student, file, report } of latest.values()) {
+    const row = {
+      student,
+      file,
+      generatedAt: report.generatedAt || null,
+      platform: report.platform || null,
+      passRate: report.summary.passRate,
+      passed: report.summary.passed,
+      failed: report.summary.failed,
+      warnings: report.summary.warnings,
+      critical: [],
+      important: [],
+    };
+    
+    for (const check of report.checks) {
+      if (check.status !== 'failure' && check.status !== 'warning') {
+        continue;
+      }
+      
+      const id = check.id || check.message;
+      if (!checks.has(id)) {
+        checks.set(id, {
+          id,
+          section: (check.section || '').replace(/^Checking /, ''),
+          message: check.message,
+          criticality: check.criticality,
+          failures: 0,
+          warnings: 0,
+          students: [],
+        });
+      }
+      const summary = checks.get(id);
+      summary[check.status === 'failure' ? 'failures' : 'warnings']++;
+      summary.students.push(student);
+      
+      if (isFailure(check, report) && check.criticality === 'CRITICAL') {
+        row.critical.push(check.message);
+      } else if (isFailure(check, report) && check.criticality === 'IMPORTANT') {
+        row.important.push(check.message);
+      }
+    }
+    
+    students.push(row);
+  }
+  
+  students.sort((a, b) => a.student.localeCompare(b.student));
+  
+  return {
+    students,
+    checks: [...checks.values()].sort((a, b) => b.students.length - a.students.length || b.failures - a.failures || a.id.localeCompare(b.id)),
+    critical: students.filter((row) => row.critical.length > 0),
+  };
+}
+
+/**
+ * Average completion rate across students
+ */
+function averagePassRate(aggregate) {
+  if (aggregate.students.length === 0) {
+    return 0;
+  }
+  return Math.round(aggregate.students.reduce((total, row) => total + row.passRate, 0) / aggregate.students.length);
+}
+
+/**
+ * Format the dashboard for the terminal
+ */
+function formatAggregateTable(aggregate, options = {}) {
+  const limit = options.limit || 10;
+  const width = Math.max(7, ...aggregate.students.map((row) => row.student.length));
+  const rateColor = (row) => (row.critical.length > 0 ? colors.red : row.important.length > 0 ? colors.yellow : colors.green);
+  
+  const lines = [
+    `${colors.bright}Class dashboard: ${aggregate.students.length} students, ${averagePassRate(aggregate)}% average completion${colors.reset}`,
+    '',
+    `${'Student'.padEnd(width)}  Complete  Critical  Important  Warnings  Last run`,
+    `${'-'.repeat(width)}  --------  --------  ---------  --------  ----------`,
+  ];
+  
+  aggregate.students.forEach((row) => {
+    lines.push([
+      row.student.padEnd(width),
+      `${rateColor(row)}${`${row.passRate}%`.padStart(8)}${colors.reset}`,
+      String(row.critical.length).padStart(8),
+      String(row.important.length).padStart(9),
+      String(row.warnings).padStart(8),
+      row.generatedAt ? row.generatedAt.slice(0, 10) : '',
+    ].join('  '));
+  });
+  
+  lines.push('', `${colors.bright}Most common problems:${colors.reset}`);
+  if (aggregate.checks.length === 0) {
+    lines.push(`  ${colors.green}None - every check passed for every student${colors.reset}`);
+  }
+  aggregate.checks.slice(0, limit).forEach((check) => {
+    const color = check.failures > 0 ? colors.red : colors.yellow;
+    lines.push(`  ${String(check.students.length).padStart(3)} × ${color}${check.message}${colors.reset} (${check.criticality || 'warning'}, ${check.id})`);
+  });
+  if (aggregate.checks.length > limit) {
+    lines.push(`  ... and ${aggregate.checks.length - limit} more`);
+  }
+  
+  lines.push('', `${colors.bright}Students with CRITICAL items:${colors.reset}`);
+  if (aggregate.critical.length === 0) {
+    lines.push(`  ${colors.green}None${colors.reset}`);
+  }
+  aggregate.critical.forEach((row) => {
+    lines.push(`  ${colors.red}🔴 ${row.student}${colors.reset}: ${row.critical.join('; ')}`);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Render the dashboard as a standalone HTML page
+ */
+function renderAggregateHtml(aggregate) {
+  const studentRows = aggregate.students.map((row) => `
+            <tr>
+                <td>${escapeHtml(row.student)}</td>
+                <td>${row.passRate}%</td>
+                <td>${row.critical.length > 0 ? `🔴 ${row.critical.map(escapeHtml).join('<br>')}` : ''}</td>
+                <td>${row.important.length > 0 ? `🟡 ${row.important.map(escapeHtml).join('<br>')}` : ''}</td>
+                <td>${row.warnings}</td>
+                <td>${escapeHtml(row.platform || '')}</td>
+                <td>${escapeHtml(row.generatedAt ? row.generatedAt.slice(0, 10) : '')}</td>
+            </tr>`).join('');
+  
+  const checkRows = aggregate.checks.map((check) => `
+            <tr>
+                <td>${check.students.length}</td>
+                <td>${escapeHtml(check.message)}<br><code>${escapeHtml(check.id)}</code></td>
+                <td>${escapeHtml(check.section)}</td>
+                <td>${escapeHtml(check.criticality || '')}</td>
+                <td>${check.students.map(escapeHtml).join(', ')}</td>
+            </tr>`).join('');
+  
+  const critical = aggregate.critical.length > 0 ? `
+    <div class="failure-box">
+        <p><strong>🔴 ${aggregate.critical.length} student(s) with CRITICAL items</strong></p>
+        <ul>
+            ${aggregate.critical.map((row) => `<li><strong>${escapeHtml(row.student)}</strong>: ${row.critical.map(escapeHtml).join('; ')}</li>`).join('\n            ')}
+        </ul>
+    </div>` : `
+    <div class="success-box">
+        <p><strong>✅ No student has CRITICAL items.</strong></p>
+    </div>`;
+  
+  return renderPage('Class Setup Dashboard', `
+    <div class="summary-grid">
+        <div class="summary-card">
+            <h3>Students</h3>
+            <p style="font-size: 2em; margin: 0;"><strong>${aggregate.students.length}</strong></p>
+        </div>
+        <div class="summary-card">
+            <h3>Average Completion</h3>
+            <p style="font-size: 2em; margin: 0;"><strong>${averagePassRate(aggregate)}%</strong></p>
+        </div>
+        <div class="summary-card">
+            <h3>With CRITICAL Items</h3>
+            <p style="font-size: 2em; margin: 0;"><strong>${aggregate.critical.length}</strong></p>
+        </div>
+    </div>
+${critical}
+
+    <h2>Most Common Problems</h2>
+    <table>
+        <thead>
+            <tr><th>Students</th><th>Check</th><th>Section</th><th>Criticality</th><th>Affected</th></tr>
+        </thead>
+        <tbody>${checkRows || '\n            <tr><td colspan="5">None - every check passed for every student</td></tr>'}
+        </tbody>
+    </table>
+
+    <h2>Students</h2>
+    <table>
+        <thead>
+            <tr><th>Student</th><th>Complete</th><th>Critical</th><th>Important</th><th>Warnings</th><th>Platform</th><th>Last run</th></tr>
+        </thead>
+        <tbody>${studentRows}
+        </tbody>
+    </table>`);
+}
+
+module.exports = {
+  loadResults,
+  aggregateResults,
+  formatAggregateTable,
+  renderAggregateHtml,
+};
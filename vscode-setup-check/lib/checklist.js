@@ -0,0 +1,86 @@
+/**
+ * Manual verification checklist
+ * 
+ * Items that cannot be checked automatically (e.g. "Two-factor
+ * authentication enabled on GitHub") come from config.manualChecklist.
+ * In a terminal the student confirms each one; answers are kept in the
+ * per-user state file (see lib/state.js) so confirmed items stay ticked on
+ * later runs and in other projects. Items answered "no" are saved too and
+ * not asked again; only skipped items are.
+ */
+
+const { print } = require('./output');
+const { createPrompter } = require('./fix');
+const { saveState } = require('./state');
+
+/**
+ * The checklist for a run with the saved answers
+ * Returns [{ item, confirmed, confirmedAt, declined }] where declined is
+ * true for items answered "no"
+ */
+function getChecklist(run) {
+  const answers = run.state.manualChecklist || {};
+  
+  return run.config.manualChecklist.map((item) => {
+    const answer = answers[item];
+    return {
+      item,
+      confirmed: Boolean(answer && answer.confirmed),
+      confirmedAt: (answer && answer.confirmed && answer.at) || null,
+      declined: Boolean(answer && answer.confirmed === false),
+    };
+  });
+}
+
+/**
+ * Record an answer for a checklist item
+ */
+function setChecklistItem(run, item, confirmed) {
+  run.state.manualChecklist = { ...run.state.manualChecklist };
+  run.state.manualChecklist[item] = { confirmed, at: new Date().toISOString() };
+}
+
+/**
+ * Ask about each item that has not been answered yet and save the answers
+ * options.prompter replaces the terminal prompter (see createPrompter)
+ * Returns the number of items confirmed
+ */
+async function askChecklist(run, options = {}) {
+  const pending = getChecklist(run).filter((entry) => !entry.confirmed && !entry.declined);
+  if (pending.length === 0) {
+    return 0;
+  }
+  
+  print(run, '\nHave you done these? Answer y or n (Enter skips an item until the next run):', 'cyan');
+  
+  const prompter = options.prompter || createPrompter(process.stdout);
+  let confirmed = 0;
+  
+  try {
+    for (const { item } of pending) {
+      const answer = (await prompter.ask(`  ☐ ${item}? [y/N] `)).toLowerCase();
+      if (answer === 'y' || answer === 'yes') {
+        setChecklistItem(run, item, true);
+        confirmed++;
+      } else if (answer === 'n' || answer === 'no') {
+        setChecklistItem(run, item, false);
+      }
+    }
+  } finally {
+    prompter.close();
+  }
+  
+  try {
+    saveState(run.env, run.state);
+  } catch (error) {
+    print(run, `⚠ Could not save your answers: ${error.message}`, 'yellow');
+  }
+  
+  return confirmed;
+}
+
+module.exports = {
+  getChecklist,
+  setChecklistItem,
+  askChecklist,
+};
@@ -0,0 +1,1449 @@
+/**
+ * Verification checks
+ * 
+ * Each check takes a run (see lib/run.js), records its results on it and
+ * returns it. Called without a run, a check creates a silent one, so a
+ * single check can be used on its own:
+ * 
+ *   const { results } = checkGit();
+ */
+
+const { pathFor } = require('./env');
+const { createRun } = require('./run');
+const { log, print, printHeader, printResult, recordCheck } = require('./output');
+const { registerFix, quoteArgument } = require('./fix');
+const { guideLink } = require('./guides');
+const { VSCODE_PATH_VAR, selectEditor, listExtensions } = require('./editors');
+const { getDisabledExtensions, getTrustedFolders } = require('./vscodeState');
+const { describePlace } = require('./context');
+const { checkGitAuth } = require('./gitAuth');
+const {
+  MAX_FILE_SIZE,
+  getGitDir,
+  getOperationInProgress,
+  getConflictedFiles,
+  getUpstreamStatus,
+  getPagesBranches,
+  getPagesBranch,
+  findLargeFiles,
+  getMissingIgnoreEntries,
+  parseGitHubRemote,
+  getPagesUrl,
+  findSketchFolders,
+  getSketchUrl,
+  formatSize,
+} = require('./repo');
+const { MAX_HTML_FILES, checkSiteLinks } = require('./links');
+const { WORKSPACE_SETTINGS, readSettings, getUserSettingsPath, getActiveProfile } = require('./settings');
+const { auditSettings } = require('./settingsAudit');
+const { LIVE_SERVER_DEFAULTS, getLiveServerSettings, resolveRoot, rootExists, findPortOwner, isEditorProcess } = require('./liveServer');
+const { findP5Projects } = require('./p5');
+const { compareVersions } = require('./version');
+const { WORKFLOW_DIR, readWorkflows, findPagesWorkflow, matchesBranch, normalizeArtifactPath, validatePagesWorkflow } = require('./workflow');
+
+/**
+ * Find VS Code binary path
+ * Returns the path (or command name, if on PATH) of the editor the checks
+ * use, or null (see lib/editors.js)
+ */
+function findVSCodePath(env) {
+  const { editor } = selectEditor(env);
+  return editor && editor.version ? editor.path : null;
+}
+
+/**
+ * Check Node.js installation
+ */
+function checkNode(run = createRun()) {
+  printHeader(run, 'Checking Node.js Installation', 'node');
+  
+  const nodeVersion = run.env.exec('node --version');
+  const npmVersion = run.env.exec('npm --version');
+  
+  if (nodeVersion) {
+    printResult(run, 'success', 'Node.js is installed', nodeVersion, { id: 'node.installed' });
+    run.results.passed.push('Node.js installed');
+  } else {
+    printResult(run, 'failure', 'Node.js is NOT installed', 'Required to run this verification script', {
+      id: 'node.installed',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Download Node.js LTS version from: https://nodejs.org/',
+        'Run the installer (includes npm)',
+        'Use default installation settings',
+        'Restart terminal after installation',
+        '',
+        'Note: You\'re seeing this message because Node.js IS installed',
+        '(otherwise this script wouldn\'t run!). This check failed due to',
+        'a technical issue, but you can safely ignore it.'
+      ],
+      link: guideLink(run, 'node')
+    });
+    run.results.failed.push('Node.js not found');
+  }
+  
+  if (npmVersion) {
+    printResult(run, 'success', 'npm is installed', `Version: ${npmVersion}`, { id: 'node.npm' });
+    run.results.passed.push('npm installed');
+  } else {
+    printResult(run, 'warning', 'npm is NOT installed', 'Useful for managing packages', {
+      id: 'node.npm',
+      criticality: 'OPTIONAL',
+      fix: [
+        'npm usually comes with Node.js',
+        'Try reinstalling Node.js from: https://nodejs.org/',
+        '',
+        'Note: Not required for basic P5.js development'
+      ]
+    });
+    run.results.warnings.push('npm not found');
+  }
+  
+  return run;
+}
+
+/**
+ * Check if VS Code is installed and record the editor used for the
+ * extension checks as run.editor (and its path as run.vscodePath)
+ * In WSL, SSH and containers VS Code runs on the student's computer, so
+ * only the connection is checked here (see lib/context.js).
+ */
+function checkVSCode(run = createRun()) {
+  printHeader(run, 'Checking VS Code Installation', 'vscode');
+  
+  const { context } = run;
+  const place = describePlace(context);
+  const { editor, editors, requested } = selectEditor(run.env, run.options.vscodePath);
+  run.editors = editors;
+  
+  if (editor && editor.version) {
+    if (context.remote) {
+      printResult(run, 'success', `VS Code is connected to ${place}`, `Server version: ${editor.version}`, { id: 'vscode.installed' });
+      run.results.passed.push(`VS Code connected to ${place}`);
+    } else if (editor.inPath) {
+      printResult(run, 'success', `${editor.name} is installed and in PATH`, `Version: ${editor.version}`, { id: 'vscode.installed' });
+      run.results.passed.push(`${editor.name} in PATH`);
+    } else {
+      printResult(run, 'success', `${editor.name} is installed`, `Version: ${editor.version}`, { id: 'vscode.installed' });
+      run.results.passed.push(`${editor.name} installed`);
+    }
+    
+    // List the other editors found, so students know which one is checked
+    const others = editors.filter((other) => other.path !== editor.path);
+    if (context.id === 'tunnel') {
+      log(run, '  This terminal is connected through a VS Code tunnel - checking the desktop install');
+    }
+    if (requested || others.length > 0) {
+      log(run, `  Checking extensions with: ${editor.path}${requested ? ` (from ${editor.source})` : ''}`);
+      others.forEach((other) => {
+        log(run, `  Also found: ${other.name} ${other.version || '(not responding)'} - ${other.path}`);
+      });
+    }
+    
+    // PATH only matters in a terminal on the student's own computer
+    if (!editor.inPath && editor.command && context.id === 'local') {
+      const isMac = run.env.platform === 'darwin';
+      const isWindows = run.env.platform === 'win32';
+      
+      printResult(run, 'warning', `${editor.name} is NOT in PATH`, 'Recommended for better terminal integration', {
+        id: 'vscode.path',
+        criticality: 'OPTIONAL',
+        fix: editor.id !== 'code' ? [
+          `Add the folder containing ${editor.command} to your PATH:`,
+          `  ${pathFor(run.env).dirname(editor.path)}`,
+          '',
+          'Note: This is OPTIONAL. Extensions check will still work.'
+        ] : isMac ? [
+          'To add VS Code to PATH:',
+          '  1. Open VS Code',
+          '  2. Press Cmd+Shift+P to open Command Palette',
+          '  3. Type "shell command"',
+          '  4. Select "Shell Command: Install \'code\' command in PATH"',
+          '  5. Restart terminal',
+          '',
+          'Note: This is OPTIONAL. Extensions check will still work.'
+        ] : isWindows ? [
+          'To add VS Code to PATH:',
+          '  1. Reinstall VS Code from: https://code.visualstudio.com/download',
+          '  2. During installation, check "Add to PATH" option',
+          '  3. Restart your computer',
+          '',
+          'Note: This is OPTIONAL. Extensions check will still work.'
+        ] : [
+          'Add VS Code to your PATH manually or reinstall from:',
+          'https://code.visualstudio.com/download'
+        ]
+      });
+      run.results.warnings.push(`${editor.name} not in PATH`);
+    }
+    
+    run.editor = editor;
+    run.vscodePath = editor.path;
+    return run;
+  }
+  
+  run.editor = null;
+  run.vscodePath = null;
+  
+  // The editor named with --vscode-path or OCADU_VSCODE_PATH did not answer
+  if (requested) {
+    printResult(run, 'failure', `VS Code not found at ${editor.path}`, `Given with ${editor.source}`, {
+      id: 'vscode.installed',
+      criticality: 'CRITICAL',
+      fix: [
+        `Check the path given with ${editor.source} - it should be the editor's command line launcher, e.g.:`,
+        '  /Applications/Visual Studio Code.app/Contents/Resources/app/bin/code',
+        '  C:\\Users\\you\\AppData\\Local\\Programs\\Microsoft VS Code\\bin\\code.cmd',
+        ...(editors.some((other) => other.version) ? [
+          '',
+          'These editors were found and can be used instead:',
+          ...editors.filter((other) => other.version).map((other) => `  ${other.path}`),
+        ] : [])
+      ],
+      link: guideLink(run, 'vscode')
+    });
+    run.results.failed.push('VS Code not found');
+    return run;
+  }
+  
+  // Remote: VS Code itself runs on the student's computer
+  if (context.remote) {
+    if (context.integratedTerminal) {
+      printResult(run, 'success', `VS Code is connected to ${place}`, 'VS Code runs on your own computer', { id: 'vscode.installed' });
+      run.results.passed.push(`VS Code connected to ${place}`);
+    } else {
+      print(run, `⊘ Skipping VS Code check - running in ${place}`, 'yellow');
+      log(run, '  VS Code runs on your own computer. Connect to this machine from VS Code');
+      log(run, '  and run the checker in its terminal, or run it on your computer.');
+      recordCheck(run, 'skipped', `Skipping VS Code check - running in ${place}`, 'Run the checker in the VS Code terminal or on your own computer', { id: 'vscode.installed' });
+    }
+    return run;
+  }
+  
+  // VS Code not found anywhere
+  const isMac = run.env.platform === 'darwin';
+  const isWindows = run.env.platform === 'win32';
+  
+  const fixSteps = [
+    'Download and install VS Code from: https://code.visualstudio.com/download',
+    isMac ? 'For Mac: Download the .dmg file and drag to Applications' : 
+    isWindows ? 'For Windows: Download the installer and check "Add to PATH"' : 
+    'Follow the installation instructions for your OS',
+    'Restart your terminal after installation',
+    '',
+    'Already installed somewhere else? Point the checker at its command line launcher:',
+    `  ${run.options.command} --vscode-path "/path/to/bin/code"`,
+    `  (or set the ${VSCODE_PATH_VAR} environment variable)`,
+    ...(context.id === 'tunnel' ? [
+      '',
+      'Note: In a tunnel terminal, "code" is the tunnel\'s own command, so the checker looks for the desktop install instead.'
+    ] : [])
+  ];
+  
+  printResult(run, 'failure', 'VS Code is NOT installed', 'Required for development', {
+    id: 'vscode.installed',
+    criticality: 'CRITICAL',
+    fix: fixSteps,
+    link: guideLink(run, 'vscode')
+  });
+  
+  run.results.failed.push('VS Code not found');
+  
+  return run;
+}
+
+/**
+ * Manual install steps for a missing extension, for the run's context
+ */
+function getManualInstallSteps(context, extId, extInfo) {
+  if (!context.remote) {
+    return [
+      'Or install manually:',
+      '  1. Open VS Code',
+      '  2. Press Cmd+Shift+X (Mac) or Ctrl+Shift+X (Windows)',
+      `  3. Search for "${extInfo.name}"`,
+      '  4. Click Install'
+    ];
+  }
+  
+  const steps = [
+    `Or install manually while VS Code is connected to ${describePlace(context)}:`,
+    '  1. Press Cmd+Shift+X (Mac) or Ctrl+Shift+X (Windows)',
+    `  2. Search for "${extInfo.name}"`,
+    `  3. Click "Install in ${context.label}" (not only on your computer)`
+  ];
+  if (context.id === 'container' || context.id === 'codespaces') {
+    steps.push(
+      '',
+      'To install it for everyone who opens the project, add it to .devcontainer/devcontainer.json:',
+      `  "customizations": { "vscode": { "extensions": ["${extId}"] } }`
+    );
+  }
+  return steps;
+}
+
+/**
+ * Check VS Code extensions
+ * Uses the VS Code path found by checkVSCode, or looks for it when run alone
+ * In WSL, SSH and containers these are the extensions installed on that
+ * side, which is where Live Server and the other workspace extensions run.
+ */
+function checkExtensions(run = createRun()) {
+  printHeader(run, 'Checking VS Code Extensions', 'extensions');
+  
+  const { context } = run;
+  const place = describePlace(context);
+  
+  if (run.editor === undefined) {
+    const { editor } = selectEditor(run.env, run.options.vscodePath);
+    run.editor = editor && editor.version ? editor : null;
+  }
+  const vscodePath = run.editor ? run.editor.path : null;
+  
+  const requiredExtensions = run.config.extensions.required;
+  const optionalExtensions = run.config.extensions.optional;
+  
+  // Remote without a VS Code Server: the extensions there cannot be listed
+  if (!vscodePath && context.remote) {
+    print(run, `⊘ Skipping extensions check - no VS Code Server found in ${place}`, 'yellow');
+    log(run, `  Connect to ${place} from VS Code, then run this script in its terminal`);
+    recordCheck(run, 'skipped', `Skipping extensions check - no VS Code Server found in ${place}`, `Connect to ${place} from VS Code, then run this script in its terminal`, { id: 'extensions.list' });
+    return run;
+  }
+  
+  // If VS Code path wasn't found, skip extension check
+  if (!vscodePath) {
+    print(run, '⊘ Skipping extensions check - VS Code not found', 'yellow');
+    log(run, '  Install VS Code first, then run this script again');
+    recordCheck(run, 'skipped', 'Skipping extensions check - VS Code not found', 'Install VS Code first, then run this script again', { id: 'extensions.list' });
+    return run;
+  }
+  
+  const installed = listExtensions(run.env, vscodePath);
+  
+  if (!installed || installed.size === 0) {
+    print(run, '⊘ Could not retrieve extensions list', 'yellow');
+    log(run, '  This might be a temporary issue. Try running the script again.');
+    log(run, '  Or manually verify extensions in VS Code (Cmd/Ctrl+Shift+X)');
+    recordCheck(run, 'skipped', 'Could not retrieve extensions list', 'Manually verify extensions in VS Code (Cmd/Ctrl+Shift+X)', { id: 'extensions.list' });
+    return run;
+  }
+  
+  if (context.remote) {
+    log(run, `  Extensions installed in ${place} (installing them only on your computer is not enough)`);
+  }
+  
+  // Disabled extensions are stored by the desktop editor only
+  const disabled = getDisabledExtensions(run.env, run.editor.id) || { global: [], workspace: [], certain: { global: true, workspace: true } };
+  
+  // Install with the editor being checked (by name if in PATH, otherwise by full path)
+  const editorCommand = run.editor.inPath ? run.editor.path.replace(/\.cmd$/i, '') : `"${vscodePath}"`;
+  
+  const allExtensions = [
+    ...Object.entries(requiredExtensions).map(([extId, extInfo]) => [extId, extInfo, true]),
+    ...Object.entries(optionalExtensions).map(([extId, extInfo]) => [extId, extInfo, false]),
+  ];
+  
+  for (const [extId, extInfo, isRequired] of allExtensions) {
+    const key = extId.toLowerCase();
+    const version = installed.get(key);
+    const installCommand = `${editorCommand} --install-extension ${extId}`;
+    const recordProblem = (message) => {
+      if (isRequired) {
+        run.results.failed.push(message);
+      } else {
+        run.results.warnings.push(message);
+      }
+    };
+    
+    if (!installed.has(key)) {
+      // Missing optional extensions are only a warning
+      printResult(run, isRequired ? 'failure' : 'warning', `${extInfo.name} is NOT installed`, extInfo.reason, {
+        id: `extension.${extId}`,
+        criticality: extInfo.criticality,
+        fix: [
+          `Quick install: Run this command in terminal:`,
+          `  ${installCommand}`,
+          '',
+          ...getManualInstallSteps(context, extId, extInfo)
+        ],
+        link: guideLink(run, 'extensions')
+      });
+      recordProblem(`Extension: ${extInfo.name}`);
+      
+      registerFix(run, {
+        id: `extension.${extId}`,
+        message: `${extInfo.name} is NOT installed`,
+        criticality: extInfo.criticality,
+        label: `Extension: ${extInfo.name}`,
+        description: `Install ${extInfo.name}`,
+        command: () => installCommand,
+        verify: () => (listExtensions(run.env, vscodePath) || new Map()).has(key),
+      });
+    } else if (disabled.global.includes(key) || disabled.workspace.includes(key)) {
+      const scope = disabled.global.includes(key) ? 'globally' : 'for this workspace';
+      
+      // Without sqlite3 the disabled list may be a stale copy: only a warning
+      const certain = disabled.certain[scope === 'globally' ? 'global' : 'workspace'];
+      printResult(run, isRequired && certain ? 'failure' : 'warning', certain ?
+        `${extInfo.name} is installed but disabled ${scope}` :
+        `${extInfo.name} may be disabled ${scope}`, certain ? (version ? `Version ${version}` : extInfo.reason) : 'Read without sqlite3 - the stored state can be out of date', {
+        id: `extension.${extId}`,
+        criticality: extInfo.criticality,
+        fix: [
+          'Open the Extensions view in VS Code (Cmd/Ctrl+Shift+X)',
+          `Search for ${extId}`,
+          `Click "${scope === 'globally' ? 'Enable' : 'Enable (Workspace)'}" on ${extInfo.name}${certain ? '' : ' if it is shown as disabled'}`
+        ],
+        link: guideLink(run, 'extensions')
+      });
+      if (certain) {
+        recordProblem(`Extension disabled: ${extInfo.name}`);
+      } else {
+        run.results.warnings.push(`Extension may be disabled: ${extInfo.name}`);
+      }
+    } else if (extInfo.minVersion && version && compareVersions(version, extInfo.minVersion) < 0) {
+      const updateCommand = `${installCommand} --force`;
+      printResult(run, isRequired ? 'failure' : 'warning', `${extInfo.name} ${version} is older than ${extInfo.minVersion}`, extInfo.reason, {
+        id: `extension.${extId}`,
+        criticality: extInfo.criticality,
+        fix: [
+          'Update to the latest version:',
+          `  ${updateCommand}`,
+          '',
+          `Or open the Extensions view (Cmd/Ctrl+Shift+X), find ${extInfo.name} and click "Update"`
+        ],
+        link: guideLink(run, 'extensions')
+      });
+      recordProblem(`Extension outdated: ${extInfo.name}`);
+      
+      registerFix(run, {
+        id: `extension.${extId}`,
+        message: `${extInfo.name} ${version} is older than ${extInfo.minVersion}`,
+        criticality: extInfo.criticality,
+        label: `Extension outdated: ${extInfo.name}`,
+        passedLabel: `Extension: ${extInfo.name}`,
+        description: `Update ${extInfo.name}`,
+        command: () => updateCommand,
+        verify: () => compareVersions((listExtensions(run.env, vscodePath) || new Map()).get(key) || '0', extInfo.minVersion) >= 0,
+      });
+    } else {
+      printResult(run, 'success', `${extInfo.name} is installed`, version ? `Version ${version}` : '', { id: `extension.${extId}` });
+      run.results.passed.push(`Extension: ${extInfo.name}`);
+    }
+  }
+  
+  // Installed (and enabled) extensions known to conflict with the ones
+  // above, or replaced by something else
+  const isActive = (key) => installed.has(key) && !disabled.global.includes(key) && !disabled.workspace.includes(key);
+  const extensionName = (extId) => {
+    const extInfo = requiredExtensions[extId] || optionalExtensions[extId];
+    return extInfo ? extInfo.name : extId;
+  };
+  const rules = [];
+  for (const [extId, extInfo] of Object.entries(run.config.extensions.conflicting || {})) {
+    if (isActive(extId.toLowerCase()) && (!extInfo.conflictsWith || installed.has(extInfo.conflictsWith.toLowerCase()))) {
+      const other = extInfo.conflictsWith ? extensionName(extInfo.conflictsWith) : 'the course setup';
+      rules.push([`extension.conflict.${extId}`, extId, extInfo, `${extInfo.name} conflicts with ${other}`, `Extension conflict: ${extInfo.name}`]);
+    }
+  }
+  for (const [extId, extInfo] of Object.entries(run.config.extensions.deprecated || {})) {
+    if (isActive(extId.toLowerCase())) {
+      const replacedBy = extInfo.replacement ? ` (replaced by ${extensionName(extInfo.replacement)})` : '';
+      rules.push([`extension.deprecated.${extId}`, extId, extInfo, `${extInfo.name} is deprecated${replacedBy}`, `Deprecated extension: ${extInfo.name}`]);
+    }
+  }
+  
+  for (const [id, extId, extInfo, message, label] of rules) {
+    const uninstallCommand = `${editorCommand} --uninstall-extension ${extId}`;
+    const replacementMissing = extInfo.replacement && !installed.has(extInfo.replacement.toLowerCase());
+    printResult(run, 'warning', message, extInfo.reason, {
+      id,
+      criticality: extInfo.criticality,
+      showFix: true,
+      fix: [
+        'Uninstall it:',
+        `  ${uninstallCommand}`,
+        ...(replacementMissing ? ['', `Then install ${extensionName(extInfo.replacement)}:`, `  ${editorCommand} --install-extension ${extInfo.replacement}`] : [])
+      ],
+      link: guideLink(run, 'extensions')
+    });
+    run.results.warnings.push(label);
+    
+    registerFix(run, {
+      id,
+      message,
+      criticality: extInfo.criticality,
+      label,
+      passedLabel: `Extension removed: ${extInfo.name}`,
+      description: `Uninstall ${extInfo.name}`,
+      command: () => uninstallCommand,
+      verify: () => !(listExtensions(run.env, vscodePath) || new Map()).has(extId.toLowerCase()),
+    });
+  }
+  
+  if (rules.length === 0) {
+    printResult(run, 'success', 'No conflicting or deprecated extensions', '', { id: 'extensions.conflicts' });
+    run.results.passed.push('Extension conflicts');
+  }
+  
+  return run;
+}
+
+/**
+ * Check the VS Code settings the course workflow relies on (Auto Save, Git,
+ * the default terminal and Workspace Trust) in the user settings of the
+ * editor in use - of the profile the folder opens with - and the workspace
+ */
+function checkSettings(run = createRun()) {
+  printHeader(run, 'Checking VS Code Settings', 'vscode');
+  
+  const editorId = run.editor ? run.editor.id : 'code';
+  const profile = getActiveProfile(run.env, editorId);
+  const userPath = getUserSettingsPath(run.env, editorId);
+  if (profile) {
+    log(run, `  Profile: ${profile.name}${profile.useDefaultSettings ? ' (uses the Default profile\'s settings)' : ''}`);
+  }
+  
+  const findings = auditSettings(run.env, readSettings(run.env, editorId), getTrustedFolders(run.env, editorId));
+  for (const finding of findings) {
+    const setIn = finding.source === 'workspace' ? WORKSPACE_SETTINGS : 'user settings';
+    
+    if (finding.ok) {
+      printResult(run, 'success', finding.message, finding.details || (finding.source ? `Set in ${setIn}` : ''), { id: `settings.${finding.key}` });
+      run.results.passed.push(`Setting: ${finding.key}`);
+      continue;
+    }
+    
+    // Change the file the current value comes from; unset ones go in the user settings
+    const file = finding.source === 'workspace' ? WORKSPACE_SETTINGS : userPath || 'your user settings';
+    printResult(run, 'warning', finding.message, finding.reason, {
+      id: `settings.${finding.key}`,
+      criticality: finding.criticality,
+      showFix: true,
+      fix: [
+        ...(finding.recommended === undefined
+          ? [`Remove "${finding.key}" from ${file}`]
+          : [`Set this in ${file}:`, `  "${finding.key}": ${JSON.stringify(finding.recommended)}`]),
+        ...(finding.source === 'workspace' ? [] : ['(Command Palette: "Preferences: Open User Settings (JSON)")']),
+        ...(finding.hint ? ['', finding.hint] : [])
+      ],
+      link: guideLink(run, 'vscode')
+    });
+    run.results.warnings.push(`Setting: ${finding.key}`);
+  }
+  
+  return run;
+}
+
+/**
+ * Check that Live Server can serve the workspace: its settings (workspace
+ * .vscode/settings.json over the user settings of the editor in use), a
+ * root that contains the sketches, and a port that is free or already held
+ * by VS Code. The port is tested by listening on it briefly.
+ */
+function checkLiveServer(run = createRun()) {
+  printHeader(run, 'Checking Live Server', 'tunnels');
+  
+  const files = readSettings(run.env, run.editor ? run.editor.id : 'code');
+  const { port, root, host } = getLiveServerSettings(files);
+  const describeSource = (setting) => (setting.source === 'workspace' ? WORKSPACE_SETTINGS : 'user settings');
+  
+  // Settings files VS Code cannot fully read
+  const invalid = [files.user, files.workspace].filter((file) => file && file.error);
+  if (invalid.length > 0) {
+    printResult(run, 'warning', `${invalid.length} settings file(s) have errors`, invalid.map((file) => file.path).join(', '), {
+      id: 'liveServer.settingsFile',
+      criticality: 'IMPORTANT',
+      fix: [
+        'VS Code may skip settings after an error. Fix these lines:',
+        ...invalid.map((file) => `  ${file.path}:${file.error.line}  ${file.error.message.replace(/^line \d+: /, '')}`),
+        '',
+        'Open the file in VS Code: errors are underlined in red.'
+      ]
+    });
+    run.results.warnings.push('Settings file errors');
+  }
+  
+  const custom = [port, root, host].filter((setting) => setting.source);
+  const names = ['port', 'root', 'host'];
+  if (!Number.isInteger(port.value) || port.value < 0 || port.value > 65535) {
+    printResult(run, 'failure', `liveServer.settings.port is not a valid port: ${JSON.stringify(port.value)}`, `Set in ${describeSource(port)}`, {
+      id: 'liveServer.settings',
+      criticality: 'IMPORTANT',
+      fix: [
+        `Use a whole number from 1024 to 65535 in ${describeSource(port)}, e.g.:`,
+        `  "liveServer.settings.port": ${LIVE_SERVER_DEFAULTS.port}`
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Invalid Live Server port');
+    return run;
+  }
+  
+  // Live Server falls back to its default host for anything but a string
+  const hostName = typeof host.value === 'string' && host.value.trim() ? host.value : LIVE_SERVER_DEFAULTS.host;
+  if (hostName !== host.value) {
+    printResult(run, 'warning', `liveServer.settings.host is not a host name: ${JSON.stringify(host.value)}`, `Set in ${describeSource(host)}; checking ${hostName} instead`, {
+      id: 'liveServer.host',
+      criticality: 'IMPORTANT',
+      fix: [
+        `Remove liveServer.settings.host from ${describeSource(host)}, or use a quoted address:`,
+        `  "liveServer.settings.host": "${LIVE_SERVER_DEFAULTS.host}"`
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.warnings.push('Invalid Live Server host');
+  }
+  
+  printResult(run, 'success', `Live Server settings: port ${port.value}, root ${root.value}, host ${hostName}`, custom.length > 0
+    ? [port, root, host].map((setting, index) => (setting.source ? `${names[index]} from ${describeSource(setting)}` : null)).filter(Boolean).join(', ')
+    : 'Live Server defaults (no liveServer.settings entries)', { id: 'liveServer.settings' });
+  run.results.passed.push('Live Server settings');
+  
+  // Root: Live Server only serves files below it
+  const { folder, outside } = resolveRoot(root.value);
+  if (root.source && outside) {
+    printResult(run, 'failure', `liveServer.settings.root "${root.value}" points outside the workspace`, `Set in ${describeSource(root)}`, {
+      id: 'liveServer.root',
+      criticality: 'IMPORTANT',
+      fix: [
+        `The root is relative to the folder open in VS Code. Remove it from ${describeSource(root)}, or point it at a folder inside, e.g.:`,
+        '  "liveServer.settings.root": "/"'
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Live Server root');
+  } else if (root.source && folder && !rootExists(run.env, folder)) {
+    printResult(run, 'failure', `liveServer.settings.root "${root.value}" does not exist`, `Set in ${describeSource(root)}`, {
+      id: 'liveServer.root',
+      criticality: 'IMPORTANT',
+      fix: [
+        `Create the folder, or remove liveServer.settings.root from ${describeSource(root)} to serve the whole workspace`
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Live Server root');
+  } else if (root.source && folder) {
+    const sketches = getGitDir(run.env) ? findSketchFolders(run.env) : [];
+    const excluded = sketches.filter((sketch) => sketch !== folder && !sketch.startsWith(`${folder}/`));
+    if (excluded.length > 0) {
+      printResult(run, 'warning', `${excluded.length} sketch folder(s) are outside liveServer.settings.root "${root.value}"`, excluded.map((sketch) => sketch || 'index.html').join(', '), {
+        id: 'liveServer.root',
+        criticality: 'IMPORTANT',
+        fix: [
+          'Live Server only serves files below its root, so these sketches show "Cannot GET":',
+          ...excluded.map((sketch) => `  ${sketch ? `${sketch}/index.html` : 'index.html'}`),
+          '',
+          `Remove liveServer.settings.root from ${describeSource(root)} to serve the whole workspace.`
+        ],
+        link: guideLink(run, 'tunnels')
+      });
+      run.results.warnings.push('Sketches outside the Live Server root');
+    } else {
+      printResult(run, 'success', `Live Server serves ${root.value}`, '', { id: 'liveServer.root' });
+      run.results.passed.push('Live Server root');
+    }
+  }
+  
+  // Port: free, or held by Live Server itself
+  if (port.value === 0) {
+    printResult(run, 'success', 'Live Server picks a free port each time (port 0)', 'Forward the port it reports when sharing through a tunnel', { id: 'liveServer.port' });
+    run.results.passed.push('Live Server port');
+    return run;
+  }
+  
+  const probe = run.env.probePort(port.value, hostName);
+  const owner = probe === 'EADDRINUSE' ? findPortOwner(run.env, port.value) : null;
+  const portSource = port.source ? describeSource(port) : WORKSPACE_SETTINGS;
+  
+  if (probe === 'free') {
+    printResult(run, 'success', `Port ${port.value} is free for Live Server`, '', { id: 'liveServer.port' });
+    run.results.passed.push('Live Server port');
+  } else if (probe === 'EADDRINUSE' && isEditorProcess(owner)) {
+    printResult(run, 'success', `Port ${port.value} is in use by ${owner.name} - Live Server is probably running`, '', { id: 'liveServer.port' });
+    run.results.passed.push('Live Server port');
+  } else if (probe === 'EADDRINUSE') {
+    printResult(run, 'failure', `Port ${port.value} is already in use`, owner ? `Held by ${owner.name || 'another program'} (PID ${owner.pid})` : 'Held by another program', {
+      id: 'liveServer.port',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Live Server cannot start while another program holds its port.',
+        ...(owner ? [
+          'Quit that program, or stop it with:',
+          `  ${run.env.platform === 'win32' ? `taskkill /PID ${owner.pid}` : `kill ${owner.pid}`}`
+        ] : []),
+        '',
+        `Or give Live Server another port in ${portSource}:`,
+        `  "liveServer.settings.port": ${port.value + 1}`,
+        '',
+        'When sharing through a tunnel, forward the new port instead.'
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Live Server port in use');
+  } else if (probe === 'EACCES') {
+    printResult(run, 'failure', `Live Server is not allowed to use port ${port.value}`, 'Ports below 1024 need administrator rights', {
+      id: 'liveServer.port',
+      criticality: 'IMPORTANT',
+      fix: [
+        `Use the default port in ${portSource}:`,
+        `  "liveServer.settings.port": ${LIVE_SERVER_DEFAULTS.port}`
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Live Server port not allowed');
+  } else if (probe === 'EADDRNOTAVAIL' || probe === 'ENOTFOUND') {
+    printResult(run, 'failure', `Live Server cannot listen on ${hostName}`, `liveServer.settings.host is not an address of this computer (set in ${describeSource(host)})`, {
+      id: 'liveServer.port',
+      criticality: 'IMPORTANT',
+      fix: [
+        `Remove liveServer.settings.host from ${describeSource(host)}, or use:`,
+        `  "liveServer.settings.host": "${LIVE_SERVER_DEFAULTS.host}"`
+      ],
+      link: guideLink(run, 'tunnels')
+    });
+    run.results.failed.push('Live Server host');
+  } else {
+    print(run, `⊘ Could not test port ${port.value}`, 'yellow');
+    recordCheck(run, 'skipped', `Could not test port ${port.value}`, probe ? `Listening failed with ${probe}` : 'The port test did not run', { id: 'liveServer.port' });
+  }
+  
+  return run;
+}
+
+/**
+ * Check Git installation and configuration
+ */
+function checkGit(run = createRun()) {
+  printHeader(run, 'Checking Git Installation & Configuration', 'git');
+  
+  const gitVersion = run.env.exec('git --version');
+  
+  if (gitVersion) {
+    printResult(run, 'success', 'Git is installed', gitVersion, { id: 'git.installed' });
+    run.results.passed.push('Git installed');
+  } else {
+    const isMac = run.env.platform === 'darwin';
+    const fixSteps = isMac ? [
+      'Install Xcode Command Line Tools:',
+      '  Run: xcode-select --install',
+      'Follow the installation prompts',
+      'Or download Git from: https://git-scm.com/downloads'
+    ] : [
+      'Download Git from: https://git-scm.com/downloads',
+      'Run the installer',
+      'Use default settings',
+      'Restart your terminal after installation'
+    ];
+    
+    printResult(run, 'failure', 'Git is NOT installed', 'Required for version control', {
+      id: 'git.installed',
+      criticality: 'CRITICAL',
+      fix: fixSteps,
+      link: guideLink(run, 'git')
+    });
+    run.results.failed.push('Git not found');
+    return run;
+  }
+  
+  // Check Git configuration
+  const userName = run.env.exec('git config --global user.name');
+  const userEmail = run.env.exec('git config --global user.email');
+  
+  if (userName) {
+    printResult(run, 'success', 'Git user.name is configured', `Name: ${userName}`, { id: 'git.userName' });
+    run.results.passed.push('Git user.name set');
+  } else {
+    printResult(run, 'failure', 'Git user.name is NOT configured', 'Required for Git commits', {
+      id: 'git.userName',
+      criticality: 'CRITICAL',
+      fix: [
+        'Run this command in terminal:',
+        '  git config --global user.name "Your Full Name"',
+        '',
+        'Example:',
+        '  git config --global user.name "Jane Smith"'
+      ]
+    });
+    run.results.failed.push('Git user.name not set');
+    
+    registerFix(run, {
+      id: 'git.userName',
+      message: 'Git user.name is NOT configured',
+      criticality: 'CRITICAL',
+      label: 'Git user.name not set',
+      passedLabel: 'Git user.name set',
+      description: 'Set your Git user.name',
+      prompt: 'Your full name (e.g. Jane Smith)',
+      command: (value) => `git config --global user.name ${quoteArgument(run.env, value)}`,
+      verify: () => Boolean(run.env.exec('git config --global user.name')),
+    });
+  }
+  
+  if (userEmail) {
+    printResult(run, 'success', 'Git user.email is configured', `Email: ${userEmail}`, { id: 'git.userEmail' });
+    run.results.passed.push('Git user.email set');
+    
+    // Check if it's a school email (skipped when the course allows any domain)
+    const { label, domains, reason } = run.config.email;
+    const emailDomain = userEmail.split('@').pop().toLowerCase();
+    
+    if (domains.length > 0) {
+      if (domains.some((domain) => emailDomain === domain.toLowerCase())) {
+        printResult(run, 'success', `Using ${label} email address`, '', { id: 'git.emailDomain' });
+        run.results.passed.push(`${label} email configured`);
+      } else {
+        printResult(run, 'warning', `Not using ${label} email address`, reason, {
+          id: 'git.emailDomain',
+          criticality: 'OPTIONAL',
+          fix: [
+            `To use your ${label} email:`,
+            `  git config --global user.email "your.email@${domains[0]}"`,
+            '',
+            `Current email: ${userEmail}`,
+            '',
+            'Note: This is OPTIONAL. Your current setup works fine.',
+            `Accepted domains: ${domains.join(', ')}`
+          ]
+        });
+        run.results.warnings.push(`Non-${label} email`);
+      }
+    }
+  } else {
+    printResult(run, 'failure', 'Git user.email is NOT configured', 'Required for Git commits', {
+      id: 'git.userEmail',
+      criticality: 'CRITICAL',
+      fix: [
+        'Run this command in terminal:',
+        `  git config --global user.email "your.email@${run.config.email.domains[0] || 'example.com'}"`,
+        '',
+        'Example:',
+        `  git config --global user.email "jane.smith@${run.config.email.domains[0] || 'example.com'}"`
+      ]
+    });
+    run.results.failed.push('Git user.email not set');
+    
+    registerFix(run, {
+      id: 'git.userEmail',
+      message: 'Git user.email is NOT configured',
+      criticality: 'CRITICAL',
+      label: 'Git user.email not set',
+      passedLabel: 'Git user.email set',
+      description: 'Set your Git user.email',
+      prompt: `Your email address (e.g. jane.smith@${run.config.email.domains[0] || 'example.com'})`,
+      validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || 'That does not look like an email address',
+      command: (value) => `git config --global user.email ${quoteArgument(run.env, value)}`,
+      verify: () => Boolean(run.env.exec('git config --global user.email')),
+    });
+  }
+  
+  return run;
+}
+
+/**
+ * Check for local Git repository, and the states that break committing
+ * and syncing: half-finished merges and rebases, conflicts, a detached HEAD
+ * or a branch Pages does not deploy, commits not yet pushed or pulled,
+ * files too large for GitHub and a .gitignore missing common entries
+ */
+function checkLocalRepo(run = createRun()) {
+  printHeader(run, 'Checking Local Repository', 'repo');
+  
+  const currentDir = run.env.cwd;
+  const gitDir = pathFor(run.env).join(currentDir, '.git');
+  
+  if (run.env.fs.existsSync(gitDir)) {
+    printResult(run, 'success', 'Current directory is a Git repository', '', { id: 'repo.detected' });
+    run.results.passed.push('Git repository found');
+    
+    // Get remote URL
+    const remoteUrl = run.env.exec('git remote get-url origin');
+    if (remoteUrl) {
+      printResult(run, 'success', 'Remote repository configured', remoteUrl, { id: 'repo.remote' });
+      run.results.passed.push('Remote configured');
+      
+      // Check if it's a GitHub repository
+      const github = parseGitHubRemote(remoteUrl);
+      if (github) {
+        printResult(run, 'success', 'Repository is hosted on GitHub', '', { id: 'repo.github' });
+        run.results.passed.push('GitHub repository');
+        
+        checkPagesUrl(run, github);
+      }
+    } else {
+      printResult(run, 'warning', 'No remote repository configured', 'Needed for GitHub Pages deployment', {
+        id: 'repo.remote',
+        criticality: 'IMPORTANT',
+        fix: [
+          'Create a GitHub repository first (if you haven\'t):',
+          '  1. Go to https://github.com/new',
+          '  2. Create a new repository',
+          '',
+          'Then connect it to this local repository:',
+          '  git remote add origin https://github.com/USERNAME/REPO-NAME.git',
+          '  git branch -M main',
+          '  git push -u origin main',
+          '',
+          'Replace USERNAME and REPO-NAME with your details'
+        ],
+        link: guideLink(run, 'repo')
+      });
+      run.results.warnings.push('No remote configured');
+    }
+    
+    // Merges, rebases, cherry-picks and reverts left half done
+    const operation = getOperationInProgress(run.env, getGitDir(run.env) || gitDir);
+    if (operation) {
+      printResult(run, 'failure', `A ${operation} is in progress`, 'Commits and syncing are blocked until it is finished or aborted', {
+        id: 'repo.operation',
+        criticality: 'IMPORTANT',
+        fix: [
+          'See which files still need attention:',
+          '  git status',
+          '',
+          'When every conflict is resolved and the files are added, finish it:',
+          `  ${operation === 'merge' ? 'git commit' : `git ${operation} --continue`}`,
+          '',
+          'Or give up and go back to where you were:',
+          `  git ${operation} --abort`
+        ],
+        link: guideLink(run, 'repo')
+      });
+      run.results.failed.push(`${operation} in progress`);
+    }
+    
+    // Check current branch
+    const branch = run.env.exec('git branch --show-current');
+    if (branch) {
+      const pagesBranches = getPagesBranches(run.env);
+      if (matchesBranch(pagesBranches, branch)) {
+        printResult(run, 'success', `Current branch: ${branch}`, '', { id: 'repo.branch' });
+        run.results.passed.push(`Branch: ${branch}`);
+      } else {
+        printResult(run, 'warning', `Current branch: ${branch}`, `GitHub Pages deploys from ${pagesBranches.join(', ')}, so commits here are not published`, {
+          id: 'repo.branch',
+          criticality: 'IMPORTANT',
+          fix: [
+            `To publish, switch back to ${getPagesBranch(run.env)} and bring your work with you:`,
+            `  git switch ${getPagesBranch(run.env)}`,
+            `  git merge ${branch}`,
+            '  git push',
+            '',
+            'Note: Working on another branch is fine - it just is not on your Pages site yet.'
+          ],
+          link: guideLink(run, 'repo')
+        });
+        run.results.warnings.push(`Branch: ${branch}`);
+      }
+    } else if (branch === '' && operation !== 'rebase') {
+      printResult(run, 'failure', 'HEAD is detached (not on any branch)', 'New commits will not belong to a branch and are easy to lose', {
+        id: 'repo.branch',
+        criticality: 'IMPORTANT',
+        fix: [
+          'If you made commits you want to keep, put them on a branch first:',
+          '  git switch -c my-changes',
+          '',
+          'Then go back to your main branch:',
+          `  git switch ${getPagesBranch(run.env)}`
+        ],
+        link: guideLink(run, 'repo')
+      });
+      run.results.failed.push('Detached HEAD');
+    }
+    
+    // Commits to push or pull (as of the last fetch - nothing is downloaded)
+    if (remoteUrl && branch) {
+      checkUpstream(run, branch);
+    }
+    
+    // Check for uncommitted changes
+    const status = run.env.exec('git status --porcelain');
+    const conflicted = getConflictedFiles(status);
+    if (conflicted.length > 0) {
+      printResult(run, 'failure', `${conflicted.length} file(s) have unresolved merge conflicts`, conflicted.join(', '), {
+        id: 'repo.conflicts',
+        criticality: 'IMPORTANT',
+        fix: [
+          'Open each file in VS Code and pick a side with "Accept Current Change", "Accept Incoming Change" or "Accept Both Changes"',
+          'Then mark the files as resolved and commit:',
+          '  git add .',
+          '  git commit',
+          '',
+          'The <<<<<<< and >>>>>>> lines break your sketch until they are removed.'
+        ],
+        link: guideLink(run, 'repo')
+      });
+      run.results.failed.push('Merge conflicts');
+    }
+    
+    if (status) {
+      const fileCount = status.trim().split('\n').length;
+      printResult(run, 'warning', `You have ${fileCount} uncommitted change(s)`, 'Not critical, but good practice to commit regularly', {
+        id: 'repo.status',
+        criticality: 'OPTIONAL',
+        fix: [
+          'To see what files changed:',
+          '  git status',
+          '',
+          'To commit your changes:',
+          '  git add .',
+          '  git commit -m "Describe your changes"',
+          '  git push',
+          '',
+          'Note: This is OPTIONAL. Uncommitted changes don\'t break anything.'
+        ]
+      });
+      run.results.warnings.push('Uncommitted changes');
+    } else {
+      printResult(run, 'success', 'Working directory is clean', '', { id: 'repo.status' });
+      run.results.passed.push('Clean working directory');
+    }
+    
+    checkRepoFiles(run);
+  } else {
+    printResult(run, 'warning', 'Current directory is NOT a Git repository', 'Run from your project folder for repository checks', {
+      id: 'repo.detected',
+      criticality: 'OPTIONAL',
+      fix: [
+        'This is OPTIONAL - you can run this script from anywhere.',
+        'For repository-specific checks, navigate to your project first:',
+        '  cd path/to/your/repository',
+        `  ${run.options.command}`,
+        '',
+        'Or if you don\'t have a repository yet, see the setup guide.',
+        '',
+        `Current directory: ${currentDir}`
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.warnings.push('Not in Git repository');
+  }
+  
+  return run;
+}
+
+/**
+ * Show where GitHub Pages publishes the repository and each sketch in the
+ * working tree, and record them as run.pages (see checkLocalRepo)
+ */
+function checkPagesUrl(run, github) {
+  const url = getPagesUrl(github);
+  const folders = findSketchFolders(run.env);
+  const sketches = folders.filter(Boolean).map((folder) => ({ path: folder, url: getSketchUrl(url, folder) }));
+  const hasHome = folders.includes('');
+  
+  run.pages = { owner: github.owner, repo: github.repo, url, hasHome, sketches };
+  
+  printResult(run, 'success', `GitHub Pages URL: ${url}`, hasHome ?
+    `${github.owner}/${github.repo}` :
+    'No index.html at the top of the repository, so this address shows 404 - open a sketch below instead', { id: 'repo.pagesUrl' });
+  run.results.passed.push('Pages URL');
+  
+  if (sketches.length > 0) {
+    log(run, `  Sketches (once committed and pushed):`);
+    sketches.forEach((sketch) => log(run, `    ${sketch.url}`));
+  }
+}
+
+/**
+ * Compare the current branch with its upstream (see checkLocalRepo)
+ */
+function checkUpstream(run, branch) {
+  const upstream = getUpstreamStatus(run.env);
+  
+  if (!upstream) {
+    printResult(run, 'warning', `Branch ${branch} is not linked to a branch on GitHub`, 'git push and Sync Changes will not know where to send commits', {
+      id: 'repo.upstream',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Push the branch once and link it:',
+        `  git push -u origin ${branch}`,
+        '',
+        'Or click "Publish Branch" in the Source Control view in VS Code.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.warnings.push('No upstream branch');
+    return;
+  }
+  
+  const { ahead, behind } = upstream;
+  if (ahead === 0 && behind === 0) {
+    printResult(run, 'success', `Up to date with ${upstream.upstream}`, 'As of the last fetch', { id: 'repo.upstream' });
+    run.results.passed.push('Up to date with upstream');
+  } else if (behind > 0) {
+    const diverged = ahead > 0;
+    printResult(run, 'warning', diverged ?
+      `${branch} and ${upstream.upstream} have diverged (${ahead} to push, ${behind} to pull)` :
+      `${behind} commit(s) behind ${upstream.upstream}`, 'Pull first, or the next push will be rejected', {
+      id: 'repo.upstream',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Get the new commits from GitHub:',
+        '  git pull',
+        ...(diverged ? ['  git push'] : []),
+        '',
+        'Or click "Sync Changes" in the Source Control view in VS Code.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.warnings.push(diverged ? 'Diverged from upstream' : 'Behind upstream');
+  } else {
+    printResult(run, 'warning', `${ahead} commit(s) not pushed to ${upstream.upstream}`, 'Your Pages site does not include them yet', {
+      id: 'repo.upstream',
+      criticality: 'OPTIONAL',
+      fix: [
+        'Send them to GitHub:',
+        '  git push',
+        '',
+        'Or click "Sync Changes" in the Source Control view in VS Code.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.warnings.push('Commits not pushed');
+  }
+}
+
+/**
+ * Check for files GitHub rejects and a .gitignore missing common entries
+ * (see checkLocalRepo)
+ */
+function checkRepoFiles(run) {
+  const largeFiles = findLargeFiles(run.env);
+  if (largeFiles.length > 0) {
+    printResult(run, 'failure', `${largeFiles.length} file(s) are over GitHub's ${formatSize(MAX_FILE_SIZE)} limit`, largeFiles.map((file) => `${file.path} (${formatSize(file.size)})`).join(', '), {
+      id: 'repo.largeFiles',
+      criticality: 'IMPORTANT',
+      fix: [
+        'GitHub rejects any push that contains them. Stop tracking them:',
+        ...largeFiles.map((file) => `  git rm --cached ${quoteArgument(run.env, file.path)}`),
+        '',
+        'Then add them to .gitignore, and use a smaller (compressed) version in your sketch.',
+        'If one is already in a commit that has not been pushed, ask your instructor for help removing it.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.failed.push('Files over 100 MB');
+  }
+  
+  const missing = getMissingIgnoreEntries(run.env);
+  if (missing.length > 0) {
+    printResult(run, 'warning', `.gitignore does not list ${missing.map((ignore) => ignore.name).join(' or ')}`, 'macOS Finder files and installed packages should not be committed', {
+      id: 'repo.gitignore',
+      criticality: 'OPTIONAL',
+      fix: [
+        'Add these lines to .gitignore (create it in the repository folder if needed):',
+        ...missing.map((ignore) => `  ${ignore.entry}`),
+        '',
+        'If they were committed already, stop tracking them:',
+        `  git rm -r --cached ${missing.map((ignore) => ignore.name).join(' ')}`
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.warnings.push('.gitignore incomplete');
+  } else {
+    printResult(run, 'success', '.gitignore covers .DS_Store and node_modules', '', { id: 'repo.gitignore' });
+    run.results.passed.push('.gitignore complete');
+  }
+}
+
+/**
+ * Check the workflow that deploys the repository to GitHub Pages (see
+ * lib/workflow.js) against the current branch and the sketch folders on
+ * disk. Problems are listed with the workflow line they are on.
+ */
+function checkPagesWorkflow(run = createRun()) {
+  printHeader(run, 'Checking GitHub Pages Workflow', 'repo');
+  
+  if (!getGitDir(run.env)) {
+    print(run, '⊘ Skipping workflow check - not in a Git repository', 'yellow');
+    recordCheck(run, 'skipped', 'Skipping workflow check - not in a Git repository', 'Run from your project folder to check its Pages workflow', { id: 'pages.workflow' });
+    return run;
+  }
+  
+  const workflows = readWorkflows(run.env);
+  // Files that cannot be parsed are only reported when they name a Pages
+  // action: other workflows do not affect the site
+  const invalid = workflows.filter((entry) => entry.error && entry.mentionsPages);
+  const broken = invalid.filter((entry) => !entry.error.unsupported);
+  const unsupported = invalid.filter((entry) => entry.error.unsupported);
+  const pages = findPagesWorkflow(workflows);
+  const describe = (file, problem) => `${file}:${problem.line}  ${problem.message}`;
+  const describeError = (entry) => describe(entry.file, { line: entry.error.line, message: entry.error.message.replace(/^line \d+: /, '') });
+  
+  if (broken.length > 0) {
+    printResult(run, 'failure', `${broken.length} Pages workflow file(s) could not be read`, broken.map((entry) => entry.file).join(', '), {
+      id: 'pages.workflow.syntax',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Fix these lines:',
+        ...broken.map((entry) => `  ${describeError(entry)}`),
+        '',
+        'Indent with spaces, not tabs, and keep the indentation of the Static HTML workflow.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.failed.push('Invalid workflow file');
+  }
+  
+  if (unsupported.length > 0) {
+    printResult(run, 'warning', `Could not check ${unsupported.map((entry) => entry.file).join(', ')}`, `Uses YAML this checker does not read: ${unsupported.map(describeError).join('; ')}`, { id: 'pages.workflow.unchecked' });
+    run.results.warnings.push('Pages workflow not checked');
+  }
+  
+  if (!pages) {
+    if (invalid.length === 0) {
+      printResult(run, 'failure', 'No workflow deploys to GitHub Pages', workflows.length > 0 ? `Found ${workflows.map((entry) => entry.file).join(', ')}` : `${WORKFLOW_DIR} has no workflow files`, {
+        id: 'pages.workflow',
+        criticality: 'IMPORTANT',
+        fix: [
+          'On GitHub, open your repository\'s Settings → Pages and set Source to "GitHub Actions"',
+          'Under "Static HTML", click "Configure" and commit the file without changes',
+          'Then download the new workflow into this folder:',
+          '  git pull'
+        ],
+        link: guideLink(run, 'repo')
+      });
+      run.results.failed.push('No Pages workflow');
+    }
+    return run;
+  }
+  
+  const branch = run.env.exec('git branch --show-current') || getPagesBranch(run.env);
+  const sketchFolders = findSketchFolders(run.env);
+  const { problems, artifactPath } = validatePagesWorkflow(pages, { branch, sketchFolders });
+  
+  if (problems.length > 0) {
+    printResult(run, 'failure', `${pages.file} will not deploy ${branch} correctly`, describe(pages.file, problems[0]) + (problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''), {
+      id: 'pages.workflow',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Fix these lines of the workflow:',
+        ...problems.map((problem) => `  ${describe(pages.file, problem)}`),
+        '',
+        'Compare it with the Static HTML workflow from Settings → Pages, then commit and push the change.'
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.failed.push('Pages workflow');
+  } else {
+    printResult(run, 'success', `${pages.file} deploys ${branch} to GitHub Pages`, `Publishes ${normalizeArtifactPath(artifactPath) ? artifactPath : 'the whole repository'}`, { id: 'pages.workflow' });
+    run.results.passed.push('Pages workflow');
+  }
+  
+  return run;
+}
+
+/**
+ * Check the relative links and assets in the repository's HTML files
+ * (see lib/links.js), and record the broken ones as run.brokenLinks. Only
+ * run inside a repository, so a run from a home folder does not scan
+ * everything below it.
+ */
+function checkLinks(run = createRun()) {
+  printHeader(run, 'Checking Site Links', 'p5');
+  
+  if (!getGitDir(run.env)) {
+    print(run, '⊘ Skipping link check - not in a Git repository', 'yellow');
+    recordCheck(run, 'skipped', 'Skipping link check - not in a Git repository', 'Run from your project folder to check its HTML files', { id: 'links' });
+    return run;
+  }
+  
+  const { files, truncated, references, broken, caseMismatches, rootRelative } = checkSiteLinks(run.env, run.env.cwd);
+  const describe = (finding) => `${finding.file}:${finding.line}  ${finding.value}`;
+  run.brokenLinks = broken;
+  
+  if (files.length === 0) {
+    print(run, '⊘ No HTML files found', 'yellow');
+    recordCheck(run, 'skipped', 'No HTML files found', 'Create a sketch with P5 Project Creator to get an index.html', { id: 'links' });
+    return run;
+  }
+  if (truncated) {
+    log(run, `  Only the first ${MAX_HTML_FILES} HTML files were checked`);
+  }
+  
+  if (broken.length > 0) {
+    printResult(run, 'failure', `${broken.length} broken reference(s) in HTML files`, broken.slice(0, 3).map(describe).join(', ') + (broken.length > 3 ? ', ...' : ''), {
+      id: 'links.broken',
+      criticality: 'IMPORTANT',
+      fix: [
+        'These files are missing, so the browser gets a 404 for them:',
+        ...broken.map((finding) => `  ${describe(finding)}${finding.outside ? ' (outside the repository - not published)' : ''}`),
+        '',
+        'Fix the path in the HTML file, or add the missing file to the repository.',
+        'Paths are relative to the HTML file: use "../" to go up a folder.'
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.failed.push('Broken links');
+  }
+  
+  if (caseMismatches.length > 0) {
+    printResult(run, 'failure', `${caseMismatches.length} reference(s) only work on case-insensitive filesystems`, caseMismatches.slice(0, 3).map(describe).join(', ') + (caseMismatches.length > 3 ? ', ...' : ''), {
+      id: 'links.case',
+      criticality: 'IMPORTANT',
+      fix: [
+        'GitHub Pages is case-sensitive: these work with Live Server on your computer but 404 once deployed.',
+        'Change each reference (or rename the file) so the case matches:',
+        ...caseMismatches.map((finding) => `  ${describe(finding)}  →  ${finding.actual}`)
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.failed.push('Links with the wrong case');
+  }
+  
+  // Root-relative references only work on a user site (owner.github.io),
+  // which is published at the root of the host
+  const github = parseGitHubRemote(run.env.exec('git remote get-url origin'));
+  const isUserSite = Boolean(github) && getPagesUrl(github) === `https://${github.owner.toLowerCase()}.github.io/`;
+  const rootRelativeFound = isUserSite ? [] : rootRelative;
+  if (rootRelativeFound.length > 0) {
+    printResult(run, 'warning', `${rootRelativeFound.length} root-relative reference(s) 404 on a GitHub Pages project site`, rootRelativeFound.slice(0, 3).map(describe).join(', ') + (rootRelativeFound.length > 3 ? ', ...' : ''), {
+      id: 'links.rootRelative',
+      criticality: 'IMPORTANT',
+      fix: [
+        `A path starting with "/" starts at the server root. Live Server serves the repository there, but GitHub Pages publishes it under ${github ? getPagesUrl(github) : 'https://<owner>.github.io/<repository>/'}, so these 404 once deployed.`,
+        'Use a path relative to the HTML file instead:',
+        ...rootRelativeFound.map((finding) => `  ${describe(finding)}  →  ${finding.actual}`)
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.warnings.push('Root-relative links');
+  }
+  
+  if (broken.length === 0 && caseMismatches.length === 0 && rootRelativeFound.length === 0) {
+    printResult(run, 'success', `All ${references} local reference(s) in ${files.length} HTML file(s) resolve`, '', { id: 'links' });
+    run.results.passed.push('Site links');
+  }
+  
+  return run;
+}
+
+/**
+ * Check the p5.js projects in the repository (see lib/p5.js): the p5
+ * version against the course minimum, setup() and draw() in the sketch
+ * files, and the files loaded from libraries/ that checkLinks has not
+ * already reported
+ */
+function checkP5Projects(run = createRun()) {
+  printHeader(run, 'Checking p5.js Projects', 'p5');
+  
+  if (!getGitDir(run.env)) {
+    print(run, '⊘ Skipping p5.js check - not in a Git repository', 'yellow');
+    recordCheck(run, 'skipped', 'Skipping p5.js check - not in a Git repository', 'Run from your project folder to check its sketches', { id: 'p5.projects' });
+    return run;
+  }
+  
+  const projects = findP5Projects(run.env);
+  if (projects.length === 0) {
+    print(run, '⊘ No p5.js sketches found', 'yellow');
+    recordCheck(run, 'skipped', 'No p5.js sketches found', 'Create one with "Create P5 Project" in the Command Palette', { id: 'p5.projects' });
+    return run;
+  }
+  
+  const label = (project) => project.folder || '.';
+  printResult(run, 'success', `Found ${projects.length} p5.js sketch(es)`, projects.map(label).join(', '), { id: 'p5.projects' });
+  run.results.passed.push('p5.js sketches');
+  
+  // p5 version
+  const { minVersion } = run.config.p5;
+  const outdated = projects.filter((project) => project.p5.version && compareVersions(project.p5.version, minVersion) < 0);
+  if (outdated.length > 0) {
+    printResult(run, 'warning', `${outdated.length} sketch(es) use p5.js older than ${minVersion}`, outdated.map((project) => `${label(project)} (${project.p5.version})`).join(', '), {
+      id: 'p5.version',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Point the p5 <script> in each index.html at a current version:',
+        ...outdated.map((project) => `  ${project.file}:${project.p5.line}  ${project.p5.src}`),
+        '',
+        'For example:',
+        `  <script src="https://cdn.jsdelivr.net/npm/p5@${minVersion}/lib/p5.min.js"></script>`,
+        '',
+        'Examples and reference pages on p5js.org are written for the current version.'
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.warnings.push('Outdated p5.js');
+  } else {
+    const unknown = projects.filter((project) => !project.p5.version).map(label);
+    printResult(run, 'success', `p5.js ${minVersion} or newer`, unknown.length > 0 ? `Version not shown in the script address for ${unknown.join(', ')}` : '', { id: 'p5.version' });
+    run.results.passed.push('p5.js version');
+  }
+  
+  // setup() and draw()
+  const withoutSetup = projects.filter((project) => !project.hasSetup);
+  if (withoutSetup.length > 0) {
+    printResult(run, 'failure', `${withoutSetup.length} sketch(es) have no setup() function`, withoutSetup.map(label).join(', '), {
+      id: 'p5.sketch',
+      criticality: 'IMPORTANT',
+      fix: [
+        'p5.js starts a sketch by calling setup(), so nothing appears without one.',
+        'Check that index.html loads your sketch file and that it defines setup():',
+        ...withoutSetup.map((project) => `  ${project.file}  ${project.sketchFiles.length > 0 ? `loads ${project.sketchFiles.join(', ')}` : 'loads no sketch file'}`)
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.failed.push('Sketch without setup()');
+  }
+  
+  const withoutDraw = projects.filter((project) => project.hasSetup && !project.hasDraw);
+  if (withoutDraw.length > 0) {
+    printResult(run, 'warning', `${withoutDraw.length} sketch(es) have no draw() function`, withoutDraw.map(label).join(', '), {
+      id: 'p5.draw',
+      criticality: 'OPTIONAL',
+      fix: [
+        'Without draw() the sketch only draws once, after setup().',
+        'Note: This is OPTIONAL - a still image does not need draw().'
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.warnings.push('Sketch without draw()');
+  }
+  
+  if (withoutSetup.length === 0 && withoutDraw.length === 0) {
+    printResult(run, 'success', 'Every sketch defines setup() and draw()', '', { id: 'p5.sketch' });
+    run.results.passed.push('setup() and draw()');
+  }
+  
+  // Local copies of p5 and its addons, except those checkLinks already
+  // reported as broken
+  const reported = run.brokenLinks || [];
+  const isReported = (file, library) => reported.some((finding) => finding.file === file && finding.line === library.line && finding.value === library.src);
+  const missing = projects.flatMap((project) => project.missingLibraries
+    .filter((library) => !isReported(project.file, library))
+    .map((library) => ({ ...library, file: project.file })));
+  if (missing.length > 0) {
+    printResult(run, 'failure', `${missing.length} library file(s) are missing`, missing.slice(0, 3).map((library) => library.src).join(', ') + (missing.length > 3 ? ', ...' : ''), {
+      id: 'p5.libraries',
+      criticality: 'IMPORTANT',
+      fix: [
+        'These index.html files load libraries that are not in the repository:',
+        ...missing.map((library) => `  ${library.file}:${library.line}  ${library.src}`),
+        '',
+        'Copy the files into the libraries folder, or load them from the CDN instead:',
+        `  <script src="https://cdn.jsdelivr.net/npm/p5@${minVersion}/lib/p5.min.js"></script>`,
+        `  <script src="https://cdn.jsdelivr.net/npm/p5@${minVersion}/lib/addons/p5.sound.min.js"></script>`
+      ],
+      link: guideLink(run, 'p5')
+    });
+    run.results.failed.push('Missing p5.js libraries');
+  }
+  
+  return run;
+}
+
+module.exports = {
+  findVSCodePath,
+  checkNode,
+  checkVSCode,
+  checkExtensions,
+  checkSettings,
+  checkLiveServer,
+  checkGit,
+  checkLocalRepo,
+  checkPagesWorkflow,
+  checkLinks,
+  checkP5Projects,
+  checkGitAuth,
+};
@@ -0,0 +1,295 @@
+/**
+ * Course configuration
+ * 
+ * Requirements (extensions, email domains, guide links, the minimum p5.js
+ * version, the workspace settings init writes and the manual checklist)
+ * come from default-config.json, optionally overridden by a course's
+ * .ocadu-setup.json or a file given with --config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseVersion } = require('./version');
+
+// Course configuration file looked up from the current directory upwards
+const CONFIG_FILENAME = '.ocadu-setup.json';
+
+// Criticality levels accepted in configuration files
+const CRITICALITY_LEVELS = ['CRITICAL', 'IMPORTANT', 'OPTIONAL'];
+
+// Guide link keys accepted in configuration files
+const GUIDE_KEYS = ['home', 'node', 'vscode', 'extensions', 'git', 'repo', 'p5', 'tunnels'];
+
+// Sections of extensions: the ones to install, and the conflicting and
+// deprecated ones to remove
+const EXTENSION_SECTIONS = ['required', 'optional', 'conflicting', 'deprecated'];
+
+// publisher.name
+const EXTENSION_ID = /^[\w-]+\.[\w.-]+$/;
+
+/**
+ * Error for a missing or invalid course configuration
+ */
+class ConfigError extends Error {
+  constructor(configPath, errors) {
+    super(`Invalid configuration: ${configPath}\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Find the course configuration file
+ * Looks for .ocadu-setup.json from the given directory upwards
+ */
+function findConfigFile(cwd, fsys = fs) {
+  let dir = cwd;
+  
+  while (true) {
+    const candidate = path.join(dir, CONFIG_FILENAME);
+    if (fsys.existsSync(candidate)) {
+      return candidate;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Validate a map of extension ID to { name, criticality, reason } (plus
+ * minVersion, conflictsWith or replacement)
+ */
+function validateExtensions(extensions, key, errors) {
+  if (!isPlainObject(extensions)) {
+    errors.push(`${key} must be an object mapping extension IDs to { name, criticality, reason, minVersion }`);
+    return;
+  }
+  
+  for (const [extId, extInfo] of Object.entries(extensions)) {
+    const extKey = `${key}["${extId}"]`;
+    
+    if (!EXTENSION_ID.test(extId)) {
+      errors.push(`${extKey}: "${extId}" is not a valid extension ID (expected publisher.name)`);
+    }
+    if (!isPlainObject(extInfo)) {
+      errors.push(`${extKey} must be an object with name, criticality and reason`);
+      continue;
+    }
+    if (typeof extInfo.name !== 'string' || !extInfo.name.trim()) {
+      errors.push(`${extKey}.name must be a non-empty string`);
+    }
+    if (!CRITICALITY_LEVELS.includes(extInfo.criticality)) {
+      errors.push(`${extKey}.criticality must be one of ${CRITICALITY_LEVELS.join(', ')}`);
+    }
+    if (typeof extInfo.reason !== 'string') {
+      errors.push(`${extKey}.reason must be a string`);
+    }
+    if (extInfo.minVersion !== undefined && (typeof extInfo.minVersion !== 'string' || !parseVersion(extInfo.minVersion))) {
+      errors.push(`${extKey}.minVersion must be a version string, e.g. "1.2.0"`);
+    }
+    for (const field of ['conflictsWith', 'replacement']) {
+      if (extInfo[field] !== undefined && (typeof extInfo[field] !== 'string' || !EXTENSION_ID.test(extInfo[field]))) {
+        errors.push(`${extKey}.${field} must be an extension ID (publisher.name)`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a course configuration object and return a list of error messages
+ */
+function validateConfig(courseConfig) {
+  const errors = [];
+  
+  if (!isPlainObject(courseConfig)) {
+    return ['The configuration must be a JSON object'];
+  }
+  
+  for (const key of Object.keys(courseConfig)) {
+    if (!['extensions', 'email', 'guideBase', 'guides', 'p5', 'workspaceSettings', 'manualChecklist'].includes(key)) {
+      errors.push(`Unknown setting "${key}" (expected extensions, email, guideBase, guides, p5, workspaceSettings or manualChecklist)`);
+    }
+  }
+  
+  if (courseConfig.extensions !== undefined) {
+    if (!isPlainObject(courseConfig.extensions)) {
+      errors.push('extensions must be an object with "required", "optional", "conflicting" and/or "deprecated"');
+    } else {
+      for (const key of Object.keys(courseConfig.extensions)) {
+        if (EXTENSION_SECTIONS.includes(key)) {
+          validateExtensions(courseConfig.extensions[key], `extensions.${key}`, errors);
+        } else {
+          errors.push(`Unknown setting "extensions.${key}" (expected required, optional, conflicting or deprecated)`);
+        }
+      }
+    }
+  }
+  
+  if (courseConfig.email !== undefined) {
+    const email = courseConfig.email;
+    
+    if (!isPlainObject(email)) {
+      errors.push('email must be an object with label, domains and reason');
+    } else {
+      if (email.label !== undefined && typeof email.label !== 'string') {
+        errors.push('email.label must be a string');
+      }
+      if (email.reason !== undefined && typeof email.reason !== 'string') {
+        errors.push('email.reason must be a string');
+      }
+      if (email.domains !== undefined) {
+        if (!Array.isArray(email.domains)) {
+          errors.push('email.domains must be an array of domains, e.g. ["ocadu.ca"]');
+        } else {
+          email.domains.forEach((domain, index) => {
+            if (typeof domain !== 'string' || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain)) {
+              errors.push(`email.domains[${index}] must be a domain without "@", e.g. "ocadu.ca"`);
+            }
+          });
+        }
+      }
+    }
+  }
+  
+  if (courseConfig.guideBase !== undefined && (typeof courseConfig.guideBase !== 'string' || !courseConfig.guideBase.trim())) {
+    errors.push('guideBase must be a non-empty string (the URL of the published guide)');
+  }
+  
+  if (courseConfig.guides !== undefined) {
+    if (!isPlainObject(courseConfig.guides)) {
+      errors.push(`guides must be an object with any of: ${GUIDE_KEYS.join(', ')}`);
+    } else {
+      for (const [key, link] of Object.entries(courseConfig.guides)) {
+        if (!GUIDE_KEYS.includes(key)) {
+          errors.push(`Unknown guide "guides.${key}" (expected one of ${GUIDE_KEYS.join(', ')})`);
+        } else if (typeof link !== 'string') {
+          errors.push(`guides.${key} must be a page relative to guideBase or a full URL`);
+        }
+      }
+    }
+  }
+  
+  if (courseConfig.p5 !== undefined) {
+    if (!isPlainObject(courseConfig.p5)) {
+      errors.push('p5 must be an object with minVersion');
+    } else {
+      for (const key of Object.keys(courseConfig.p5)) {
+        if (key !== 'minVersion') {
+          errors.push(`Unknown setting "p5.${key}" (expected minVersion)`);
+        }
+      }
+      if (courseConfig.p5.minVersion !== undefined && (typeof courseConfig.p5.minVersion !== 'string' || !parseVersion(courseConfig.p5.minVersion))) {
+        errors.push('p5.minVersion must be a version string, e.g. "1.11.0"');
+      }
+    }
+  }
+  
+  if (courseConfig.workspaceSettings !== undefined && !isPlainObject(courseConfig.workspaceSettings)) {
+    errors.push('workspaceSettings must be an object of VS Code settings, e.g. { "editor.tabSize": 2 }');
+  }
+  
+  if (courseConfig.manualChecklist !== undefined) {
+    if (!Array.isArray(courseConfig.manualChecklist)) {
+      errors.push('manualChecklist must be an array of strings');
+    } else {
+      courseConfig.manualChecklist.forEach((item, index) => {
+        if (typeof item !== 'string' || !item.trim()) {
+          errors.push(`manualChecklist[${index}] must be a non-empty string`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Load the default configuration and merge the course configuration over it
+ * 
+ * The course configuration is options.config (an object), the file at
+ * options.configPath (relative to options.cwd) or the nearest
+ * .ocadu-setup.json, read through options.fs (default: the real fs).
+ * Throws a ConfigError if it is missing or invalid.
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const fsys = options.fs || fs;
+  const defaults = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'default-config.json'), 'utf-8'));
+  
+  if (options.config) {
+    const errors = validateConfig(options.config);
+    if (errors.length > 0) {
+      throw new ConfigError('(options.config)', errors);
+    }
+    return mergeConfig(defaults, options.config, null);
+  }
+  
+  const configPath = options.configPath ? path.resolve(cwd, options.configPath) : findConfigFile(cwd, fsys);
+  
+  if (!configPath) {
+    return { ...defaults, path: null };
+  }
+  
+  if (!fsys.existsSync(configPath)) {
+    throw new ConfigError(configPath, ['File not found']);
+  }
+  
+  let courseConfig;
+  try {
+    courseConfig = JSON.parse(fsys.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(configPath, [`Not valid JSON: ${error.message}`]);
+  }
+  
+  const errors = validateConfig(courseConfig);
+  if (errors.length > 0) {
+    throw new ConfigError(configPath, errors);
+  }
+  
+  return mergeConfig(defaults, courseConfig, configPath);
+}
+
+/**
+ * Merge a validated course configuration over the defaults
+ */
+function mergeConfig(defaults, courseConfig, configPath) {
+  const extensions = courseConfig.extensions || {};
+  
+  return {
+    extensions: {
+      required: extensions.required || defaults.extensions.required,
+      optional: extensions.optional || defaults.extensions.optional,
+      conflicting: extensions.conflicting || defaults.extensions.conflicting,
+      deprecated: extensions.deprecated || defaults.extensions.deprecated,
+    },
+    email: { ...defaults.email, ...courseConfig.email },
+    guideBase: courseConfig.guideBase || defaults.guideBase,
+    guides: { ...defaults.guides, ...courseConfig.guides },
+    p5: { ...defaults.p5, ...courseConfig.p5 },
+    workspaceSettings: { ...defaults.workspaceSettings, ...courseConfig.workspaceSettings },
+    manualChecklist: courseConfig.manualChecklist || defaults.manualChecklist,
+    path: configPath,
+  };
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  CRITICALITY_LEVELS,
+  ConfigError,
+  findConfigFile,
+  validateConfig,
+  loadConfig,
+  isPlainObject,
+};
@@ -0,0 +1,97 @@
+/**
+ * Where the checker is running
+ * 
+ * The VS Code checks depend on which side of a remote connection the
+ * terminal is on. Contexts, from the environment variables VS Code and
+ * the remote tools set:
+ * 
+ * - local: a terminal on the student's own computer
+ * - tunnel: a VS Code terminal reached through a tunnel (vscode.dev or
+ *   another device); the machine is the student's computer, but `code` on
+ *   PATH is the tunnel server's CLI, not the desktop app
+ * - wsl, ssh, container, codespaces: the desktop app runs on another
+ *   machine, so only the extensions installed on this side can be checked
+ */
+
+// Labels for each context
+const CONTEXT_LABELS = {
+  local: 'This computer',
+  tunnel: 'VS Code tunnel',
+  wsl: 'WSL',
+  ssh: 'SSH',
+  container: 'Dev Container',
+  codespaces: 'Codespaces',
+};
+
+// Paths of the VS Code server and its remote CLI
+const SERVER_PATH_PATTERN = /[\\/](\.vscode-server|\.vscode[\\/]cli|\.vscode-remote)[\\/]|[\\/]remote-cli[\\/]/;
+
+/**
+ * Detect the context from an env (see lib/env.js)
+ * Returns { id, label, detail, integratedTerminal, serverTerminal, remote }
+ */
+function detectContext(env) {
+  const { vars } = env;
+  const integratedTerminal = vars.TERM_PROGRAM === 'vscode';
+  const serverTerminal = Boolean(vars.VSCODE_IPC_HOOK_CLI) || SERVER_PATH_PATTERN.test(vars.VSCODE_GIT_ASKPASS_NODE || '');
+  
+  let id = 'local';
+  let detail = null;
+  
+  if (vars.CODESPACES === 'true') {
+    id = 'codespaces';
+    detail = vars.CODESPACE_NAME || null;
+  } else if (vars.REMOTE_CONTAINERS === 'true' || vars.REMOTE_CONTAINERS_IPC || (env.platform === 'linux' && env.fs.existsSync('/.dockerenv'))) {
+    id = 'container';
+  } else if (vars.WSL_DISTRO_NAME || vars.WSL_INTEROP) {
+    id = 'wsl';
+    detail = vars.WSL_DISTRO_NAME || null;
+  } else if (vars.SSH_CONNECTION || vars.SSH_CLIENT || vars.SSH_TTY) {
+    id = 'ssh';
+    detail = vars.SSH_CONNECTION ? vars.SSH_CONNECTION.split(' ')[2] || null : null;
+  } else if (serverTerminal) {
+    id = 'tunnel';
+  }
+  
+  return {
+    id,
+    label: CONTEXT_LABELS[id],
+    detail,
+    integratedTerminal,
+    serverTerminal,
+    remote: id !== 'local' && id !== 'tunnel',
+  };
+}
+
+/**
+ * Where the terminal is, e.g. "WSL (Ubuntu)" or "this computer"
+ */
+function describePlace(context) {
+  if (context.id === 'local') {
+    return 'this computer';
+  }
+  return context.detail ? `${context.label} (${context.detail})` : context.label;
+}
+
+/**
+ * One-line description for the header, e.g. "VS Code terminal - WSL (Ubuntu)"
+ */
+function describeContext(context) {
+  return `${context.integratedTerminal ? 'VS Code terminal' : 'Terminal'} - ${describePlace(context)}`;
+}
+
+/**
+ * Whether an editor path belongs to a VS Code server rather than a
+ * desktop install
+ */
+function isServerPath(editorPath) {
+  return SERVER_PATH_PATTERN.test(editorPath || '');
+}
+
+module.exports = {
+  CONTEXT_LABELS,
+  detectContext,
+  describePlace,
+  describeContext,
+  isServerPath,
+};
@@ -0,0 +1,314 @@
+/**
+ * VS Code discovery
+ * 
+ * Finds every installed editor variant that can list and install
+ * extensions from the command line: VS Code, VS Code Insiders, VSCodium,
+ * code-server and the VS Code Server that Remote-SSH/WSL install under
+ * ~/.vscode-server. Each is looked for on PATH and in the usual install
+ * locations for the platform (including Snap, Flatpak and Scoop), and next
+ * to Code.exe on Windows.
+ * 
+ * The editor used for the checks is, in order of preference:
+ * 
+ * 1. the path given with --vscode-path or OCADU_VSCODE_PATH
+ * 2. the editor whose integrated terminal the checker is running in
+ * 3. the first working editor found, in the order of EDITOR_VARIANTS
+ * 
+ * Which side of a remote connection counts depends on the context (see
+ * lib/context.js): in WSL, SSH and containers only the VS Code Server's
+ * CLI sees the extensions used there; through a tunnel, the server's CLI
+ * is skipped in favour of the desktop install.
+ */
+
+const { pathFor } = require('./env');
+const { detectContext, isServerPath } = require('./context');
+
+// Editor variants, in order of preference
+const EDITOR_VARIANTS = [
+  { id: 'code', name: 'VS Code', command: 'code', exe: 'Code.exe' },
+  { id: 'code-insiders', name: 'VS Code Insiders', command: 'code-insiders', exe: 'Code - Insiders.exe' },
+  { id: 'codium', name: 'VSCodium', command: 'codium', exe: 'VSCodium.exe' },
+  { id: 'code-server', name: 'code-server', command: 'code-server' },
+  { id: 'vscode-server', name: 'VS Code Server', command: null },
+];
+
+// Environment variable naming the editor to use (like --vscode-path)
+const VSCODE_PATH_VAR = 'OCADU_VSCODE_PATH';
+
+/**
+ * Find a variant by id
+ */
+function getVariant(id) {
+  return EDITOR_VARIANTS.find((variant) => variant.id === id);
+}
+
+/**
+ * Install locations to look at for each variant on the env's platform
+ * Returns [{ variant, path }]
+ */
+function getCandidatePaths(env) {
+  const { platform, homedir, vars } = env;
+  const path = pathFor(env);
+  const candidates = [];
+  const add = (variant, ...paths) => paths.forEach((candidate) => candidates.push({ variant, path: candidate }));
+  
+  if (platform === 'darwin') {
+    const app = (name, bin) => [
+      `/Applications/${name}.app/Contents/Resources/app/bin/${bin}`,
+      path.join(homedir, `Applications/${name}.app/Contents/Resources/app/bin/${bin}`),
+    ];
+    add('code', ...app('Visual Studio Code', 'code'));
+    add('code-insiders', ...app('Visual Studio Code - Insiders', 'code'));
+    add('codium', ...app('VSCodium', 'codium'));
+    add('code-server', '/opt/homebrew/bin/code-server', '/usr/local/bin/code-server');
+  } else if (platform === 'win32') {
+    const programs = [
+      path.join(vars.LOCALAPPDATA || '', 'Programs'),
+      vars.PROGRAMFILES || 'C:\\Program Files',
+      vars['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)',
+    ];
+    const scoop = path.join(vars.USERPROFILE || homedir, 'scoop', 'apps');
+    
+    add('code', ...programs.map((dir) => path.join(dir, 'Microsoft VS Code', 'bin', 'code.cmd')), path.join(scoop, 'vscode', 'current', 'bin', 'code.cmd'));
+    add('code-insiders', ...programs.map((dir) => path.join(dir, 'Microsoft VS Code Insiders', 'bin', 'code-insiders.cmd')));
+    add('codium', ...programs.map((dir) => path.join(dir, 'VSCodium', 'bin', 'codium.cmd')), path.join(scoop, 'vscodium', 'current', 'bin', 'codium.cmd'));
+  } else {
+    const flatpak = (appId) => [
+      `/var/lib/flatpak/exports/bin/${appId}`,
+      path.join(homedir, '.local/share/flatpak/exports/bin', appId),
+    ];
+    add('code', '/usr/bin/code', '/usr/local/bin/code', '/snap/bin/code', ...flatpak('com.visualstudio.code'));
+    add('code-insiders', '/usr/bin/code-insiders', '/snap/bin/code-insiders');
+    add('codium', '/usr/bin/codium', '/snap/bin/codium', ...flatpak('com.vscodium.codium'));
+    add('code-server', '/usr/bin/code-server', '/usr/local/bin/code-server', '/usr/lib/code-server/bin/code-server', path.join(homedir, '.local/bin/code-server'));
+  }
+  
+  if (platform !== 'win32') {
+    add('vscode-server', ...findServerBinaries(env));
+  }
+  
+  return candidates;
+}
+
+/**
+ * VS Code Server binaries under ~/.vscode-server, one folder per commit:
+ * bin/<commit>/bin/code-server and cli/servers/Stable-<commit>/server/bin/code-server
+ */
+function findServerBinaries(env) {
+  const path = pathFor(env);
+  const serverRoot = path.join(env.homedir, '.vscode-server');
+  const found = [];
+  
+  const listDirs = (dir) => {
+    try {
+      return env.fs.readdirSync(dir, { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    } catch (error) {
+      return [];
+    }
+  };
+  
+  listDirs(path.join(serverRoot, 'bin')).forEach((commit) => {
+    found.push(path.join(serverRoot, 'bin', commit, 'bin', 'code-server'));
+  });
+  listDirs(path.join(serverRoot, 'cli', 'servers')).forEach((server) => {
+    found.push(path.join(serverRoot, 'cli', 'servers', server, 'server', 'bin', 'code-server'));
+  });
+  
+  return found.filter((binary) => env.fs.existsSync(binary));
+}
+
+/**
+ * Look a command up on PATH
+ * Returns the first path found, or null
+ */
+function whichCommand(env, command) {
+  const output = env.exec(env.platform === 'win32' ? `where ${command}` : `which ${command}`);
+  return output ? output.split(/\r?\n/)[0].trim() : null;
+}
+
+/**
+ * Run `<editor> --version` and return the version number (first line)
+ */
+function getEditorVersion(env, editorPath) {
+  const output = env.exec(`"${editorPath}" --version`);
+  return output ? output.split('\n')[0].trim() : null;
+}
+
+/**
+ * Find every installed editor
+ * Returns [{ id, name, command, path, inPath, server, version }] where path
+ * is the command name for editors on PATH (as it is run), server is true
+ * for a VS Code Server's CLI and version is null if the editor did not
+ * answer --version
+ */
+function findEditors(env) {
+  const path = pathFor(env);
+  const isWindows = env.platform === 'win32';
+  const samePath = (a, b) => (isWindows ? a.toLowerCase() === b.toLowerCase() : a === b);
+  const seen = [];
+  const editors = [];
+  
+  // The same installation can be reached through symlinks (e.g.
+  // /usr/local/bin/code on macOS), so paths are compared once resolved
+  const canonical = (editorPath) => {
+    try {
+      return env.fs.realpathSync(editorPath);
+    } catch (error) {
+      return editorPath;
+    }
+  };
+  
+  const addEditor = (variant, editorPath, resolved, inPath) => {
+    const real = canonical(resolved);
+    if (seen.some((known) => samePath(known, real))) {
+      return;
+    }
+    seen.push(real);
+    editors.push({
+      id: variant.id,
+      name: variant.name,
+      command: variant.command,
+      path: editorPath,
+      inPath,
+      server: variant.id === 'vscode-server' || isServerPath(resolved),
+      version: getEditorVersion(env, editorPath),
+    });
+  };
+  
+  const candidates = getCandidatePaths(env);
+  
+  for (const variant of EDITOR_VARIANTS) {
+    if (variant.command && !(isWindows && variant.id === 'code-server')) {
+      const command = isWindows ? `${variant.command}.cmd` : variant.command;
+      const resolved = whichCommand(env, command);
+      if (resolved) {
+        addEditor(variant, command, resolved, true);
+      }
+    }
+    
+    // Windows installs without the bin folder on PATH: bin\code.cmd next to Code.exe
+    if (isWindows && variant.exe) {
+      const exePath = whichCommand(env, `"${variant.exe}"`);
+      const binPath = exePath && path.join(path.dirname(exePath), 'bin', `${variant.command}.cmd`);
+      if (binPath && env.fs.existsSync(binPath)) {
+        addEditor(variant, binPath, binPath, false);
+      }
+    }
+    
+    candidates.filter((candidate) => candidate.variant === variant.id).forEach((candidate) => {
+      if (env.fs.existsSync(candidate.path)) {
+        addEditor(variant, candidate.path, candidate.path, false);
+      }
+    });
+  }
+  
+  return editors;
+}
+
+/**
+ * The variant whose integrated terminal the checker runs in, or null
+ * VS Code sets TERM_PROGRAM=vscode in its terminal, and
+ * VSCODE_GIT_ASKPASS_NODE to a path inside the editor's installation.
+ */
+function detectEditorInUse(env) {
+  if (env.vars.TERM_PROGRAM !== 'vscode') {
+    return null;
+  }
+  
+  const hint = String(env.vars.VSCODE_GIT_ASKPASS_NODE || '');
+  if (/[\\/]\.vscode-server[\\/]/.test(hint)) {
+    return 'vscode-server';
+  }
+  if (/insiders/i.test(hint) || /-insider$/.test(env.vars.TERM_PROGRAM_VERSION || '')) {
+    return 'code-insiders';
+  }
+  if (/codium/i.test(hint)) {
+    return 'codium';
+  }
+  if (/code-server/i.test(hint)) {
+    return 'code-server';
+  }
+  return 'code';
+}
+
+/**
+ * Describe an editor given by path (--vscode-path or OCADU_VSCODE_PATH)
+ */
+function describeRequestedEditor(env, editorPath, source) {
+  const base = pathFor(env).basename(editorPath).toLowerCase().replace(/\.(cmd|exe)$/, '');
+  const variant = /[\\/]\.vscode-server[\\/]/.test(editorPath) ? getVariant('vscode-server') :
+    EDITOR_VARIANTS.find((candidate) => candidate.command === base) || getVariant('code');
+  
+  return {
+    id: variant.id,
+    name: variant.name,
+    command: variant.command,
+    path: editorPath,
+    inPath: !/[\\/]/.test(editorPath),
+    server: isServerPath(editorPath),
+    version: getEditorVersion(env, editorPath),
+    source,
+  };
+}
+
+/**
+ * Choose the editor to check
+ * requestedPath comes from --vscode-path; OCADU_VSCODE_PATH is used when
+ * it is not given. Returns { editor, editors, requested, context } where
+ * editor is null if no working editor was found for the context (or the
+ * requested one does not work).
+ */
+function selectEditor(env, requestedPath) {
+  const context = detectContext(env);
+  const editors = findEditors(env);
+  const requested = requestedPath || env.vars[VSCODE_PATH_VAR];
+  
+  if (requested) {
+    const editor = describeRequestedEditor(env, requested, requestedPath ? '--vscode-path' : VSCODE_PATH_VAR);
+    return { editor, editors, requested: true, context };
+  }
+  
+  // Remote: only the server side; tunnel: only the desktop side
+  const working = editors.filter((editor) => editor.version && (
+    context.remote ? editor.server : context.id === 'tunnel' ? !editor.server : true
+  ));
+  const inUse = detectEditorInUse(env);
+  const editor = (inUse && working.find((candidate) => candidate.id === inUse)) || working[0] || null;
+  
+  if (editor) {
+    editor.source = inUse === editor.id ? 'terminal' : 'discovery';
+  }
+  return { editor, editors, requested: false, context };
+}
+
+/**
+ * The extensions an editor has installed, with their versions
+ * Uses --show-versions, falling back to the plain list for CLIs that do
+ * not support it (versions are then null). Returns a Map of lower-case
+ * extension ID to version, or null if the editor did not answer.
+ */
+function listExtensions(env, editorPath) {
+  const output = env.exec(`"${editorPath}" --list-extensions --show-versions`) ?? env.exec(`"${editorPath}" --list-extensions`);
+  if (output === null) {
+    return null;
+  }
+  
+  const extensions = new Map();
+  for (const line of output.split(/\r?\n/)) {
+    const [extId, version] = line.trim().split('@');
+    if (extId) {
+      extensions.set(extId.toLowerCase(), version || null);
+    }
+  }
+  return extensions;
+}
+
+module.exports = {
+  EDITOR_VARIANTS,
+  VSCODE_PATH_VAR,
+  getCandidatePaths,
+  findEditors,
+  detectEditorInUse,
+  selectEditor,
+  listExtensions,
+};
@@ -0,0 +1,86 @@
+/**
+ * The system environment the checks run against
+ * 
+ * Checks never call child_process, fs or os directly; they go through the
+ * env on their run. Tests (and other callers) can replace any part of it:
+ * 
+ * - exec(command): run a shell command in env.cwd, returning its trimmed
+ *   output or null if it fails
+ * - probePort(port, host): try to listen on a TCP port, returning 'free',
+ *   the error code (e.g. 'EADDRINUSE') or null if it could not be tried
+ * - fs: existsSync, readFileSync, readdirSync, statSync and realpathSync (plus
+ *   mkdirSync and writeFileSync for the per-user state, see lib/state.js,
+ *   and the files init writes, see lib/init.js)
+ * - platform: 'darwin', 'win32' or 'linux'
+ * - homedir: the user's home directory
+ * - cwd: the directory checked as the local repository
+ * - vars: environment variables (process.env)
+ */
+
+const { execSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Execute a command and return the output
+ * Returns null if the command fails or is not found
+ */
+function executeCommand(command, cwd) {
+  try {
+    return execSync(command, { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Listens on a port and reports 'free' or the error code (run in a child
+// process so the checks can stay synchronous)
+const PROBE_SCRIPT = `
+const server = require('net').createServer();
+server.once('error', (error) => { process.stdout.write(error.code || 'ERROR'); });
+server.listen(Number(process.argv[1]), process.argv[2] || undefined, () => { process.stdout.write('free'); server.close(); });
+`;
+
+/**
+ * Try to listen on a TCP port, on every address when host is not a string
+ * Returns 'free', the error code (EADDRINUSE, EACCES, EADDRNOTAVAIL, ...)
+ * or null if the probe could not run
+ */
+function probePort(port, host) {
+  const result = spawnSync(process.execPath, ['-e', PROBE_SCRIPT, String(port), typeof host === 'string' ? host : ''], { encoding: 'utf-8', timeout: 5000 });
+  return result.status === 0 && result.stdout ? result.stdout.trim() : null;
+}
+
+/**
+ * Create an env for the current machine, with any parts overridden
+ */
+function createEnv(overrides = {}) {
+  const cwd = overrides.cwd || process.cwd();
+  
+  return {
+    exec: (command) => executeCommand(command, cwd),
+    probePort,
+    fs,
+    platform: os.platform(),
+    homedir: os.homedir(),
+    vars: process.env,
+    ...overrides,
+    cwd,
+  };
+}
+
+/**
+ * Path functions matching the env's platform (so Windows paths are built
+ * correctly even when a Windows env is simulated elsewhere)
+ */
+function pathFor(env) {
+  return env.platform === 'win32' ? path.win32 : path.posix;
+}
+
+module.exports = {
+  executeCommand,
+  probePort,
+  createEnv,
+  pathFor,
+};
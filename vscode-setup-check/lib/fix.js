@@ -0,0 +1,163 @@
+/**
+ * Automatic fixes (--fix)
+ * 
+ * Checks register a fix for problems that have a known command; applyFixes
+ * offers to run them after the checks and re-runs each check to confirm.
+ */
+
+const readline = require('readline');
+const { symbols, log, print, printHeader } = require('./output');
+
+/**
+ * Register an automatic fix for a failed check (applied with --fix)
+ * 
+ * fix.command(value) builds the shell command, fix.prompt asks the user for
+ * the value first, and fix.verify() re-runs the check afterwards.
+ */
+function registerFix(run, fix) {
+  run.results.fixes.push(fix);
+}
+
+/**
+ * Quote a user-supplied value for use as a single shell argument
+ * Commands run with cmd.exe on Windows, where a quote inside quotes is
+ * doubled and backslashes are literal unless they come before a quote.
+ * cmd.exe expands %VAR% even inside quotes, so each % is written outside
+ * them as ^%. Elsewhere commands run with a POSIX shell.
+ */
+function quoteArgument(env, value) {
+  if (env.platform === 'win32') {
+    // Backslashes are doubled where a quote follows them
+    const quoted = value.replace(/(\\*)("|%|$)/g, (match, slashes, next) => `${slashes}${slashes}${next === '"' ? '""' : next === '%' ? '"^%"' : ''}`);
+    return `"${quoted}"`;
+  }
+  return `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * Create a prompter that asks questions on the terminal
+ * Answers are buffered line by line so piped input is not lost between
+ * questions; once input ends every question is answered with ''.
+ */
+function createPrompter(output) {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  
+  rl.on('line', (line) => {
+    if (waiting.length > 0) {
+      waiting.shift()(line.trim());
+    } else {
+      lines.push(line.trim());
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(''));
+  });
+  
+  return {
+    ask(question) {
+      output.write(question);
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift());
+      }
+      if (closed) {
+        return Promise.resolve('');
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+/**
+ * Move a fixed check from the failed/warning lists to the passed list
+ */
+function markFixed(run, fix) {
+  const remove = (list, item) => {
+    const index = list.indexOf(item);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  };
+  
+  remove(run.results.failed, fix.label);
+  remove(run.results.warnings, fix.label);
+  remove(run.results[fix.criticality.toLowerCase()], fix.message);
+  run.results.passed.push(fix.passedLabel || fix.label);
+  
+  const check = run.results.checks.find((entry) => entry.id === fix.id && entry.status !== 'success');
+  if (check) {
+    check.status = 'success';
+    check.fixed = true;
+  }
+}
+
+/**
+ * Offer to run the fix for each fixable problem, then re-run its check
+ * With options.yes, commands run without asking for confirmation
+ */
+async function applyFixes(run, options = {}) {
+  printHeader(run, 'Fixing Problems');
+  
+  if (run.results.fixes.length === 0) {
+    print(run, 'Nothing to fix automatically.', 'green');
+    return run;
+  }
+  
+  // Keep prompts off stdout so --json output stays valid
+  const prompter = createPrompter(run.options.silent ? process.stderr : process.stdout);
+  
+  try {
+    for (const fix of run.results.fixes) {
+      print(run, `\n🔧 ${fix.description}`, 'cyan');
+      
+      let value;
+      if (fix.prompt) {
+        value = await prompter.ask(`  ${fix.prompt}: `);
+        const invalid = value && fix.validate ? fix.validate(value) : true;
+        
+        if (!value || invalid !== true) {
+          print(run, `  ⊘ Skipped${value ? ` - ${invalid}` : ''}`, 'yellow');
+          continue;
+        }
+      }
+      
+      const command = fix.command(value);
+      
+      if (!options.yes) {
+        const answer = await prompter.ask(`  Run: ${command}\n  Proceed? (y/n) `);
+        if (!/^y(es)?$/i.test(answer)) {
+          print(run, '  ⊘ Skipped', 'yellow');
+          continue;
+        }
+      } else {
+        log(run, `  Running: ${command}`);
+      }
+      
+      run.env.exec(command);
+      
+      if (fix.verify()) {
+        markFixed(run, fix);
+        print(run, `  ${symbols.success} Fixed - check now passes`, 'green');
+      } else {
+        print(run, `  ${symbols.failure} Still failing - follow the manual steps above`, 'red');
+      }
+    }
+  } finally {
+    prompter.close();
+  }
+  return run;
+}
+
+module.exports = {
+  registerFix,
+  quoteArgument,
+  createPrompter,
+  markFixed,
+  applyFixes,
+};
@@ -0,0 +1,279 @@
+/**
+ * Git authentication checks
+ * 
+ * Whether git push can sign in to GitHub: a credential helper for HTTPS
+ * remotes, and SSH keys, ~/.ssh/config entries and their permissions for
+ * SSH remotes.
+ */
+
+const { pathFor } = require('./env');
+const { createRun } = require('./run');
+const { log, print, printHeader, printResult, recordCheck } = require('./output');
+const { registerFix, quoteArgument } = require('./fix');
+const { guideLink } = require('./guides');
+const { parseGitHubRemote } = require('./repo');
+
+// Private keys ssh tries when ~/.ssh/config does not name one
+const DEFAULT_SSH_KEYS = ['id_ed25519', 'id_ecdsa', 'id_rsa', 'id_ed25519_sk', 'id_ecdsa_sk'];
+
+/**
+ * Read the github.com settings from an OpenSSH config file
+ * A Host block applies when one of its patterns matches github.com or its
+ * HostName is github.com (an alias such as "Host github-school").
+ * Returns { aliases, identityFiles } with identity files as absolute paths
+ */
+function parseSshConfig(content, homedir, path) {
+  const blocks = [{ patterns: ['*'], hostName: null, identityFiles: [] }];
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const match = line.match(/^(\S+?)\s*(?:=|\s)\s*(.+)$/);
+    if (!line || line.startsWith('#') || !match) {
+      continue;
+    }
+    
+    const key = match[1].toLowerCase();
+    const value = match[2].replace(/^"(.*)"$/, '$1');
+    if (key === 'host') {
+      blocks.push({ patterns: value.split(/\s+/), hostName: null, identityFiles: [] });
+    } else if (key === 'match') {
+      blocks.push({ patterns: [], hostName: null, identityFiles: [] });
+    } else if (key === 'hostname') {
+      blocks[blocks.length - 1].hostName = value.toLowerCase();
+    } else if (key === 'identityfile') {
+      const expanded = value.replace(/^~(?=[\\/]|$)/, homedir).replace(/%d/g, homedir);
+      blocks[blocks.length - 1].identityFiles.push(path.isAbsolute(expanded) ? expanded : path.join(homedir, expanded));
+    }
+  }
+  
+  const matches = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i').test('github.com');
+  const applies = (block) => block.hostName === 'github.com' ||
+    (!block.hostName && block.patterns.some((pattern) => !pattern.startsWith('!') && matches(pattern)));
+  
+  const githubBlocks = blocks.filter(applies);
+  return {
+    aliases: githubBlocks.filter((block) => block.hostName === 'github.com')
+      .flatMap((block) => block.patterns.filter((pattern) => !/[*?!]/.test(pattern)).map((pattern) => pattern.toLowerCase())),
+    identityFiles: [...new Set(githubBlocks.flatMap((block) => block.identityFiles))],
+  };
+}
+
+/**
+ * Check Git authentication: a credential helper for HTTPS remotes and SSH
+ * keys for SSH remotes, judged against the origin remote of the local
+ * repository. Only local configuration is read - nothing contacts GitHub.
+ */
+function checkGitAuth(run = createRun()) {
+  printHeader(run, 'Checking Git Authentication', 'repo');
+  
+  if (!run.env.exec('git --version')) {
+    print(run, '⊘ Skipping authentication checks - Git not found', 'yellow');
+    recordCheck(run, 'skipped', 'Skipping authentication checks - Git not found', 'Install Git first, then run this script again', { id: 'git.auth' });
+    return run;
+  }
+  
+  const path = pathFor(run.env);
+  const isRepo = run.env.fs.existsSync(path.join(run.env.cwd, '.git'));
+  const remoteUrl = isRepo ? run.env.exec('git remote get-url origin') : null;
+  const remote = (remoteUrl && parseGitHubRemote(remoteUrl)) || { protocol: null, host: null };
+  
+  if (remoteUrl) {
+    log(run, remote.protocol ? `  origin uses ${remote.protocol.toUpperCase()}: ${remoteUrl}` : `  origin is not on GitHub: ${remoteUrl}`);
+  }
+  
+  checkCredentialHelper(run, remote);
+  checkSshKeys(run, remote);
+  
+  return run;
+}
+
+/**
+ * Check for a credential helper (needed to push over HTTPS)
+ * remote is the origin remote (see parseGitHubRemote in lib/repo.js)
+ */
+function checkCredentialHelper(run, remote) {
+  const getHelper = () => run.env.exec('git config --get-urlmatch credential.helper https://github.com');
+  const helper = getHelper();
+  
+  if (helper) {
+    printResult(run, 'success', 'Git credential helper is configured', `Helper: ${helper}`, { id: 'git.credentialHelper' });
+    run.results.passed.push('Git credential helper set');
+    return;
+  }
+  
+  const { platform } = run.env;
+  const helperName = platform === 'darwin' ? 'osxkeychain' : platform === 'win32' ? 'manager' : 'cache --timeout=86400';
+  const helperCommand = `git config --global credential.helper ${helperName.includes(' ') ? quoteArgument(run.env, helperName) : helperName}`;
+  const isHttps = remote.protocol === 'https';
+  const criticality = isHttps ? 'IMPORTANT' : 'OPTIONAL';
+  const message = isHttps ? 'origin uses HTTPS but no credential helper is configured' : 'No Git credential helper configured';
+  
+  printResult(run, isHttps ? 'failure' : 'warning', message, isHttps ?
+    'git push will ask for your GitHub username and a token every time' :
+    'Needed to push over HTTPS without typing a token every time', {
+    id: 'git.credentialHelper',
+    criticality,
+    fix: [
+      platform === 'darwin' ? 'Save your GitHub sign-in in the macOS keychain:' :
+      platform === 'win32' ? 'Use Git Credential Manager (included with Git for Windows):' :
+      'Remember your GitHub sign-in for a day:',
+      `  ${helperCommand}`,
+      ...(platform === 'linux' ? [
+        '',
+        'Or, with the GitHub CLI installed, sign in once and let it handle Git:',
+        '  gh auth login',
+        '  gh auth setup-git'
+      ] : []),
+      '',
+      'The next git push asks you to sign in to GitHub once.'
+    ],
+    link: guideLink(run, 'repo')
+  });
+  (isHttps ? run.results.failed : run.results.warnings).push('No Git credential helper');
+  
+  registerFix(run, {
+    id: 'git.credentialHelper',
+    message,
+    criticality,
+    label: 'No Git credential helper',
+    passedLabel: 'Git credential helper set',
+    description: 'Configure a Git credential helper',
+    command: () => helperCommand,
+    verify: () => Boolean(getHelper()),
+  });
+}
+
+/**
+ * Check SSH keys, ~/.ssh/config entries for github.com and their
+ * permissions (needed to push over SSH)
+ */
+function checkSshKeys(run, remote) {
+  const path = pathFor(run.env);
+  const { fs, homedir } = run.env;
+  const sshDir = path.join(homedir, '.ssh');
+  const configPath = path.join(sshDir, 'config');
+  const isSsh = remote.protocol === 'ssh';
+  const display = (filePath) => (filePath.startsWith(homedir) ? `~${filePath.slice(homedir.length)}` : filePath);
+  
+  let configText = '';
+  try {
+    configText = String(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    // No ~/.ssh/config: ssh uses the default key names
+  }
+  const sshConfig = parseSshConfig(configText, homedir, path);
+  const keys = [...new Set([...sshConfig.identityFiles, ...DEFAULT_SSH_KEYS.map((name) => path.join(sshDir, name))])]
+    .filter((key) => fs.existsSync(key));
+  const missingIdentities = sshConfig.identityFiles.filter((key) => !fs.existsSync(key));
+  
+  // An SSH alias (e.g. git@github-school:...) must be defined in ~/.ssh/config
+  if (isSsh && !remote.host.includes('.') && !sshConfig.aliases.includes(remote.host)) {
+    printResult(run, 'failure', `origin uses the SSH host "${remote.host}", which ~/.ssh/config does not define`, 'git push will fail with "Could not resolve hostname"', {
+      id: 'git.sshConfig',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Add these lines to ~/.ssh/config:',
+        `  Host ${remote.host}`,
+        '    HostName github.com',
+        '    User git',
+        `    IdentityFile ${keys.length > 0 ? display(keys[0]) : '~/.ssh/id_ed25519'}`,
+        '',
+        'Or switch this repository to HTTPS:',
+        `  git remote set-url origin https://github.com/${remote.owner}/${remote.repo}.git`
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.failed.push('SSH host not configured');
+  } else if (missingIdentities.length > 0) {
+    printResult(run, isSsh ? 'failure' : 'warning', '~/.ssh/config names an SSH key that does not exist', missingIdentities.map(display).join(', '), {
+      id: 'git.sshConfig',
+      criticality: isSsh ? 'IMPORTANT' : 'OPTIONAL',
+      fix: [
+        'Point the IdentityFile lines for github.com in ~/.ssh/config at one of your keys, or create the missing key:',
+        `  ssh-keygen -t ed25519 -f "${display(missingIdentities[0])}"`
+      ],
+      link: guideLink(run, 'repo')
+    });
+    (isSsh ? run.results.failed : run.results.warnings).push('SSH config names a missing key');
+  }
+  
+  if (keys.length > 0) {
+    printResult(run, 'success', 'SSH key found', keys.map(display).join(', '), { id: 'git.sshKey' });
+    run.results.passed.push('SSH key found');
+  } else if (isSsh) {
+    const email = run.env.exec('git config --global user.email') || `your.email@${run.config.email.domains[0] || 'example.com'}`;
+    printResult(run, 'failure', 'origin uses SSH but no SSH key was found', 'git push will fail with "Permission denied (publickey)"', {
+      id: 'git.sshKey',
+      criticality: 'IMPORTANT',
+      fix: [
+        'Create a key (press Enter to accept the defaults):',
+        `  ssh-keygen -t ed25519 -C "${email}"`,
+        '',
+        'Then add the public key to GitHub:',
+        '  1. Copy the contents of ~/.ssh/id_ed25519.pub',
+        '  2. Go to https://github.com/settings/keys and click "New SSH key"',
+        '',
+        'Or switch this repository to HTTPS:',
+        `  git remote set-url origin https://github.com/${remote.owner}/${remote.repo}.git`
+      ],
+      link: guideLink(run, 'repo')
+    });
+    run.results.failed.push('No SSH key');
+  } else {
+    log(run, '  No SSH keys found - not needed when pushing over HTTPS');
+  }
+  
+  // ssh ignores keys and config files that other users can read or change
+  if (run.env.platform === 'win32' || (keys.length === 0 && !configText)) {
+    return;
+  }
+  
+  const getPermissionFixes = () => {
+    const mode = (filePath) => {
+      try {
+        return fs.statSync(filePath).mode & 0o777;
+      } catch (error) {
+        return 0;
+      }
+    };
+    return [
+      ...(mode(sshDir) & 0o022 ? [`chmod 700 ${display(sshDir)}`] : []),
+      ...(configText && mode(configPath) & 0o022 ? [`chmod 600 ${display(configPath)}`] : []),
+      ...keys.filter((key) => mode(key) & 0o077).map((key) => `chmod 600 ${display(key)}`),
+    ];
+  };
+  const commands = getPermissionFixes();
+  
+  if (commands.length === 0) {
+    printResult(run, 'success', 'SSH file permissions are safe', '', { id: 'git.sshPermissions' });
+    run.results.passed.push('SSH permissions safe');
+    return;
+  }
+  
+  printResult(run, isSsh ? 'failure' : 'warning', 'SSH files can be read or changed by other users', 'ssh refuses to use them ("UNPROTECTED PRIVATE KEY FILE" or "Bad owner or permissions")', {
+    id: 'git.sshPermissions',
+    criticality: isSsh ? 'IMPORTANT' : 'OPTIONAL',
+    fix: [
+      'Run these commands in terminal:',
+      ...commands.map((command) => `  ${command}`)
+    ],
+    link: guideLink(run, 'repo')
+  });
+  (isSsh ? run.results.failed : run.results.warnings).push('Unsafe SSH permissions');
+  
+  registerFix(run, {
+    id: 'git.sshPermissions',
+    message: 'SSH files can be read or changed by other users',
+    criticality: isSsh ? 'IMPORTANT' : 'OPTIONAL',
+    label: 'Unsafe SSH permissions',
+    passedLabel: 'SSH permissions safe',
+    description: 'Restrict the permissions of your SSH files',
+    command: () => commands.join(' && '),
+    verify: () => getPermissionFixes().length === 0,
+  });
+}
+
+module.exports = {
+  parseSshConfig,
+  checkGitAuth,
+};
@@ -0,0 +1,80 @@
+/**
+ * Guide link resolution
+ * 
+ * Course configurations name guide pages relative to a guide base (e.g.
+ * "repoSetup.html"). The base is, in order of preference:
+ * 
+ * 1. the --guide-base option
+ * 2. the local /guide folder, when run from inside a repository that
+ *    contains the guide (so Live Server can open the pages)
+ * 3. the published guide (config.guideBase)
+ * 
+ * Absolute URLs in the configuration are used as they are.
+ */
+
+const { pathFor } = require('./env');
+
+// Root-relative base used for a local guide served by Live Server
+const LOCAL_GUIDE_BASE = '/guide';
+
+/**
+ * Find the repository root containing guide/index.html and
+ * guide/verifySetup.js, looking from env.cwd upwards
+ */
+function findLocalGuide(env) {
+  const path = pathFor(env);
+  let dir = env.cwd;
+  
+  while (true) {
+    const guideDir = path.join(dir, 'guide');
+    if (env.fs.existsSync(path.join(guideDir, 'index.html')) && env.fs.existsSync(path.join(guideDir, 'verifySetup.js'))) {
+      return dir;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Choose the guide base for a run
+ */
+function resolveGuideBase(env, config, override) {
+  if (override) {
+    return override;
+  }
+  if (findLocalGuide(env)) {
+    return LOCAL_GUIDE_BASE;
+  }
+  return config.guideBase;
+}
+
+/**
+ * Join a guide page onto a guide base (absolute URLs are kept as they are)
+ */
+function resolveGuidePage(base, page) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(page)) {
+    return page;
+  }
+  
+  const trimmedBase = base.replace(/\/+$/, '');
+  return page ? `${trimmedBase}/${page}` : trimmedBase;
+}
+
+/**
+ * Resolve a guide key (home, vscode, repo, ...) to a link for a run
+ */
+function guideLink(run, key) {
+  return resolveGuidePage(run.guideBase, run.config.guides[key]);
+}
+
+module.exports = {
+  LOCAL_GUIDE_BASE,
+  findLocalGuide,
+  resolveGuideBase,
+  resolveGuidePage,
+  guideLink,
+};
@@ -0,0 +1,180 @@
+/**
+ * Run history
+ * 
+ * Each run from the command line is appended to history.json in the
+ * per-user data directory (see lib/state.js), keeping the latest
+ * MAX_HISTORY runs. The summary compares a run with the previous one from
+ * the same directory, and the `history` subcommand lists past runs.
+ */
+
+const { pathFor } = require('./env');
+const { getDataDir } = require('./state');
+const { getSummary, getExitCode } = require('./run');
+const { colors } = require('./output');
+
+// History file name inside the data directory
+const HISTORY_FILENAME = 'history.json';
+
+// Number of runs kept
+const MAX_HISTORY = 50;
+
+/**
+ * Path of the history file for an env
+ */
+function getHistoryPath(env) {
+  return pathFor(env).join(getDataDir(env), HISTORY_FILENAME);
+}
+
+/**
+ * Read past runs, oldest first (empty if there is no readable history)
+ */
+function loadHistory(env) {
+  try {
+    const history = JSON.parse(env.fs.readFileSync(getHistoryPath(env), 'utf8'));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * The history entry for a run: its summary and each check's status
+ */
+function createHistoryEntry(run) {
+  return {
+    generatedAt: new Date().toISOString(),
+    cwd: run.env.cwd,
+    platform: run.env.platform,
+    exitCode: getExitCode(run),
+    summary: getSummary(run),
+    checks: run.results.checks.map(({ id, status, message, criticality }) => ({ id, status, message, criticality })),
+  };
+}
+
+/**
+ * Append a run to the history file
+ * Returns the path written
+ */
+function saveRun(run) {
+  const history = loadHistory(run.env).concat(createHistoryEntry(run)).slice(-MAX_HISTORY);
+  const historyPath = getHistoryPath(run.env);
+  
+  run.env.fs.mkdirSync(getDataDir(run.env), { recursive: true });
+  run.env.fs.writeFileSync(historyPath, JSON.stringify(history, null, 2) + '\n');
+  return historyPath;
+}
+
+/**
+ * The run to compare against: the latest from the same directory, or null
+ * if this directory has not been checked before (a run from another
+ * repository has different checks)
+ */
+function findPreviousRun(history, cwd) {
+  const sameDirectory = history.filter((entry) => entry.cwd === cwd);
+  return sameDirectory.length > 0 ? sameDirectory[sameDirectory.length - 1] : null;
+}
+
+/**
+ * Compare a previous history entry with the current one
+ * Only checks present in both runs are compared. Checks are matched by id;
+ * an id recorded more than once in either run is matched by id and
+ * message, so its checks are not mixed up.
+ * Returns { since, fixed: [checks], broken: [checks], passRate: { from, to } }
+ */
+function diffRuns(previous, current) {
+  const isProblem = (check) => check.status === 'failure' || check.status === 'warning';
+  const repeated = new Set();
+  for (const checks of [previous.checks, current.checks]) {
+    const seen = new Set();
+    for (const { id } of checks) {
+      if (id && seen.has(id)) {
+        repeated.add(id);
+      }
+      seen.add(id);
+    }
+  }
+  const keyOf = (check) => (repeated.has(check.id) ? `${check.id}\n${check.message}` : check.id);
+  const before = new Map(previous.checks.filter((check) => check.id).map((check) => [keyOf(check), check]));
+  
+  const fixed = [];
+  const broken = [];
+  for (const check of current.checks) {
+    const earlier = check.id ? before.get(keyOf(check)) : undefined;
+    if (!earlier) {
+      continue;
+    }
+    if (isProblem(earlier) && check.status === 'success') {
+      fixed.push(check);
+    } else if (earlier.status === 'success' && isProblem(check)) {
+      broken.push(check);
+    }
+  }
+  
+  return {
+    since: previous.generatedAt,
+    fixed,
+    broken,
+    passRate: { from: previous.summary.passRate, to: current.summary.passRate },
+  };
+}
+
+/**
+ * Describe the change in completion rate, e.g. "▲ 57% → 71% (+14%)"
+ */
+function formatTrend(passRate) {
+  const change = passRate.to - passRate.from;
+  if (change === 0) {
+    return `= ${passRate.to}% (no change)`;
+  }
+  return `${change > 0 ? '▲' : '▼'} ${passRate.from}% → ${passRate.to}% (${change > 0 ? '+' : ''}${change}%)`;
+}
+
+/**
+ * Format past runs for the `history` subcommand, newest first
+ */
+function formatHistory(history, options = {}) {
+  const limit = options.limit || 20;
+  
+  if (history.length === 0) {
+    return 'No runs recorded yet. Run the checker first.';
+  }
+  
+  const rows = history.slice(-limit).reverse();
+  const lines = [
+    `${colors.bright}Last ${rows.length} of ${history.length} run(s)${colors.reset}`,
+    '',
+    'Date              Complete  Passed  Failed  Warnings  Exit  Directory',
+    '----------------  --------  ------  ------  --------  ----  ---------',
+  ];
+  
+  rows.forEach((entry, index) => {
+    const older = rows[index + 1];
+    const arrow = !older || older.summary.passRate === entry.summary.passRate ? ' ' : older.summary.passRate < entry.summary.passRate ? '▲' : '▼';
+    const color = entry.exitCode === 0 ? colors.green : entry.exitCode === 2 ? colors.yellow : colors.red;
+    
+    lines.push([
+      entry.generatedAt.slice(0, 16).replace('T', ' '),
+      `${color}${`${arrow} ${entry.summary.passRate}%`.padStart(8)}${colors.reset}`,
+      String(entry.summary.passed).padStart(6),
+      String(entry.summary.failed).padStart(6),
+      String(entry.summary.warnings).padStart(8),
+      String(entry.exitCode).padStart(4),
+      entry.cwd,
+    ].join('  '));
+  });
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  HISTORY_FILENAME,
+  MAX_HISTORY,
+  getHistoryPath,
+  loadHistory,
+  createHistoryEntry,
+  saveRun,
+  findPreviousRun,
+  diffRuns,
+  formatTrend,
+  formatHistory,
+};
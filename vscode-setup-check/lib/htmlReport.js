@@ -0,0 +1,500 @@
+/**
+ * Self-contained HTML report (--report report.html)
+ * 
+ * Renders the structured report (see buildReport in lib/run.js) as a single
+ * page styled like the guide pages: one section per check group, status
+ * badges, the criticality breakdown and fix steps as copyable code blocks.
+ */
+
+const { pathFor } = require('./env');
+const { buildReport, getVerdict } = require('./run');
+const { LOCAL_GUIDE_BASE, findLocalGuide } = require('./guides');
+
+// Badge text for each check status
+const STATUS_BADGES = {
+  success: '✓ Passed',
+  failure: '✗ Failed',
+  warning: '⚠ Warning',
+  skipped: '⊘ Skipped',
+};
+
+// Criticality symbols, as in the terminal output
+const CRITICALITY_SYMBOLS = {
+  CRITICAL: '🔴',
+  IMPORTANT: '🟡',
+  OPTIONAL: '🟢',
+};
+
+const STYLES = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans', Helvetica, Arial, sans-serif;
+            line-height: 1.6;
+            color: #333333;
+            max-width: 1000px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #ffffff;
+        }
+
+        h1 {
+            color: #000000;
+            border-bottom: 2px solid #cccccc;
+            padding-bottom: 0.3em;
+            margin-bottom: 1em;
+        }
+
+        h2 {
+            color: #000000;
+            border-bottom: 1px solid #cccccc;
+            padding-bottom: 0.3em;
+            margin-top: 2em;
+        }
+
+        a {
+            color: #555555;
+            text-decoration: underline;
+        }
+
+        a:hover {
+            color: #000000;
+        }
+
+        code {
+            background-color: #f5f5f5;
+            padding: 0.2em 0.4em;
+            border-radius: 3px;
+            font-size: 0.9em;
+            font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+            border: 1px solid #eeeeee;
+        }
+
+        pre {
+            background-color: #f5f5f5;
+            padding: 1em;
+            border-radius: 6px;
+            overflow-x: auto;
+            margin: 0.5em 0;
+            border: 1px solid #eeeeee;
+        }
+
+        pre code {
+            background-color: transparent;
+            padding: 0;
+            border: none;
+        }
+
+        .code-container {
+            position: relative;
+        }
+
+        .copy-button {
+            position: absolute;
+            top: 0.5em;
+            right: 0.5em;
+            background-color: #555555;
+            color: #ffffff;
+            border: none;
+            padding: 0.4em 0.8em;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 0.85em;
+        }
+
+        .copy-button:hover {
+            background-color: #000000;
+        }
+
+        .copy-button.copied {
+            background-color: #66bb6a;
+        }
+
+        .summary-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 1.5em;
+            margin: 1.5em 0;
+        }
+
+        .summary-card {
+            background-color: #f8f8f8;
+            padding: 1.5em;
+            border-radius: 8px;
+            border: 1px solid #dddddd;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.05);
+        }
+
+        .summary-card h3 {
+            color: #000000;
+            margin-top: 0;
+            margin-bottom: 0.8em;
+            font-size: 1.1em;
+        }
+
+        .summary-card ul {
+            padding-left: 1.2em;
+            margin: 0;
+        }
+
+        .info-box, .warning-box, .success-box, .failure-box {
+            padding: 1em;
+            margin: 1em 0;
+            border-radius: 4px;
+        }
+
+        .info-box {
+            background-color: #f8f8f8;
+            border-left: 4px solid #555555;
+        }
+
+        .warning-box {
+            background-color: #fff8e1;
+            border-left: 4px solid #ffa726;
+        }
+
+        .success-box {
+            background-color: #f1f8f4;
+            border-left: 4px solid #66bb6a;
+        }
+
+        .failure-box {
+            background-color: #fdecea;
+            border-left: 4px solid #e53935;
+        }
+
+        .check {
+            border: 1px solid #dddddd;
+            border-radius: 8px;
+            padding: 0.8em 1em;
+            margin: 0.8em 0;
+        }
+
+        .check-title {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5em;
+            font-weight: 600;
+            color: #000000;
+        }
+
+        .check-details {
+            margin: 0.3em 0 0;
+            color: #555555;
+        }
+
+        .badge {
+            display: inline-block;
+            padding: 0.1em 0.6em;
+            border-radius: 999px;
+            font-size: 0.8em;
+            font-weight: 600;
+            white-space: nowrap;
+        }
+
+        .badge-success { background-color: #e8f5e9; color: #2e7d32; }
+        .badge-failure { background-color: #fdecea; color: #c62828; }
+        .badge-warning { background-color: #fff8e1; color: #e65100; }
+        .badge-skipped { background-color: #eeeeee; color: #555555; }
+        .badge-criticality { background-color: #f5f5f5; color: #333333; }
+
+        .fix p {
+            margin: 0.5em 0 0.2em;
+        }
+
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1em 0;
+        }
+
+        th, td {
+            border: 1px solid #dddddd;
+            padding: 0.5em 0.8em;
+            text-align: left;
+            vertical-align: top;
+        }
+
+        th {
+            background-color: #f8f8f8;
+        }
+
+        .checklist {
+            list-style: none;
+            padding-left: 0;
+        }
+
+        .meta {
+            color: #666666;
+            font-size: 0.9em;
+        }
+
+        @media (max-width: 768px) {
+            body {
+                padding: 10px;
+                font-size: 16px;
+            }
+
+            .summary-grid {
+                grid-template-columns: 1fr;
+                gap: 1em;
+            }
+        }
+`;
+
+// Same copy-button behaviour as the guide pages
+const COPY_SCRIPT = `
+        document.addEventListener('DOMContentLoaded', function() {
+            document.querySelectorAll('pre').forEach(function(pre) {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'code-container';
+                pre.parentNode.insertBefore(wrapper, pre);
+                wrapper.appendChild(pre);
+
+                const button = document.createElement('button');
+                button.className = 'copy-button';
+                button.textContent = 'Copy';
+                button.addEventListener('click', function() {
+                    navigator.clipboard.writeText(pre.textContent).then(function() {
+                        button.textContent = 'Copied!';
+                        button.classList.add('copied');
+                        setTimeout(function() {
+                            button.textContent = 'Copy';
+                            button.classList.remove('copied');
+                        }, 2000);
+                    });
+                });
+                wrapper.appendChild(button);
+            });
+        });
+`;
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split fix steps into prose and command blocks
+ * Indented lines that are not numbered steps ("  git add .") are commands;
+ * consecutive commands share one block.
+ */
+function groupFixSteps(steps) {
+  const blocks = [];
+  
+  for (const step of steps) {
+    const isCommand = /^\s{2,}\S/.test(step) && !/^\s+\d+\.\s/.test(step);
+    const last = blocks[blocks.length - 1];
+    
+    if (!step.trim()) {
+      continue;
+    } else if (isCommand && last && last.type === 'code') {
+      last.lines.push(step.trim());
+    } else if (isCommand) {
+      blocks.push({ type: 'code', lines: [step.trim()] });
+    } else {
+      blocks.push({ type: 'text', lines: [step.trim()] });
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Render the fix steps of a check
+ */
+function renderFix(steps) {
+  return groupFixSteps(steps).map((block) => {
+    if (block.type === 'code') {
+      return `<pre><code>${escapeHtml(block.lines.join('\n'))}</code></pre>`;
+    }
+    return `<p>${escapeHtml(block.lines[0])}</p>`;
+  }).join('\n');
+}
+
+/**
+ * Render one check
+ */
+function renderCheck(check, resolveLink) {
+  const parts = [
+    `<div class="check check-${check.status}" id="${escapeHtml(check.id || '')}">`,
+    '<div class="check-title">',
+    `<span class="badge badge-${check.status}">${STATUS_BADGES[check.status] || escapeHtml(check.status)}</span>`,
+    `<span>${escapeHtml(check.message)}</span>`,
+  ];
+  
+  if (check.criticality && check.status !== 'success') {
+    parts.push(`<span class="badge badge-criticality">${CRITICALITY_SYMBOLS[check.criticality]} ${check.criticality}</span>`);
+  }
+  if (check.fixed) {
+    parts.push('<span class="badge badge-success">Fixed with --fix</span>');
+  }
+  parts.push('</div>');
+  
+  if (check.details) {
+    parts.push(`<p class="check-details">${escapeHtml(check.details)}</p>`);
+  }
+  
+  if (check.status !== 'success') {
+    if (check.fix.length > 0) {
+      parts.push(`<div class="fix">\n<p><strong>💡 How to fix:</strong></p>\n${renderFix(check.fix)}\n</div>`);
+    }
+    
+    const link = check.link || check.guide;
+    if (link) {
+      parts.push(`<p>📖 Guide: <a href="${escapeHtml(resolveLink(link))}">${escapeHtml(link)}</a></p>`);
+    }
+  }
+  
+  parts.push('</div>');
+  return parts.join('\n');
+}
+
+/**
+ * Render the summary counts and criticality breakdown
+ */
+function renderSummary(summary) {
+  const verdict = getVerdict(summary);
+  const boxClass = {
+    perfect: 'success-box',
+    ok: 'success-box',
+    critical: 'failure-box',
+    important: 'warning-box',
+  }[verdict.level];
+  
+  const criticality = [
+    ['CRITICAL', summary.criticality.critical, 'Must fix for development to work'],
+    ['IMPORTANT', summary.criticality.important, 'Recommended for full functionality'],
+    ['OPTIONAL', summary.criticality.optional, 'Nice to have, not required'],
+  ].filter(([, count]) => count > 0);
+  
+  return `
+    <div class="${boxClass}">
+        <p><strong>${escapeHtml(verdict.title)}</strong></p>
+        ${verdict.advice.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n        ')}
+    </div>
+
+    <div class="summary-grid">
+        <div class="summary-card">
+            <h3>Results</h3>
+            <ul>
+                <li>✓ Passed: ${summary.passed}</li>
+                <li>✗ Failed: ${summary.failed}</li>
+                <li>⚠ Warnings: ${summary.warnings}</li>
+            </ul>
+        </div>
+        <div class="summary-card">
+            <h3>Completion Rate</h3>
+            <p style="font-size: 2em; margin: 0;"><strong>${summary.passRate}%</strong></p>
+        </div>
+        <div class="summary-card">
+            <h3>Failed Items by Criticality</h3>
+            ${criticality.length > 0 ? `<ul>
+                ${criticality.map(([level, count, text]) => `<li>${CRITICALITY_SYMBOLS[level]} ${level.charAt(0) + level.slice(1).toLowerCase()}: ${count} - ${text}</li>`).join('\n                ')}
+            </ul>` : '<p>None</p>'}
+        </div>
+    </div>`;
+}
+
+/**
+ * Render a structured report as a standalone HTML page
+ * options.resolveLink(link) can rewrite guide links (e.g. to relative paths)
+ */
+function renderHtmlReport(report, options = {}) {
+  const resolveLink = options.resolveLink || ((link) => link);
+  
+  // Group checks by section, keeping the order they ran in
+  const sections = new Map();
+  for (const check of report.checks) {
+    const section = check.section || 'Other Checks';
+    if (!sections.has(section)) {
+      sections.set(section, []);
+    }
+    sections.get(section).push(check);
+  }
+  
+  const sectionHtml = [...sections].map(([title, checks]) => `
+    <h2>${escapeHtml(title.replace(/^Checking /, ''))}</h2>
+${checks.map((check) => renderCheck(check, resolveLink)).join('\n')}`).join('\n');
+  
+  const checklist = (report.manualChecklist || []).map((entry) => `<li>${entry.confirmed ? '☑' : '☐'} ${escapeHtml(entry.item)}</li>`).join('\n        ');
+  
+  return renderPage('Setup Verification Report', `
+    <p class="meta">
+        ${report.student ? `Student: <strong>${escapeHtml(report.student)}</strong> · ` : ''}Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}
+        · ${escapeHtml(report.platform)}
+        · ${escapeHtml(report.tool)} ${escapeHtml(report.version)}<br>
+        Directory: <code>${escapeHtml(report.cwd)}</code>
+    </p>
+
+    <h2>Summary</h2>
+${renderSummary(report.summary)}
+${sectionHtml}
+
+    <h2>Manual Verification Checklist</h2>
+    <p>${report.summary.manualChecklist.confirmed} of ${report.summary.manualChecklist.total} confirmed</p>
+    <ul class="checklist">
+        ${checklist}
+    </ul>
+
+    <div class="info-box">
+        <p>📚 For detailed guides, visit: <a href="${escapeHtml(resolveLink(report.guide))}">${escapeHtml(report.guide)}</a></p>
+    </div>`);
+}
+
+/**
+ * Wrap body HTML in a standalone page with the guide styles and copy buttons
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>${STYLES}    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+${body}
+
+    <script>${COPY_SCRIPT}    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report for a run
+ * Local /guide links are rewritten relative to the report file so they
+ * open from disk.
+ */
+function writeHtmlReport(run, reportPath) {
+  const path = pathFor(run.env);
+  const outputPath = path.resolve(run.env.cwd, reportPath);
+  const guideRoot = findLocalGuide(run.env);
+  
+  const resolveLink = (link) => {
+    if (!guideRoot || !link.startsWith(`${LOCAL_GUIDE_BASE}/`)) {
+      return link;
+    }
+    const target = path.join(guideRoot, link);
+    return path.relative(path.dirname(outputPath), target).split(path.sep).join('/');
+  };
+  
+  run.env.fs.writeFileSync(outputPath, renderHtmlReport(buildReport(run), { resolveLink }));
+  return outputPath;
+}
+
+module.exports = {
+  escapeHtml,
+  groupFixSteps,
+  renderPage,
+  renderHtmlReport,
+  writeHtmlReport,
+};
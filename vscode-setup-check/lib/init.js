@@ -0,0 +1,413 @@
+/**
+ * Workspace setup (the `init` subcommand)
+ * 
+ * Writes the files that make every student's copy of a course repository
+ * behave the same: .vscode/extensions.json (VS Code offers to install the
+ * recommended extensions when the folder is opened), .vscode/settings.json
+ * (the course's workspaceSettings) and a .gitignore for p5 sketches.
+ * Existing files are merged, never replaced: entries already there are
+ * kept as they are and only missing ones are added. JSON files are edited
+ * as text, so their comments and formatting stay.
+ */
+
+const { pathFor } = require('./env');
+const { WORKSPACE_SETTINGS, parseJsonc } = require('./settings');
+const { IGNORE_ENTRIES, parseIgnorePatterns } = require('./repo');
+
+// Workspace extension recommendations, relative to the workspace folder
+const WORKSPACE_EXTENSIONS = '.vscode/extensions.json';
+
+// .gitignore lines for p5 sketch repositories, in groups under a comment
+const GITIGNORE_GROUPS = [
+  { comment: 'Operating system files', lines: ['.DS_Store', 'Thumbs.db', 'desktop.ini'] },
+  { comment: 'Installed packages and logs', lines: ['node_modules/', 'npm-debug.log*'] },
+  { comment: 'Secrets such as API keys', lines: ['.env'] },
+];
+
+// Lines of unchanged text shown around each change in a diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Read a file of the workspace, or null if there is none
+ */
+function readWorkspaceFile(env, file) {
+  try {
+    return String(env.fs.readFileSync(pathFor(env).join(env.cwd, ...file.split('/')), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse an existing JSON(C) object file
+ * Returns { value } or { error } (a message)
+ */
+function parseObject(text) {
+  try {
+    const value = parseJsonc(text);
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'line 1: must be an object ({ ... })' };
+    }
+    return { value };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Format a JSON object for a new file
+ */
+function formatJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+/**
+ * The tokens of a JSON(C) text: strings, literals and punctuation, with
+ * their positions, without whitespace and comments
+ * Returns [{ text, start, end }]
+ */
+function tokenizeJsonc(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    let end = i + 1;
+    if (text.startsWith('//', i)) {
+      end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+      continue;
+    }
+    if (text.startsWith('/*', i)) {
+      end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if (/\s|\uFEFF/.test(text[i])) {
+      i++;
+      continue;
+    }
+    if (text[i] === '"') {
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      end++;
+    } else if (!'{}[],:'.includes(text[i])) {
+      while (end < text.length && !/[\s{}[\],:"/]/.test(text[end])) {
+        end++;
+      }
+    }
+    tokens.push({ text: text.slice(i, end), start: i, end });
+    i = end;
+  }
+  return tokens;
+}
+
+/**
+ * The members of the top-level object in the tokens of a JSON(C) text
+ * Returns { members, close } where members maps each key to the indexes of
+ * the first and last token of its value, and close is the index of the
+ * closing brace
+ */
+function findMembers(tokens) {
+  const members = {};
+  let index = 1;
+  while (tokens[index].text !== '}') {
+    if (tokens[index].text === ',') {
+      index++;
+      continue;
+    }
+    const key = JSON.parse(tokens[index].text);
+    const first = index + 2;
+    let depth = 0;
+    index = first;
+    do {
+      const token = tokens[index].text;
+      depth += token === '{' || token === '[' ? 1 : token === '}' || token === ']' ? -1 : 0;
+      index++;
+    } while (depth > 0);
+    members[key] = { first, last: index - 1 };
+  }
+  return { members, close: index };
+}
+
+/**
+ * The indentation of the line a position is on
+ */
+function lineIndent(text, position) {
+  const start = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(start).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Insert entries ('"key": value' or array items) into the object or array
+ * between tokens open and close, after its last entry (and any comment on
+ * that line). Arrays written on one line stay on one line.
+ */
+function insertEntries(text, tokens, open, close, entries, indent, closeIndent) {
+  const last = tokens[close - 1];
+  const hasEntries = close - 1 !== open;
+  const trailingComma = last.text === ',';
+  const closeStart = tokens[close].start;
+  
+  if (tokens[open].text === '[' && !text.slice(tokens[open].end, closeStart).includes('\n')) {
+    const separator = hasEntries && !trailingComma ? ', ' : trailingComma ? ' ' : '';
+    return `${text.slice(0, last.end)}${separator}${entries.join(', ')}${trailingComma ? ',' : ''}${text.slice(last.end)}`;
+  }
+  
+  // New lines go after the last entry's line, before the closing one
+  let position = closeStart;
+  while (position > last.end && /\s/.test(text[position - 1])) {
+    position--;
+  }
+  const onOwnLine = text.slice(position, closeStart).includes('\n');
+  const comma = hasEntries && !trailingComma ? ',' : '';
+  const inserted = `${entries.map((entry) => `\n${indent}${entry}`).join(',')}${trailingComma ? ',' : ''}${onOwnLine ? '' : `\n${closeIndent}`}`;
+  return `${text.slice(0, last.end)}${comma}${text.slice(last.end, position)}${inserted}${text.slice(position)}`;
+}
+
+/**
+ * Add to the top-level object of a JSON(C) text without rewriting it, so
+ * comments and formatting are kept
+ * changes are [{ key, value }] for new members and [{ key, items }] for
+ * items to add to the array at key (created when missing, replaced when not
+ * an array)
+ */
+function editJson(text, changes) {
+  const match = text.match(/^[ \t]+(?=")/m);
+  const unit = match ? match[0] : '  ';
+  const format = (value, indent) => JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+  
+  let result = text;
+  for (const change of changes) {
+    const tokens = tokenizeJsonc(result);
+    const { members, close } = findMembers(tokens);
+    const member = members[change.key];
+    const firstKey = close > 1 ? tokens[1].start : null;
+    const memberIndent = firstKey !== null && /^[ \t]*$/.test(result.slice(result.lastIndexOf('\n', firstKey - 1) + 1, firstKey)) ? lineIndent(result, firstKey) : unit;
+    
+    if (change.items && member && tokens[member.first].text === '[') {
+      const { first, last } = member;
+      const keyIndent = lineIndent(result, tokens[first].start);
+      const itemIndent = last - 1 > first ? lineIndent(result, tokens[last - 1].start) : `${keyIndent}${unit}`;
+      const items = change.items.map((item) => format(item, itemIndent));
+      result = insertEntries(result, tokens, first, last, items, itemIndent, keyIndent);
+    } else if (member) {
+      const value = format(change.items, lineIndent(result, tokens[member.first].start));
+      result = `${result.slice(0, tokens[member.first].start)}${value}${result.slice(tokens[member.last].end)}`;
+    } else {
+      const value = change.items || change.value;
+      const entry = `${JSON.stringify(change.key)}: ${format(value, memberIndent)}`;
+      result = insertEntries(result, tokens, 0, close, [entry], memberIndent, lineIndent(result, tokens[0].start));
+    }
+  }
+  return result;
+}
+
+/**
+ * Add IDs missing from a list of extension IDs (compared ignoring case)
+ */
+function addIds(list, ids) {
+  const result = [...list];
+  for (const id of ids) {
+    if (!result.some((existing) => String(existing).toLowerCase() === id.toLowerCase())) {
+      result.push(id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Plan .vscode/extensions.json: the required extensions are recommended,
+ * the conflicting and deprecated ones unwanted
+ */
+function planExtensions(env, config) {
+  const before = readWorkspaceFile(env, WORKSPACE_EXTENSIONS);
+  const parsed = before === null ? { value: {} } : parseObject(before);
+  if (parsed.error) {
+    return { file: WORKSPACE_EXTENSIONS, before, after: before, added: [], error: parsed.error };
+  }
+  
+  const existing = parsed.value;
+  const recommendations = Array.isArray(existing.recommendations) ? existing.recommendations : [];
+  const unwanted = Array.isArray(existing.unwantedRecommendations) ? existing.unwantedRecommendations : [];
+  const merged = { ...existing, recommendations: addIds(recommendations, Object.keys(config.extensions.required)) };
+  
+  const isRecommended = (id) => merged.recommendations.some((existingId) => String(existingId).toLowerCase() === id.toLowerCase());
+  const unwantedIds = [...Object.keys(config.extensions.conflicting || {}), ...Object.keys(config.extensions.deprecated || {})].filter((id) => !isRecommended(id));
+  const mergedUnwanted = addIds(unwanted, unwantedIds);
+  if (mergedUnwanted.length > 0) {
+    merged.unwantedRecommendations = mergedUnwanted;
+  }
+  
+  const newRecommendations = merged.recommendations.slice(recommendations.length);
+  const newUnwanted = mergedUnwanted.slice(unwanted.length);
+  const added = [...newRecommendations, ...newUnwanted.map((id) => `${id} (unwanted)`)];
+  if (added.length === 0) {
+    return { file: WORKSPACE_EXTENSIONS, before, after: before, added, error: null };
+  }
+  
+  // Arrays that were not arrays are replaced whole, as they were read as []
+  const changes = [
+    { key: 'recommendations', items: Array.isArray(existing.recommendations) ? newRecommendations : merged.recommendations },
+    { key: 'unwantedRecommendations', items: Array.isArray(existing.unwantedRecommendations) ? newUnwanted : mergedUnwanted },
+  ].filter((change) => change.items.length > 0);
+  return { file: WORKSPACE_EXTENSIONS, before, after: before === null ? formatJson(merged) : editJson(before, changes), added, error: null };
+}
+
+/**
+ * Plan .vscode/settings.json: workspaceSettings not set already are added
+ */
+function planSettings(env, config) {
+  const before = readWorkspaceFile(env, WORKSPACE_SETTINGS);
+  const parsed = before === null ? { value: {} } : parseObject(before);
+  if (parsed.error) {
+    return { file: WORKSPACE_SETTINGS, before, after: before, added: [], error: parsed.error };
+  }
+  
+  const merged = { ...parsed.value };
+  const added = [];
+  for (const [key, value] of Object.entries(config.workspaceSettings || {})) {
+    if (!Object.prototype.hasOwnProperty.call(merged, key)) {
+      merged[key] = value;
+      added.push(key);
+    }
+  }
+  if (added.length === 0) {
+    return { file: WORKSPACE_SETTINGS, before, after: before, added, error: null };
+  }
+  return { file: WORKSPACE_SETTINGS, before, after: before === null ? formatJson(merged) : editJson(before, added.map((key) => ({ key, value: merged[key] }))), added, error: null };
+}
+
+/**
+ * Plan .gitignore: missing GITIGNORE_GROUPS lines are appended
+ */
+function planGitignore(env) {
+  const before = readWorkspaceFile(env, '.gitignore');
+  const patterns = parseIgnorePatterns(before || '');
+  const isCovered = (line) => {
+    const known = IGNORE_ENTRIES.find((ignore) => ignore.entry === line);
+    return (known ? known.patterns : parseIgnorePatterns(line)).some((pattern) => patterns.includes(pattern));
+  };
+  
+  const added = [];
+  const blocks = [];
+  for (const group of GITIGNORE_GROUPS) {
+    const missing = group.lines.filter((line) => !isCovered(line));
+    if (missing.length > 0) {
+      blocks.push([`# ${group.comment}`, ...missing].join('\n'));
+      added.push(...missing);
+    }
+  }
+  
+  if (added.length === 0) {
+    return { file: '.gitignore', before, after: before, added, error: null };
+  }
+  const start = before ? `${before.replace(/\s*$/, '')}\n\n` : '';
+  return { file: '.gitignore', before, after: `${start}${blocks.join('\n\n')}\n`, added, error: null };
+}
+
+/**
+ * What init would change in the workspace at cwd
+ * Returns [{ file, before, after, added, error }] where before is null for
+ * a new file, after equals before when nothing changes, added lists what
+ * is added, and error is why an existing file cannot be merged
+ */
+function planInit(env, config) {
+  return [planExtensions(env, config), planSettings(env, config), planGitignore(env)];
+}
+
+/**
+ * Write the planned files that change
+ * Returns the entries written
+ */
+function applyInit(env, plan) {
+  const path = pathFor(env);
+  const written = plan.filter((entry) => !entry.error && entry.after !== entry.before);
+  for (const entry of written) {
+    const target = path.join(env.cwd, ...entry.file.split('/'));
+    env.fs.mkdirSync(path.dirname(target), { recursive: true });
+    env.fs.writeFileSync(target, entry.after);
+  }
+  return written;
+}
+
+/**
+ * The lines of a text, without the empty one after a final newline
+ */
+function splitLines(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Unified diff of a planned file (see planInit), or '' if it does not change
+ */
+function formatDiff(entry) {
+  if (entry.after === entry.before) {
+    return '';
+  }
+  
+  const a = splitLines(entry.before);
+  const b = splitLines(entry.after);
+  
+  // Longest common subsequence, from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i], oldLine: i++, newLine: j++ });
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      operations.push({ type: '+', line: b[j], oldLine: i, newLine: j++ });
+    } else {
+      operations.push({ type: '-', line: a[i], oldLine: i++, newLine: j });
+    }
+  }
+  
+  // Group the changes, with DIFF_CONTEXT unchanged lines around each
+  const hunks = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const from = Math.max(0, index - DIFF_CONTEXT);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.min(operations.length, index + DIFF_CONTEXT + 1);
+    } else {
+      hunks.push({ from, to: Math.min(operations.length, index + DIFF_CONTEXT + 1) });
+    }
+  });
+  
+  const output = [
+    `--- ${entry.before === null ? '/dev/null' : `a/${entry.file}`}`,
+    `+++ b/${entry.file}`,
+  ];
+  for (const { from, to } of hunks) {
+    const lines = operations.slice(from, to);
+    const oldCount = lines.filter((line) => line.type !== '+').length;
+    const newCount = lines.filter((line) => line.type !== '-').length;
+    const oldStart = oldCount > 0 ? lines[0].oldLine + 1 : lines[0].oldLine;
+    const newStart = newCount > 0 ? lines[0].newLine + 1 : lines[0].newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    output.push(...lines.map((line) => `${line.type}${line.line}`));
+  }
+  return output.join('\n');
+}
+
+module.exports = {
+  WORKSPACE_EXTENSIONS,
+  GITIGNORE_GROUPS,
+  planInit,
+  applyInit,
+  formatDiff,
+};
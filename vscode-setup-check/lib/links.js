@@ -0,0 +1,232 @@
+/**
+ * Offline link checker for the static site in a repository
+ * 
+ * Every .html file in the working tree is scanned for relative src and href
+ * references (scripts, images, stylesheets, other pages), which are resolved
+ * against the files on disk one path segment at a time. A reference whose
+ * case differs from the file name works under Live Server on macOS and
+ * Windows but 404s on GitHub Pages, which is case-sensitive. Root-relative
+ * references (/sketch.js) start at the repository here, but at the host on
+ * a Pages project site (owner.github.io/repo/), where they 404.
+ */
+
+const { posix } = require('path');
+const { pathFor } = require('./env');
+
+// Stop scanning after this many HTML files (e.g. when run from a home folder)
+const MAX_HTML_FILES = 500;
+
+// Folders that are not part of the published site
+const SKIPPED_FOLDERS = ['node_modules'];
+
+/**
+ * HTML files below dir, as paths relative to dir (hidden folders and
+ * SKIPPED_FOLDERS are not searched)
+ * Returns { files, truncated }
+ */
+function findHtmlFiles(env, dir) {
+  const path = pathFor(env);
+  const files = [];
+  let truncated = false;
+  
+  const visit = (folder, relative) => {
+    let entries;
+    try {
+      entries = env.fs.readdirSync(folder, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    
+    for (const entry of entries) {
+      if (files.length >= MAX_HTML_FILES) {
+        truncated = true;
+        return;
+      }
+      const childRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_FOLDERS.includes(entry.name)) {
+          visit(path.join(folder, entry.name), childRelative);
+        }
+      } else if (/\.html?$/i.test(entry.name)) {
+        files.push(childRelative);
+      }
+    }
+  };
+  
+  visit(dir, '');
+  return { files: files.sort(), truncated };
+}
+
+/**
+ * Relative references in an HTML document
+ * Returns [{ attribute, value, target, line }] where target is the path part
+ * of value (no query or fragment, URL-decoded). Comments, absolute URLs,
+ * protocol-relative URLs, fragments and template placeholders are skipped.
+ */
+function extractReferences(html) {
+  const text = String(html);
+  const references = [];
+  const attributePattern = /<[a-z][^>]*?\s(src|href)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+))/gi;
+  
+  // Blank out comments so line numbers stay right
+  const source = text.replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  
+  let match;
+  while ((match = attributePattern.exec(source)) !== null) {
+    const value = (match[2] ?? match[3] ?? match[4]).trim();
+    if (!value || /^([a-z][a-z0-9+.-]*:|\/\/|#|\{\{|\$\{|<%)/i.test(value)) {
+      continue;
+    }
+    
+    let target = value.replace(/[?#].*$/, '');
+    try {
+      target = decodeURIComponent(target);
+    } catch (error) {
+      // Keep malformed escapes as written
+    }
+    if (!target) {
+      continue;
+    }
+    
+    references.push({
+      attribute: match[1].toLowerCase(),
+      value,
+      target,
+      line: source.slice(0, match.index).split('\n').length,
+    });
+  }
+  
+  return references;
+}
+
+/**
+ * Resolve a reference target from an HTML file against the site root
+ * Root-relative targets (/x) start at the root. Folders resolve to their
+ * index.html.
+ * Returns { status: 'ok' | 'missing' | 'case' | 'outside', actual } where
+ * actual is the path with the case used on disk (for 'case')
+ */
+function resolveReference(env, root, htmlFile, target, listDir) {
+  // References use forward slashes on every platform
+  const relative = target.startsWith('/') ? target.replace(/^\/+/, '') : posix.join(posix.dirname(htmlFile), target);
+  const segments = posix.normalize(relative || '.').split('/').filter((segment) => segment && segment !== '.');
+  if (segments[0] === '..') {
+    return { status: 'outside', actual: null };
+  }
+  
+  const systemPath = pathFor(env);
+  const actual = [];
+  let mismatch = false;
+  let folder = root;
+  
+  for (let index = 0; index <= segments.length; index++) {
+    const entries = listDir(folder);
+    
+    // The reference names a folder: look for its index.html
+    if (index === segments.length) {
+      const page = entries && entries.find((entry) => entry.name.toLowerCase() === 'index.html');
+      if (!page) {
+        return { status: 'missing', actual: null };
+      }
+      if (page.name !== 'index.html') {
+        actual.push(page.name);
+        return { status: 'case', actual: actual.join('/') };
+      }
+      return mismatch ? { status: 'case', actual: actual.join('/') } : { status: 'ok', actual: null };
+    }
+    
+    if (!entries) {
+      return { status: 'missing', actual: null };
+    }
+    const segment = segments[index];
+    const exact = entries.find((entry) => entry.name === segment);
+    const other = exact || entries.find((entry) => entry.name.toLowerCase() === segment.toLowerCase());
+    if (!other) {
+      return { status: 'missing', actual: null };
+    }
+    
+    mismatch = mismatch || !exact;
+    actual.push(other.name);
+    folder = systemPath.join(folder, other.name);
+    
+    if (!other.isDirectory()) {
+      if (index < segments.length - 1) {
+        return { status: 'missing', actual: null };
+      }
+      return mismatch ? { status: 'case', actual: actual.join('/') } : { status: 'ok', actual: null };
+    }
+  }
+  
+  return { status: 'ok', actual: null };
+}
+
+/**
+ * The relative form of a root-relative reference from an HTML file, e.g.
+ * '../sketch.js' for '/sketch.js' in week1/index.html
+ */
+function toRelativeReference(htmlFile, value) {
+  const path = value.replace(/[?#].*$/, '');
+  const suffix = value.slice(path.length);
+  const relative = posix.relative(posix.dirname(htmlFile), posix.normalize(path.replace(/^\/+/, '') || '.'));
+  const folder = path.endsWith('/') && relative ? '/' : '';
+  return `${relative || './'}${folder}${suffix}`;
+}
+
+/**
+ * Check every relative reference in the HTML files below root
+ * Returns { files, truncated, references, broken, caseMismatches,
+ * rootRelative } where each finding is { file, line, value, actual } (file
+ * is relative to root, actual is the name on disk for case mismatches and
+ * the relative form of the reference for rootRelative). rootRelative lists
+ * the root-relative references that resolve here.
+ */
+function checkSiteLinks(env, root) {
+  const { files, truncated } = findHtmlFiles(env, root);
+  const listings = new Map();
+  const listDir = (folder) => {
+    if (!listings.has(folder)) {
+      try {
+        listings.set(folder, env.fs.readdirSync(folder, { withFileTypes: true }));
+      } catch (error) {
+        listings.set(folder, null);
+      }
+    }
+    return listings.get(folder);
+  };
+  
+  const broken = [];
+  const caseMismatches = [];
+  const rootRelative = [];
+  let references = 0;
+  
+  for (const file of files) {
+    let html;
+    try {
+      html = env.fs.readFileSync(pathFor(env).join(root, file), 'utf8');
+    } catch (error) {
+      continue;
+    }
+    
+    for (const reference of extractReferences(html)) {
+      references++;
+      const result = resolveReference(env, root, file, reference.target, listDir);
+      const finding = { file, line: reference.line, value: reference.value, actual: result.actual };
+      if (result.status === 'case') {
+        caseMismatches.push(finding);
+      } else if (result.status !== 'ok') {
+        broken.push({ ...finding, outside: result.status === 'outside' });
+      } else if (reference.target.startsWith('/')) {
+        rootRelative.push({ ...finding, actual: toRelativeReference(file, reference.value) });
+      }
+    }
+  }
+  
+  return { files, truncated, references, broken, caseMismatches, rootRelative };
+}
+
+module.exports = {
+  MAX_HTML_FILES,
+  findHtmlFiles,
+  extractReferences,
+  checkSiteLinks,
+};
@@ -0,0 +1,106 @@
+/**
+ * Live Server configuration
+ * 
+ * Live Server reads liveServer.settings.* from the VS Code settings (see
+ * lib/settings.js) and serves the workspace from root on host:port. The
+ * port is what the tunnels guide forwards, so a port another program holds
+ * breaks both the preview and the tunnel.
+ */
+
+const { posix } = require('path');
+const { pathFor } = require('./env');
+const { getSetting } = require('./settings');
+
+// Live Server's own defaults
+const LIVE_SERVER_DEFAULTS = { port: 5500, root: '/', host: '127.0.0.1' };
+
+// Prefix of the settings Live Server reads
+const SETTING_PREFIX = 'liveServer.settings.';
+
+// Processes that hold the port when Live Server itself is running: the
+// editor's executable (code, Code.exe, codium, ...) or, on macOS, its
+// extension host ("Code Helper (Plugin)")
+const EDITOR_PROCESS = /^(code|code - insiders|code-insiders|code-oss|codium|vscodium|cursor|electron)( helper( \([\w ]+\))?)?(\.exe)?$/i;
+
+/**
+ * The port, root and host Live Server uses
+ * Returns { port, root, host }, each { value, source } with source
+ * 'workspace', 'user' or null (Live Server's default)
+ */
+function getLiveServerSettings(settings) {
+  const result = {};
+  for (const [name, fallback] of Object.entries(LIVE_SERVER_DEFAULTS)) {
+    const setting = getSetting(settings, `${SETTING_PREFIX}${name}`);
+    result[name] = setting.source ? setting : { value: fallback, source: null };
+  }
+  return result;
+}
+
+/**
+ * Where a root setting points, relative to the workspace
+ * Returns { folder, outside } with folder '' for the workspace itself
+ */
+function resolveRoot(root) {
+  const folder = posix.normalize(String(root).replace(/\\/g, '/').replace(/^\/+/, '') || '.').replace(/\/+$/, '');
+  const outside = folder === '..' || folder.startsWith('../') || /^[a-z]:/i.test(folder);
+  return { folder: folder === '.' ? '' : folder, outside };
+}
+
+/**
+ * Whether a root folder exists in the workspace at cwd
+ */
+function rootExists(env, folder) {
+  const path = pathFor(env);
+  try {
+    return env.fs.statSync(path.join(env.cwd, ...folder.split('/'))).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The process listening on a TCP port, or null if it cannot be told
+ * Returns { pid, name }
+ */
+function findPortOwner(env, port) {
+  if (env.platform === 'win32') {
+    const listing = env.exec('netstat -ano -p tcp') || '';
+    const line = listing.split(/\r?\n/).find((entry) => {
+      const match = entry.trim().match(/^TCP\s+\S+:(\d+)\s+\S+\s+LISTENING\s+\d+$/i);
+      return match && Number(match[1]) === port;
+    });
+    const pid = line && line.trim().split(/\s+/).pop();
+    if (!pid) {
+      return null;
+    }
+    const task = env.exec(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+    const name = task && task.match(/^"([^"]+)"/);
+    return { pid: Number(pid), name: name ? name[1] : null };
+  }
+  
+  const listing = env.exec(`lsof -nP -iTCP:${port} -sTCP:LISTEN -Fpc`);
+  const pid = listing && listing.match(/^p(\d+)$/m);
+  if (!pid) {
+    return null;
+  }
+  const name = listing.match(/^c(.+)$/m);
+  return { pid: Number(pid[1]), name: name ? name[1] : null };
+}
+
+/**
+ * Whether a process (see findPortOwner) is VS Code, i.e. Live Server is
+ * already running
+ */
+function isEditorProcess(owner) {
+  return Boolean(owner && owner.name && EDITOR_PROCESS.test(owner.name));
+}
+
+module.exports = {
+  LIVE_SERVER_DEFAULTS,
+  SETTING_PREFIX,
+  getLiveServerSettings,
+  resolveRoot,
+  rootExists,
+  findPortOwner,
+  isEditorProcess,
+};
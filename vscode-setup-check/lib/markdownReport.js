@@ -0,0 +1,147 @@
+/**
+ * Markdown report (--format markdown)
+ * 
+ * Renders the structured report (see buildReport in lib/run.js) as GitHub
+ * flavoured Markdown for pasting into issues and chat: a collapsible table
+ * with one row per check, then the fix steps for each problem.
+ */
+
+const { getVerdict } = require('./run');
+const { groupFixSteps } = require('./htmlReport');
+
+// Status emoji for each check status
+const STATUS_EMOJI = {
+  success: '✅',
+  failure: '❌',
+  warning: '⚠️',
+  skipped: '⏭️',
+};
+
+// Criticality symbols, as in the terminal output
+const CRITICALITY_SYMBOLS = {
+  CRITICAL: '🔴',
+  IMPORTANT: '🟡',
+  OPTIONAL: '🟢',
+};
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeCell(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Wrap lines in a fenced code block, using a fence longer than any
+ * backtick run inside
+ */
+function fence(lines, language = '') {
+  const longest = Math.max(2, ...lines.map((line) => Math.max(0, ...(line.match(/`+/g) || []).map((run) => run.length))));
+  const marker = '`'.repeat(longest + 1);
+  return [`${marker}${language}`, ...lines, marker].join('\n');
+}
+
+/**
+ * Criticality label for a check that did not pass
+ */
+function criticalityLabel(check) {
+  if (!check.criticality || check.status === 'success' || check.status === 'skipped') {
+    return '';
+  }
+  return `${CRITICALITY_SYMBOLS[check.criticality]} ${check.criticality}`;
+}
+
+/**
+ * Render the fix steps and guide link of a check that did not pass
+ */
+function renderProblem(check) {
+  const parts = [`#### ${STATUS_EMOJI[check.status]} ${check.message}${check.criticality ? ` (${criticalityLabel(check)})` : ''}`];
+  
+  if (check.details) {
+    parts.push(check.details);
+  }
+  
+  groupFixSteps(check.fix).forEach((block) => {
+    parts.push(block.type === 'code' ? fence(block.lines, 'bash') : block.lines[0]);
+  });
+  
+  const link = check.link || check.guide;
+  if (link) {
+    parts.push(`📖 Guide: ${link}`);
+  }
+  
+  return parts.join('\n\n');
+}
+
+/**
+ * Render a structured report as Markdown
+ */
+function renderMarkdownReport(report) {
+  const { summary } = report;
+  const verdict = getVerdict(summary);
+  const problems = report.checks.filter((check) => check.status === 'failure' || check.status === 'warning');
+  
+  const lines = [
+    '## Setup Verification Report',
+    '',
+    `**${verdict.title}**`,
+    '',
+  ];
+  
+  const breakdown = [
+    ['CRITICAL', summary.criticality.critical],
+    ['IMPORTANT', summary.criticality.important],
+    ['OPTIONAL', summary.criticality.optional],
+  ].filter(([, count]) => count > 0);
+  if (breakdown.length > 0) {
+    lines.push(`Failed items by criticality: ${breakdown.map(([level, count]) => `${CRITICALITY_SYMBOLS[level]} ${level} ${count}`).join(' · ')}`, '');
+  }
+  
+  lines.push(
+    '<details>',
+    `<summary>✅ ${summary.passed} passed · ❌ ${summary.failed} failed · ⚠️ ${summary.warnings} warnings · ${summary.passRate}% complete</summary>`,
+    '',
+    '| | Section | Check | Criticality | Details |',
+    '|---|---|---|---|---|'
+  );
+  
+  report.checks.forEach((check) => {
+    const section = (check.section || '').replace(/^Checking /, '');
+    lines.push(`| ${STATUS_EMOJI[check.status]} | ${escapeCell(section)} | ${escapeCell(check.message)} | ${criticalityLabel(check)} | ${escapeCell(check.details)} |`);
+  });
+  
+  lines.push('', '</details>', '');
+  
+  if (problems.length > 0) {
+    lines.push('### How to fix', '');
+    problems.forEach((check) => {
+      lines.push(renderProblem(check), '');
+    });
+  }
+  
+  const checklist = report.manualChecklist || [];
+  if (checklist.length > 0) {
+    lines.push(
+      '<details>',
+      `<summary>Manual checklist: ${summary.manualChecklist.confirmed}/${summary.manualChecklist.total} confirmed</summary>`,
+      '',
+      ...checklist.map((entry) => `- [${entry.confirmed ? 'x' : ' '}] ${entry.item}`),
+      '',
+      '</details>',
+      ''
+    );
+  }
+  
+  lines.push(`<sub>${report.student ? `${report.student} · ` : ''}${report.tool} ${report.version} · ${report.platform} · ${report.generatedAt}</sub>`, '');
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  escapeCell,
+  fence,
+  renderMarkdownReport,
+};
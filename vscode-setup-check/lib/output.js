@@ -0,0 +1,149 @@
+/**
+ * Terminal output for the verification checks
+ * 
+ * Every function takes the run (see lib/run.js) so that output can be
+ * silenced for --json and programmatic use while checks are still recorded.
+ */
+
+const { guideLink } = require('./guides');
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Status symbols
+const symbols = {
+  success: '✓',
+  failure: '✗',
+  warning: '⚠',
+  info: 'ℹ',
+};
+
+/**
+ * Print a plain line (suppressed for silent runs, e.g. --json)
+ */
+function log(run, message = '') {
+  if (run.options.silent) {
+    return;
+  }
+  console.log(message);
+}
+
+/**
+ * Print colored message
+ */
+function print(run, message, color = 'reset') {
+  log(run, `${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Print section header
+ * guideKey names the guide page for the section's checks (see lib/guides.js)
+ */
+function printHeader(run, title, guideKey) {
+  run.currentSection = title;
+  run.currentGuide = guideKey ? guideLink(run, guideKey) : null;
+  log(run, '\n' + '='.repeat(60));
+  print(run, title, 'bright');
+  log(run, '='.repeat(60) + '\n');
+}
+
+/**
+ * Print check result with criticality and fix instructions
+ * These are shown for failures, and for warnings with options.showFix.
+ */
+function printResult(run, status, message, details = '', options = {}) {
+  recordCheck(run, status, message, details, options);
+  
+  const symbol = symbols[status];
+  const color = status === 'success' ? 'green' : status === 'failure' ? 'red' : 'yellow';
+  print(run, `${symbol} ${message}`, color);
+  
+  if (details) {
+    log(run, `  ${details}`);
+  }
+  
+  // In strict mode warnings count as failures
+  const isFailure = status === 'failure' || (run.options.strict && status === 'warning');
+  const showFix = isFailure || (status === 'warning' && Boolean(options.showFix));
+  
+  // Show criticality level (only failures count towards it)
+  if (showFix && options.criticality) {
+    const criticalityColors = {
+      'CRITICAL': 'red',
+      'IMPORTANT': 'yellow',
+      'OPTIONAL': 'green'
+    };
+    const critSymbols = {
+      'CRITICAL': '🔴',
+      'IMPORTANT': '🟡',
+      'OPTIONAL': '🟢'
+    };
+    print(run, `  ${critSymbols[options.criticality]} Criticality: ${options.criticality}`, criticalityColors[options.criticality]);
+  }
+  
+  if (isFailure && options.criticality) {
+    if (options.criticality === 'CRITICAL') {
+      run.results.critical.push(message);
+    } else if (options.criticality === 'IMPORTANT') {
+      run.results.important.push(message);
+    } else if (options.criticality === 'OPTIONAL') {
+      run.results.optional.push(message);
+    }
+  }
+  
+  // Show fix instructions
+  if (showFix && options.fix) {
+    print(run, `  💡 How to fix:`, 'cyan');
+    if (Array.isArray(options.fix)) {
+      options.fix.forEach((step, index) => {
+        log(run, `     ${index + 1}. ${step}`);
+      });
+    } else {
+      log(run, `     ${options.fix}`);
+    }
+  }
+  
+  // Show links
+  if (options.link) {
+    print(run, `  📖 Guide: ${options.link}`, 'blue');
+  }
+  
+  if (isFailure || (status === 'warning' && options.fix)) {
+    log(run); // Add spacing after failures/warnings with fixes
+  }
+}
+
+/**
+ * Record a check in structured form for --json output and the API
+ */
+function recordCheck(run, status, message, details = '', options = {}) {
+  run.results.checks.push({
+    id: options.id || null,
+    section: run.currentSection,
+    status,
+    message,
+    details: details || null,
+    criticality: options.criticality || null,
+    fix: options.fix ? [].concat(options.fix) : [],
+    link: options.link || null,
+    guide: run.currentGuide || null,
+  });
+}
+
+module.exports = {
+  colors,
+  symbols,
+  log,
+  print,
+  printHeader,
+  printResult,
+  recordCheck,
+};
@@ -0,0 +1,130 @@
+/**
+ * p5.js projects in a repository
+ * 
+ * A p5 project is a sketch folder (see findSketchFolders) whose index.html
+ * loads p5.js - from a CDN or a local copy such as the libraries/p5.min.js
+ * P5 Project Creator generates - along with the sketch file(s) holding
+ * setup() and draw().
+ */
+
+const { posix } = require('path');
+const { pathFor } = require('./env');
+const { findSketchFolders } = require('./repo');
+
+// p5.js itself (not an addon such as p5.sound), local or on a CDN
+const P5_SCRIPT = /(^|\/)p5(\.min)?\.js$|\/p5@[^/]*\/?$/i;
+
+// Version in a CDN address: p5@1.11.0 (jsDelivr, unpkg) or p5.js/1.4.0 (cdnjs)
+const URL_VERSION = /\/p5(?:\.js)?[@/]v?(\d+\.\d+(?:\.\d+)?)/i;
+
+// Version in the banner at the top of p5.js and p5.min.js
+const FILE_VERSION = /p5\.js v(\d+\.\d+(?:\.\d+)?)/;
+
+// Global and instance mode definitions, e.g. function setup(), p.setup = () =>
+const definitionPattern = (name) => new RegExp(`(function\\s+${name}\\s*\\(|\\b${name}\\s*=\\s*(async\\s+)?(function\\b|\\(|\\w+\\s*=>))`);
+
+/**
+ * The <script src> values of an HTML document
+ * Returns [{ src, line }]; commented-out scripts are skipped
+ */
+function extractScripts(html) {
+  const source = String(html).replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  const scripts = [];
+  const pattern = /<script\b[^>]*?\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+))/gi;
+  
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    scripts.push({
+      src: (match[1] ?? match[2] ?? match[3]).trim(),
+      line: source.slice(0, match.index).split('\n').length,
+    });
+  }
+  return scripts;
+}
+
+/**
+ * Whether a script src is an absolute or protocol-relative URL
+ */
+function isRemote(src) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src);
+}
+
+/**
+ * Remove comments from JavaScript (roughly - enough to skip commented-out
+ * functions)
+ */
+function stripComments(code) {
+  return String(code).replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:\\])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Find the p5 projects below cwd
+ * Returns [{ folder, file, p5: { src, line, version }, sketchFiles,
+ * missingLibraries, hasSetup, hasDraw }] where folder is relative to cwd
+ * ('' for the top), file is its index.html, sketchFiles are the local
+ * scripts other than p5 and its libraries that exist, and missingLibraries
+ * are the scripts under a libraries/ folder that do not ([{ src, line }])
+ */
+function findP5Projects(env) {
+  const path = pathFor(env);
+  const projects = [];
+  
+  const read = (relative) => {
+    try {
+      return String(env.fs.readFileSync(path.join(env.cwd, ...relative.split('/')), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  for (const folder of findSketchFolders(env)) {
+    const file = folder ? `${folder}/index.html` : 'index.html';
+    const scripts = extractScripts(read(file) || '');
+    const p5Script = scripts.find((script) => P5_SCRIPT.test(script.src.replace(/[?#].*$/, '')));
+    if (!p5Script) {
+      continue;
+    }
+    
+    // Local scripts, relative to the top of the repository
+    const local = scripts
+      .filter((script) => !isRemote(script.src) && script.src.replace(/[?#].*$/, ''))
+      .map((script) => {
+        const target = script.src.replace(/[?#].*$/, '');
+        const relative = target.startsWith('/') ? target.replace(/^\/+/, '') : posix.join(folder || '.', target);
+        return { ...script, relative: posix.normalize(relative), contents: read(posix.normalize(relative)) };
+      });
+    const isLibrary = (script) => script.relative.split('/').includes('libraries') || /(^|\/)p5\.[\w.]*js$/i.test(script.relative);
+    
+    let version = null;
+    if (isRemote(p5Script.src)) {
+      const match = p5Script.src.match(URL_VERSION);
+      version = match ? match[1] : null;
+    } else {
+      const p5File = local.find((script) => script.src === p5Script.src);
+      const match = p5File && p5File.contents && p5File.contents.slice(0, 500).match(FILE_VERSION);
+      version = match ? match[1] : null;
+    }
+    
+    const sketchFiles = local.filter((script) => !isLibrary(script) && script.contents !== null);
+    const code = sketchFiles.map((script) => stripComments(script.contents)).join('\n');
+    
+    projects.push({
+      folder,
+      file,
+      p5: { src: p5Script.src, line: p5Script.line, version },
+      sketchFiles: sketchFiles.map((script) => script.relative),
+      missingLibraries: local
+        .filter((script) => isLibrary(script) && script.contents === null)
+        .map(({ src, line }) => ({ src, line })),
+      hasSetup: definitionPattern('setup').test(code),
+      hasDraw: definitionPattern('draw').test(code),
+    });
+  }
+  
+  return projects;
+}
+
+module.exports = {
+  extractScripts,
+  findP5Projects,
+};
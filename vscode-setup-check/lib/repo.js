@@ -0,0 +1,271 @@
+/**
+ * Local repository state
+ * 
+ * Reads what checkLocalRepo needs to know before a push to GitHub Pages:
+ * operations left half done, conflicts, the upstream branch, files too
+ * large for GitHub and missing .gitignore entries. Only the repository on
+ * disk is read; the upstream counts are as of the last fetch.
+ * 
+ * Also works out where GitHub Pages publishes the repository and its
+ * sketches, from the origin remote and the index.html files on disk.
+ */
+
+const { pathFor } = require('./env');
+const { readWorkflows, findPagesWorkflow, getPushTrigger } = require('./workflow');
+
+// GitHub rejects pushes containing files over this size
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Branch the Pages workflow deploys from when no workflow says otherwise
+const DEFAULT_PAGES_BRANCH = 'main';
+
+// Entries every course repository's .gitignore should have
+const IGNORE_ENTRIES = [
+  { name: '.DS_Store', entry: '.DS_Store', patterns: ['.DS_Store', '**/.DS_Store', '*.DS_Store', '.DS_Store*'] },
+  { name: 'node_modules', entry: 'node_modules/', patterns: ['node_modules', '**/node_modules'] },
+];
+
+// How many folders deep to look for sketches (folders with an index.html)
+const SKETCH_SEARCH_DEPTH = 3;
+
+// `git status --porcelain` codes for unmerged paths
+const CONFLICT_CODES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+/**
+ * The repository's .git directory (a .git file points elsewhere in
+ * worktrees and submodules), or null if cwd is not a repository
+ */
+function getGitDir(env) {
+  const path = pathFor(env);
+  const dotGit = path.join(env.cwd, '.git');
+  
+  try {
+    if (env.fs.statSync(dotGit).isDirectory()) {
+      return dotGit;
+    }
+    const match = String(env.fs.readFileSync(dotGit, 'utf8')).match(/^gitdir:\s*(.+)$/m);
+    return match ? path.resolve(env.cwd, match[1].trim()) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The merge, rebase, cherry-pick or revert left in progress, or null
+ */
+function getOperationInProgress(env, gitDir) {
+  const path = pathFor(env);
+  const has = (name) => env.fs.existsSync(path.join(gitDir, name));
+  
+  if (has('rebase-merge') || has('rebase-apply')) {
+    return 'rebase';
+  }
+  if (has('MERGE_HEAD')) {
+    return 'merge';
+  }
+  if (has('CHERRY_PICK_HEAD')) {
+    return 'cherry-pick';
+  }
+  if (has('REVERT_HEAD')) {
+    return 'revert';
+  }
+  return null;
+}
+
+/**
+ * Paths with unresolved conflicts, from `git status --porcelain` output
+ */
+function getConflictedFiles(status) {
+  return (status || '').split('\n')
+    .filter((line) => CONFLICT_CODES.includes(line.slice(0, 2)))
+    .map((line) => line.slice(3).trim());
+}
+
+/**
+ * Commits ahead of and behind the upstream branch, as of the last fetch
+ * Returns { upstream, ahead, behind }, or null if the branch has no upstream
+ */
+function getUpstreamStatus(env) {
+  const upstream = env.exec('git rev-parse --abbrev-ref --symbolic-full-name @{upstream}');
+  const counts = upstream && env.exec('git rev-list --left-right --count @{upstream}...HEAD');
+  if (!counts) {
+    return null;
+  }
+  
+  const [behind, ahead] = counts.split(/\s+/).map(Number);
+  return { upstream, ahead: ahead || 0, behind: behind || 0 };
+}
+
+/**
+ * The branch filters of the Pages workflow's push trigger (see
+ * lib/workflow.js), e.g. ['main']
+ * Without a branches filter every push deploys: ['**'], followed by any
+ * branches-ignore entries as "!" patterns. DEFAULT_PAGES_BRANCH if there is
+ * no Pages workflow or pushes do not run it. Match with matchesBranch.
+ */
+function getPagesBranches(env) {
+  const pages = findPagesWorkflow(readWorkflows(env));
+  const trigger = pages && getPushTrigger(pages.workflow);
+  if (!trigger) {
+    return [DEFAULT_PAGES_BRANCH];
+  }
+  return trigger.branches || ['**', ...(trigger.ignore || []).map((branch) => `!${branch}`)];
+}
+
+/**
+ * A branch to switch to for publishing: the first plain name (not a
+ * pattern) in getPagesBranches, or DEFAULT_PAGES_BRANCH
+ */
+function getPagesBranch(env) {
+  return getPagesBranches(env).find((branch) => !/[*?[!]/.test(branch)) || DEFAULT_PAGES_BRANCH;
+}
+
+/**
+ * Files git would push (tracked, or untracked and not ignored) that are
+ * over GitHub's size limit
+ * Returns [{ path, size }] with paths relative to cwd
+ */
+function findLargeFiles(env) {
+  const listing = env.exec('git ls-files -z --cached --others --exclude-standard');
+  if (!listing) {
+    return [];
+  }
+  
+  const path = pathFor(env);
+  const large = [];
+  for (const file of new Set(listing.split('\0').filter(Boolean))) {
+    try {
+      const { size } = env.fs.statSync(path.join(env.cwd, file));
+      if (size > MAX_FILE_SIZE) {
+        large.push({ path: file, size });
+      }
+    } catch (error) {
+      // Deleted from the working tree but still tracked
+    }
+  }
+  return large;
+}
+
+/**
+ * The patterns in a .gitignore text, without a leading / or trailing /
+ * (negated patterns and comments are left out)
+ */
+function parseIgnorePatterns(text) {
+  return String(text).split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('!'))
+    .map((line) => line.replace(/^\//, '').replace(/\/\**$/, ''));
+}
+
+/**
+ * IGNORE_ENTRIES not covered by the repository's .gitignore
+ */
+function getMissingIgnoreEntries(env) {
+  let text = '';
+  try {
+    text = String(env.fs.readFileSync(pathFor(env).join(env.cwd, '.gitignore'), 'utf8'));
+  } catch (error) {
+    // No .gitignore: every entry is missing
+  }
+  
+  const patterns = parseIgnorePatterns(text);
+  return IGNORE_ENTRIES.filter((ignore) => !ignore.patterns.some((pattern) => patterns.includes(pattern)));
+}
+
+/**
+ * Owner and repository name of a GitHub remote URL, or null
+ * Accepts https://github.com/owner/repo(.git), git@github.com:owner/repo.git,
+ * ssh://git@github.com/owner/repo.git and SSH aliases such as
+ * git@github-school:owner/repo.git (see ~/.ssh/config).
+ * Returns { owner, repo, protocol, host } where protocol is 'https' or
+ * 'ssh' and host is github.com or the SSH alias (lowercase)
+ */
+function parseGitHubRemote(url) {
+  const match = String(url || '').trim().match(
+    /^(?:(https?):\/\/(?:[^@/]+@)?(?:www\.)?github\.com\/|ssh:\/\/(?:[^@/]+@)?(github\.com|[^./:]+)(?::\d+)?\/|(?:[^@\s/]+@)?(github\.com|[^./:\s]+):)([^/\s]+)\/([^/\s]+?)(?:\.git)?\/?$/i
+  );
+  if (!match) {
+    return null;
+  }
+  return {
+    owner: match[4],
+    repo: match[5],
+    protocol: match[1] ? 'https' : 'ssh',
+    host: (match[2] || match[3] || 'github.com').toLowerCase(),
+  };
+}
+
+/**
+ * The address GitHub Pages publishes a repository at
+ * owner.github.io repositories are the user site at the root; any other
+ * repository is published under its name.
+ */
+function getPagesUrl({ owner, repo }) {
+  const host = `${owner.toLowerCase()}.github.io`;
+  return repo.toLowerCase() === host ? `https://${host}/` : `https://${host}/${repo}/`;
+}
+
+/**
+ * Folders of the working tree that contain an index.html (sketches), as
+ * paths relative to cwd ('' for the top of the repository)
+ * Hidden folders and node_modules are skipped.
+ */
+function findSketchFolders(env) {
+  const path = pathFor(env);
+  const folders = [];
+  
+  const visit = (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = env.fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    
+    if (entries.some((entry) => entry.isFile() && entry.name === 'index.html')) {
+      folders.push(relative);
+    }
+    if (depth < SKETCH_SEARCH_DEPTH) {
+      entries
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .forEach((entry) => visit(path.join(dir, entry.name), relative ? `${relative}/${entry.name}` : entry.name, depth + 1));
+    }
+  };
+  
+  visit(env.cwd, '', 0);
+  return folders.sort();
+}
+
+/**
+ * The Pages address of a folder found by findSketchFolders
+ */
+function getSketchUrl(pagesUrl, folder) {
+  return folder ? `${pagesUrl}${folder.split('/').map(encodeURIComponent).join('/')}/` : pagesUrl;
+}
+
+/**
+ * Format a size in bytes as megabytes, e.g. "142.3 MB"
+ */
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  DEFAULT_PAGES_BRANCH,
+  IGNORE_ENTRIES,
+  parseIgnorePatterns,
+  getGitDir,
+  getOperationInProgress,
+  getConflictedFiles,
+  getUpstreamStatus,
+  getPagesBranches,
+  getPagesBranch,
+  findLargeFiles,
+  getMissingIgnoreEntries,
+  parseGitHubRemote,
+  getPagesUrl,
+  findSketchFolders,
+  getSketchUrl,
+  formatSize,
+};
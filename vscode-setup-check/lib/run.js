@@ -0,0 +1,193 @@
+/**
+ * State of a single verification run
+ * 
+ * A run holds the options, the course configuration and the results that
+ * the checks accumulate. The CLI creates one per invocation; programmatic
+ * callers get a fresh one from runChecks() or createRun().
+ */
+
+const { createEnv } = require('./env');
+const { loadConfig } = require('./config');
+const { resolveGuideBase, guideLink } = require('./guides');
+const { loadState } = require('./state');
+const { getChecklist } = require('./checklist');
+const { detectContext } = require('./context');
+
+// Process exit codes, from most to least severe
+const EXIT_CODES = {
+  success: 0,
+  critical: 1,
+  important: 2,
+  strict: 3,
+  config: 4,
+  error: 5,
+};
+
+// How the published package is run
+const DEFAULT_COMMAND = 'npx @digitalfutures/vscode-setup-check';
+
+/**
+ * Create a run
+ * 
+ * Options:
+ * - cwd: directory to check as the local repository (default: process.cwd())
+ * - env: parts of the system environment to replace (see lib/env.js)
+ * - configPath: course configuration file (default: .ocadu-setup.json lookup)
+ * - config: course configuration object, used instead of a file
+ * - strict: treat warnings as failures
+ * - silent: suppress terminal output (default: true)
+ * - guideBase: base URL or path for guide links (see lib/guides.js)
+ * - command: how the user runs the checker, shown in fix and help hints
+ * - student: identifier saved in the report, for the class dashboard
+ * - vscodePath: editor to check instead of discovering one (see lib/editors.js)
+ * 
+ * Throws a ConfigError if the course configuration is invalid.
+ */
+function createRun(options = {}) {
+  const env = createEnv({ ...options.env, cwd: options.cwd || (options.env && options.env.cwd) });
+  const config = loadConfig({ cwd: env.cwd, fs: env.fs, configPath: options.configPath, config: options.config });
+  
+  return {
+    options: {
+      silent: options.silent !== false,
+      strict: Boolean(options.strict),
+      fix: Boolean(options.fix),
+      command: options.command || DEFAULT_COMMAND,
+      student: options.student || null,
+      vscodePath: options.vscodePath || null,
+    },
+    config,
+    guideBase: resolveGuideBase(env, config, options.guideBase),
+    env,
+    context: detectContext(env),
+    state: loadState(env),
+    changes: null,
+    currentSection: null,
+    currentGuide: null,
+    editors: [],
+    editor: undefined,
+    vscodePath: undefined,
+    pages: null,
+    brokenLinks: null,
+    results: {
+      passed: [],
+      failed: [],
+      warnings: [],
+      critical: [],
+      important: [],
+      optional: [],
+      checks: [],
+      fixes: [],
+    },
+  };
+}
+
+/**
+ * Compute the summary counts shown by printSummary
+ */
+function getSummary(run) {
+  const total = run.results.passed.length + run.results.failed.length + run.results.warnings.length;
+  const checklist = getChecklist(run);
+  
+  return {
+    passed: run.results.passed.length,
+    failed: run.results.failed.length,
+    warnings: run.results.warnings.length,
+    total,
+    passRate: total > 0 ? Math.round((run.results.passed.length / total) * 100) : 0,
+    criticality: {
+      critical: run.results.critical.length,
+      important: run.results.important.length,
+      optional: run.results.optional.length,
+    },
+    manualChecklist: {
+      confirmed: checklist.filter((entry) => entry.confirmed).length,
+      total: checklist.length,
+    },
+  };
+}
+
+/**
+ * Determine the process exit code from the failures by criticality
+ */
+function getExitCode(run) {
+  if (run.results.critical.length > 0) {
+    return EXIT_CODES.critical;
+  }
+  if (run.results.important.length > 0) {
+    return EXIT_CODES.important;
+  }
+  if (run.options.strict && (run.results.optional.length > 0 || run.results.failed.length > 0 || run.results.warnings.length > 0)) {
+    return EXIT_CODES.strict;
+  }
+  return EXIT_CODES.success;
+}
+
+/**
+ * Overall verdict for a summary (from getSummary)
+ * Returns { level, title, advice } where level is perfect, ok, critical
+ * or important
+ */
+function getVerdict(summary) {
+  if (summary.failed === 0 && summary.warnings === 0) {
+    return {
+      level: 'perfect',
+      title: '🎉 Perfect! All automated checks passed!',
+      advice: ['Please complete the manual verification checklist above.'],
+    };
+  }
+  if (summary.criticality.critical === 0 && summary.criticality.important === 0) {
+    return {
+      level: 'ok',
+      title: '✅ Your system is working correctly!',
+      advice: ['The failed/warning items are OPTIONAL and don\'t affect functionality.', 'You can safely proceed with development.'],
+    };
+  }
+  if (summary.criticality.critical > 0) {
+    return {
+      level: 'critical',
+      title: '🔴 CRITICAL issues found - these must be fixed!',
+      advice: ['Review the fix instructions above for each critical item.'],
+    };
+  }
+  return {
+    level: 'important',
+    title: '⚠️  Some recommended items need attention.',
+    advice: ['Your system may work, but fixing these will improve functionality.'],
+  };
+}
+
+/**
+ * Build the structured report for a run (the --json document)
+ */
+function buildReport(run) {
+  return {
+    tool: 'ocadu-vscode-setup',
+    version: require('../package.json').version,
+    student: run.options.student,
+    generatedAt: new Date().toISOString(),
+    platform: run.env.platform,
+    cwd: run.env.cwd,
+    context: run.context,
+    config: run.config.path,
+    strict: run.options.strict,
+    exitCode: getExitCode(run),
+    guide: guideLink(run, 'home'),
+    checks: run.results.checks,
+    editors: run.editors,
+    pages: run.pages,
+    manualChecklist: getChecklist(run),
+    changes: run.changes,
+    summary: getSummary(run),
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  DEFAULT_COMMAND,
+  createRun,
+  getSummary,
+  getExitCode,
+  getVerdict,
+  buildReport,
+};
@@ -0,0 +1,299 @@
+/**
+ * VS Code settings files
+ * 
+ * settings.json is JSON with comments (JSONC): // and /* *\/ comments and
+ * trailing commas are allowed. The user settings live in the editor's
+ * per-platform data folder - or in profiles/<id> of it when the folder is
+ * opened with a profile other than Default; the workspace settings in
+ * .vscode/settings.json of the folder that is open (taken to be cwd).
+ * Workspace settings win.
+ */
+
+const { pathFor } = require('./env');
+
+// Workspace settings, relative to the workspace folder
+const WORKSPACE_SETTINGS = '.vscode/settings.json';
+
+// Folder name of each editor variant's data folder (see lib/editors.js)
+const DATA_FOLDERS = {
+  code: 'Code',
+  'code-insiders': 'Code - Insiders',
+  codium: 'VSCodium',
+};
+
+// Profile association of folders that use the Default profile
+const DEFAULT_PROFILE = '__default__profile__';
+
+/**
+ * Error for a settings file that is not valid JSONC
+ */
+class SettingsError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'SettingsError';
+    this.line = line;
+  }
+}
+
+/**
+ * Replace comments and trailing commas in JSONC with spaces, keeping every
+ * other character (and so every position and line) where it was
+ */
+function stripJsonc(text) {
+  const stringEnd = (source, start) => {
+    let end = start + 1;
+    while (end < source.length && source[end] !== '"' && source[end] !== '\n') {
+      end += source[end] === '\\' ? 2 : 1;
+    }
+    return end + 1;
+  };
+  
+  let result = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') {
+      const end = stringEnd(text, i);
+      result += text.slice(i, end);
+      i = end;
+    } else if (char === '/' && text[i + 1] === '/') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      result += ' '.repeat(stop - i);
+      i = stop;
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      result += text.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  
+  // A comma followed only by whitespace before } or ]
+  const closing = /\s*[}\]]/y;
+  let stripped = '';
+  i = 0;
+  while (i < result.length) {
+    if (result[i] === '"') {
+      const end = stringEnd(result, i);
+      stripped += result.slice(i, end);
+      i = end;
+    } else {
+      closing.lastIndex = i + 1;
+      stripped += result[i] === ',' && closing.test(result) ? ' ' : result[i];
+      i++;
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Parse JSONC text
+ * Throws a SettingsError with the line number if it is not valid
+ */
+function parseJsonc(text) {
+  const source = stripJsonc(String(text).replace(/^﻿/, ''));
+  if (!source.trim()) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    const lineColumn = error.message.match(/\(line (\d+) column \d+\)/);
+    const line = lineColumn ? Number(lineColumn[1]) : position ? source.slice(0, Number(position[1])).split('\n').length : source.split('\n').length;
+    throw new SettingsError(error.message.replace(/ in JSON at position \d+.*$| \(line \d+ column \d+\)$/, ''), line);
+  }
+}
+
+/**
+ * The User folder of an editor's data folder (see lib/editors.js), where
+ * settings.json, globalStorage and workspaceStorage are, or null for
+ * editors without one here (the VS Code Server's user data stays on the
+ * computer it is connected from)
+ */
+function getUserDataDir(env, editorId = 'code') {
+  const path = pathFor(env);
+  
+  if (editorId === 'code-server') {
+    return path.join(env.homedir, '.local', 'share', 'code-server', 'User');
+  }
+  
+  const folder = DATA_FOLDERS[editorId];
+  if (!folder) {
+    return null;
+  }
+  if (env.platform === 'darwin') {
+    return path.join(env.homedir, 'Library', 'Application Support', folder, 'User');
+  }
+  if (env.platform === 'win32') {
+    return path.join(env.vars.APPDATA || path.join(env.homedir, 'AppData', 'Roaming'), folder, 'User');
+  }
+  return path.join(env.vars.XDG_CONFIG_HOME || path.join(env.homedir, '.config'), folder, 'User');
+}
+
+/**
+ * The local path of a file:// URI as VS Code stores it, or null
+ * file:///Users/... or file:///c%3A/Users/...
+ */
+function fromFileUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('file://')) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(uri.slice('file://'.length)).replace(/^\/([a-z]:)/i, '$1');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a folder path is cwd (case-insensitive on Windows)
+ */
+function isWorkspaceFolder(env, folder) {
+  const normalize = (value) => {
+    const trimmed = value.replace(/[\\/]+$/, '');
+    return env.platform === 'win32' ? trimmed.replace(/\//g, '\\').toLowerCase() : trimmed;
+  };
+  return normalize(folder) === normalize(env.cwd);
+}
+
+/**
+ * The profile VS Code opens cwd with, from globalStorage/storage.json
+ * Returns { name, folder, useDefaultSettings } where folder is the
+ * profile's folder, or null for the Default profile
+ */
+function getActiveProfile(env, editorId = 'code') {
+  const dataDir = getUserDataDir(env, editorId);
+  if (!dataDir) {
+    return null;
+  }
+  
+  const path = pathFor(env);
+  let storage;
+  try {
+    storage = JSON.parse(String(env.fs.readFileSync(path.join(dataDir, 'globalStorage', 'storage.json'), 'utf8')));
+  } catch (error) {
+    return null;
+  }
+  
+  const associations = (storage.profileAssociations && storage.profileAssociations.workspaces) || {};
+  const association = Object.entries(associations).find(([uri]) => {
+    const folder = fromFileUri(uri);
+    return folder !== null && isWorkspaceFolder(env, folder);
+  });
+  if (!association || association[1] === DEFAULT_PROFILE) {
+    return null;
+  }
+  
+  // Profiles are stored by folder name (or, in older versions, full URI)
+  const id = String(association[1]).split('/').pop();
+  const profile = (Array.isArray(storage.userDataProfiles) ? storage.userDataProfiles : [])
+    .find((entry) => entry && String(entry.location).split('/').pop() === id);
+  if (!profile) {
+    return null;
+  }
+  return {
+    name: profile.name || id,
+    folder: path.join(dataDir, 'profiles', id),
+    useDefaultSettings: Boolean(profile.useDefaultFlags && profile.useDefaultFlags.settings),
+  };
+}
+
+/**
+ * Path of the user settings.json of an editor (of the profile cwd is
+ * opened with), or null for editors whose settings cannot be read from here
+ * The VS Code Server has machine settings instead.
+ */
+function getUserSettingsPath(env, editorId = 'code') {
+  if (editorId === 'vscode-server') {
+    return pathFor(env).join(env.homedir, '.vscode-server', 'data', 'Machine', 'settings.json');
+  }
+  const dataDir = getUserDataDir(env, editorId);
+  if (!dataDir) {
+    return null;
+  }
+  
+  const profile = getActiveProfile(env, editorId);
+  return pathFor(env).join(profile && !profile.useDefaultSettings ? profile.folder : dataDir, 'settings.json');
+}
+
+/**
+ * Path of the workspace settings.json for cwd
+ */
+function getWorkspaceSettingsPath(env) {
+  return pathFor(env).join(env.cwd, ...WORKSPACE_SETTINGS.split('/'));
+}
+
+/**
+ * Read a settings file
+ * Returns { path, settings, error } where settings is {} and error a
+ * SettingsError when the file is not valid, or null if there is no file
+ */
+function readSettingsFile(env, filePath) {
+  if (!filePath) {
+    return null;
+  }
+  
+  let text;
+  try {
+    text = String(env.fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  
+  try {
+    const settings = parseJsonc(text);
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { path: filePath, settings: {}, error: new SettingsError('Settings must be an object ({ ... })', 1) };
+    }
+    return { path: filePath, settings, error: null };
+  } catch (error) {
+    return { path: filePath, settings: {}, error };
+  }
+}
+
+/**
+ * Read the user and workspace settings
+ * Returns { user, workspace } (see readSettingsFile)
+ */
+function readSettings(env, editorId) {
+  return {
+    user: readSettingsFile(env, getUserSettingsPath(env, editorId)),
+    workspace: readSettingsFile(env, getWorkspaceSettingsPath(env)),
+  };
+}
+
+/**
+ * The effective value of a setting and where it comes from
+ * Returns { value, source } with source 'workspace', 'user' or null (not
+ * set - value is undefined)
+ */
+function getSetting({ user, workspace }, key) {
+  if (workspace && Object.prototype.hasOwnProperty.call(workspace.settings, key)) {
+    return { value: workspace.settings[key], source: 'workspace' };
+  }
+  if (user && Object.prototype.hasOwnProperty.call(user.settings, key)) {
+    return { value: user.settings[key], source: 'user' };
+  }
+  return { value: undefined, source: null };
+}
+
+module.exports = {
+  WORKSPACE_SETTINGS,
+  SettingsError,
+  parseJsonc,
+  getUserDataDir,
+  fromFileUri,
+  isWorkspaceFolder,
+  getActiveProfile,
+  getUserSettingsPath,
+  getWorkspaceSettingsPath,
+  readSettingsFile,
+  readSettings,
+  getSetting,
+};
@@ -0,0 +1,161 @@
+/**
+ * VS Code settings the course workflow depends on
+ * 
+ * Each rule names a setting (see lib/settings.js), the value the course
+ * recommends and how much a different value matters. Unset settings have
+ * VS Code's default.
+ */
+
+const { getSetting } = require('./settings');
+
+// Settings compared with a recommended value
+const SETTING_RULES = [
+  {
+    key: 'files.autoSave',
+    fallback: 'off',
+    recommended: 'afterDelay',
+    criticality: 'OPTIONAL',
+    isOk: (value) => value !== 'off',
+    problem: 'Auto Save is off',
+    reason: 'Live Server reloads the page when a file is saved, so changes only show after Cmd/Ctrl+S',
+  },
+  {
+    key: 'git.enableSmartCommit',
+    fallback: false,
+    recommended: true,
+    criticality: 'OPTIONAL',
+    isOk: (value) => value === true,
+    problem: 'Smart Commit is off',
+    reason: 'Committing with nothing staged asks every time instead of committing all changes',
+  },
+  {
+    key: 'git.autofetch',
+    fallback: false,
+    recommended: true,
+    criticality: 'OPTIONAL',
+    isOk: (value) => value === true,
+    problem: 'Git auto fetch is off',
+    reason: 'Commits pushed from another computer or GitHub only show up after a manual fetch',
+  },
+];
+
+// Terminal profiles VS Code provides without terminal.integrated.profiles.*
+const BUILT_IN_PROFILES = {
+  windows: ['PowerShell', 'Windows PowerShell', 'Command Prompt', 'Git Bash', 'JavaScript Debug Terminal'],
+  osx: ['zsh', 'bash', 'sh', 'fish', 'tmux', 'pwsh', 'JavaScript Debug Terminal'],
+  linux: ['bash', 'zsh', 'sh', 'fish', 'tmux', 'pwsh', 'JavaScript Debug Terminal'],
+};
+
+// Terminal profile recommended on Windows: the commands in the guides are
+// the same as on macOS and Linux
+const WINDOWS_PROFILE = 'Git Bash';
+
+/**
+ * Name VS Code uses for a platform in terminal.integrated.* settings
+ */
+function terminalPlatform(platform) {
+  if (platform === 'win32') {
+    return 'windows';
+  }
+  return platform === 'darwin' ? 'osx' : 'linux';
+}
+
+/**
+ * Whether cwd is one of the folders, or inside one
+ */
+function isInsideFolder(env, folders) {
+  const separator = env.platform === 'win32' ? '\\' : '/';
+  const normalize = (folder) => {
+    const trimmed = folder.replace(/[\\/]+$/, '');
+    return env.platform === 'win32' ? trimmed.replace(/\//g, '\\').toLowerCase() : trimmed;
+  };
+  const cwd = normalize(env.cwd);
+  return folders.some((folder) => {
+    const normalized = normalize(folder);
+    return cwd === normalized || cwd.startsWith(normalized + separator);
+  });
+}
+
+/**
+ * The default terminal profile finding
+ */
+function auditTerminalProfile(env, settings) {
+  const os = terminalPlatform(env.platform);
+  const key = `terminal.integrated.defaultProfile.${os}`;
+  const { value, source } = getSetting(settings, key);
+  const defined = getSetting(settings, `terminal.integrated.profiles.${os}`).value;
+  const finding = { key, value, source, recommended: os === 'windows' ? WINDOWS_PROFILE : undefined };
+  
+  if (value === undefined || value === null) {
+    return os === 'windows'
+      ? { ...finding, ok: false, criticality: 'OPTIONAL', message: 'No default terminal profile (PowerShell)', reason: `${WINDOWS_PROFILE} runs the same commands as the macOS and Linux terminals` }
+      : { ...finding, ok: true, message: 'Default terminal profile: the system shell' };
+  }
+  
+  const known = BUILT_IN_PROFILES[os].includes(value) ||
+    Boolean(defined && typeof defined === 'object' && defined[value]) ||
+    (os === 'windows' && /\(WSL\)$/.test(String(value)));
+  if (!known) {
+    return { ...finding, ok: false, criticality: 'IMPORTANT', message: `Default terminal profile "${value}" does not exist`, reason: 'New terminals fail to open or fall back to another shell' };
+  }
+  if (os === 'windows' && value !== WINDOWS_PROFILE) {
+    return { ...finding, ok: false, criticality: 'OPTIONAL', message: `Default terminal profile is ${value}`, reason: `${WINDOWS_PROFILE} runs the same commands as the macOS and Linux terminals` };
+  }
+  return { ...finding, ok: true, message: `Default terminal profile: ${value}` };
+}
+
+/**
+ * The Workspace Trust finding
+ * trustedFolders is null when they cannot be read (see lib/vscodeState.js)
+ */
+function auditWorkspaceTrust(env, settings, trustedFolders) {
+  const key = 'security.workspace.trust.enabled';
+  const { value, source } = getSetting(settings, key);
+  const finding = { key, value, source, recommended: false };
+  
+  if (value === false) {
+    return { ...finding, ok: true, message: 'Workspace Trust is off' };
+  }
+  if (trustedFolders === null) {
+    return { ...finding, ok: true, message: 'Workspace Trust is on', details: 'Trusted folders could not be read' };
+  }
+  if (isInsideFolder(env, trustedFolders)) {
+    return { ...finding, ok: true, message: 'This folder is trusted' };
+  }
+  return {
+    ...finding,
+    ok: false,
+    criticality: 'IMPORTANT',
+    message: 'This folder is not trusted: extensions are limited in Restricted Mode',
+    reason: 'Live Server and other extensions do not run until the folder is trusted',
+    hint: 'Or trust the folder: run "Workspaces: Manage Workspace Trust" from the Command Palette and click "Trust"',
+  };
+}
+
+/**
+ * Audit the settings (see lib/settings.js readSettings)
+ * Returns [{ key, value, source, recommended, ok, criticality, message,
+ * reason }] with value undefined and source null for settings left unset
+ */
+function auditSettings(env, settings, trustedFolders = null) {
+  const findings = SETTING_RULES.map((rule) => {
+    const { value, source } = getSetting(settings, rule.key);
+    const effective = source ? value : rule.fallback;
+    const finding = { key: rule.key, value, source, recommended: rule.recommended };
+    return rule.isOk(effective)
+      ? { ...finding, ok: true, message: `${rule.key}: ${JSON.stringify(effective)}` }
+      : { ...finding, ok: false, criticality: rule.criticality, message: rule.problem, reason: rule.reason };
+  });
+  
+  return [
+    ...findings,
+    auditTerminalProfile(env, settings),
+    auditWorkspaceTrust(env, settings, trustedFolders),
+  ];
+}
+
+module.exports = {
+  SETTING_RULES,
+  terminalPlatform,
+  auditSettings,
+};
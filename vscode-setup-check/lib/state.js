@@ -0,0 +1,72 @@
+/**
+ * Per-user state kept between runs
+ * 
+ * The state file lives in the user's data directory, so it is shared by
+ * every project the checker runs in:
+ * 
+ * - Windows: %APPDATA%\ocadu-vscode-setup
+ * - macOS: ~/Library/Application Support/ocadu-vscode-setup
+ * - Linux: $XDG_STATE_HOME/ocadu-vscode-setup (default ~/.local/state)
+ * 
+ * OCADU_SETUP_DATA_DIR overrides the location.
+ */
+
+const { pathFor } = require('./env');
+
+// Folder name inside the platform data directory
+const DATA_DIR_NAME = 'ocadu-vscode-setup';
+
+// State file name inside the data directory
+const STATE_FILENAME = 'state.json';
+
+/**
+ * Find the per-user data directory for an env
+ */
+function getDataDir(env) {
+  const path = pathFor(env);
+  
+  if (env.vars.OCADU_SETUP_DATA_DIR) {
+    return env.vars.OCADU_SETUP_DATA_DIR;
+  }
+  if (env.platform === 'win32') {
+    return path.join(env.vars.APPDATA || path.join(env.homedir, 'AppData', 'Roaming'), DATA_DIR_NAME);
+  }
+  if (env.platform === 'darwin') {
+    return path.join(env.homedir, 'Library', 'Application Support', DATA_DIR_NAME);
+  }
+  return path.join(env.vars.XDG_STATE_HOME || path.join(env.homedir, '.local', 'state'), DATA_DIR_NAME);
+}
+
+/**
+ * Read the state file (an empty state if it is missing or unreadable)
+ */
+function loadState(env) {
+  const statePath = pathFor(env).join(getDataDir(env), STATE_FILENAME);
+  
+  try {
+    const state = JSON.parse(env.fs.readFileSync(statePath, 'utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Write the state file, creating the data directory if needed
+ * Returns the path written
+ */
+function saveState(env, state) {
+  const dataDir = getDataDir(env);
+  const statePath = pathFor(env).join(dataDir, STATE_FILENAME);
+  
+  env.fs.mkdirSync(dataDir, { recursive: true });
+  env.fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+  return statePath;
+}
+
+module.exports = {
+  STATE_FILENAME,
+  getDataDir,
+  loadState,
+  saveState,
+};
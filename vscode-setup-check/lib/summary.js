@@ -0,0 +1,127 @@
+/**
+ * Manual checklist and final summary printed at the end of a run
+ */
+
+const { log, print, printHeader } = require('./output');
+const { getSummary, getExitCode, getVerdict } = require('./run');
+const { guideLink } = require('./guides');
+const { getChecklist, askChecklist } = require('./checklist');
+const { formatTrend } = require('./history');
+
+/**
+ * Manual verification checklist
+ * With options.interactive, asks about each unconfirmed item first
+ */
+async function printManualChecklist(run, options = {}) {
+  printHeader(run, 'Manual Verification Checklist');
+  
+  if (options.interactive) {
+    await askChecklist(run);
+  }
+  
+  const checklist = getChecklist(run);
+  const confirmed = checklist.filter((entry) => entry.confirmed).length;
+  
+  print(run, `\nThe following items require manual verification (${confirmed}/${checklist.length} confirmed):`, 'cyan');
+  log(run);
+  checklist.forEach((entry) => {
+    if (entry.confirmed) {
+      print(run, `☑ ${entry.item}`, 'green');
+    } else {
+      log(run, `☐ ${entry.item}${entry.declined ? ' (answered no)' : ''}`);
+    }
+  });
+  if (checklist.some((entry) => entry.declined)) {
+    log(run, '\nItems answered no are not asked again. Delete state.json in the data folder to answer them again.');
+  }
+  
+  print(run, '\n📚 Refer to the setup guides at:', 'cyan');
+  log(run, `   ${guideLink(run, 'home')}`);
+}
+
+/**
+ * Changes since the previous run (run.changes, see diffRuns in lib/history.js)
+ */
+function printChanges(run) {
+  const { since, fixed, broken, passRate } = run.changes;
+  
+  log(run, `\nChanges Since Last Run (${since.slice(0, 16).replace('T', ' ')}):`);
+  print(run, `  Completion: ${formatTrend(passRate)}`, passRate.to > passRate.from ? 'green' : passRate.to < passRate.from ? 'red' : 'reset');
+  fixed.forEach((check) => {
+    print(run, `  ✓ Fixed: ${check.message}`, 'green');
+  });
+  broken.forEach((check) => {
+    print(run, `  ✗ Newly broken: ${check.message}`, 'red');
+  });
+  if (fixed.length === 0 && broken.length === 0) {
+    log(run, '  No checks changed status');
+  }
+}
+
+/**
+ * Print final summary
+ */
+function printSummary(run) {
+  printHeader(run, 'Setup Verification Summary');
+  
+  const summary = getSummary(run);
+  const { passRate } = summary;
+  
+  print(run, `\n✓ Passed: ${run.results.passed.length}`, 'green');
+  print(run, `✗ Failed: ${run.results.failed.length}`, 'red');
+  print(run, `⚠ Warnings: ${run.results.warnings.length}`, 'yellow');
+  
+  log(run, `\nCompletion Rate: ${passRate}%`);
+  log(run, `Manual Checklist: ${summary.manualChecklist.confirmed}/${summary.manualChecklist.total} confirmed`);
+  
+  if (run.changes) {
+    printChanges(run);
+  }
+  
+  // Show criticality breakdown
+  if (run.results.critical.length > 0 || run.results.important.length > 0 || run.results.optional.length > 0) {
+    log(run, '\nFailed Items by Criticality:');
+    if (run.results.critical.length > 0) {
+      print(run, `  🔴 Critical: ${run.results.critical.length} - Must fix for development to work`, 'red');
+    }
+    if (run.results.important.length > 0) {
+      print(run, `  🟡 Important: ${run.results.important.length} - Recommended for full functionality`, 'yellow');
+    }
+    if (run.results.optional.length > 0) {
+      print(run, `  🟢 Optional: ${run.results.optional.length} - Nice to have, not required`, 'green');
+    }
+  }
+  
+  log(run, '');
+  
+  // Provide context-specific feedback
+  const verdict = getVerdict(summary);
+  const verdictColors = {
+    perfect: ['green', 'cyan'],
+    ok: ['green', 'cyan'],
+    critical: ['red', 'yellow'],
+    important: ['yellow', 'cyan'],
+  };
+  const [titleColor, adviceColor] = verdictColors[verdict.level];
+  
+  print(run, verdict.title, titleColor);
+  verdict.advice.forEach((line) => print(run, line, adviceColor));
+  
+  if (!run.options.fix && run.results.fixes.length > 0) {
+    print(run, `💡 ${run.results.fixes.length} problem(s) can be fixed automatically - run again with --fix`, 'cyan');
+  }
+  
+  if (run.options.strict) {
+    print(run, `Strict mode: warnings count as failures (exit code ${getExitCode(run)}).`, 'cyan');
+  }
+  
+  log(run, '\n📚 For detailed guides, visit:');
+  log(run, `   ${guideLink(run, 'home')}`);
+  log(run, `❓ For help, run: ${run.options.command} --help`);
+  log(run, '\n');
+}
+
+module.exports = {
+  printManualChecklist,
+  printSummary,
+};
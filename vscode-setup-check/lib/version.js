@@ -0,0 +1,36 @@
+/**
+ * Version numbers
+ * 
+ * Compares dotted release versions such as "1.9.0", "v20.11.1" or "2.0"
+ * (missing parts count as 0). Pre-release suffixes such as "-beta.1" are
+ * ignored.
+ */
+
+/**
+ * The numeric parts of a version, or null if it is not one
+ */
+function parseVersion(version) {
+  const match = String(version || '').trim().match(/^v?(\d+(?:\.\d+)*)/i);
+  return match ? match[1].split('.').map(Number) : null;
+}
+
+/**
+ * Compare two versions: negative if a is older than b, 0 if they are the
+ * same release, positive if a is newer
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a) || [];
+  const right = parseVersion(b) || [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+};
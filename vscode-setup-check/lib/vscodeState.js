@@ -0,0 +1,207 @@
+/**
+ * VS Code's stored state
+ * 
+ * Which extensions are disabled and which folders are trusted is not in
+ * settings.json or the CLI output: VS Code keeps it in state.vscdb (a
+ * SQLite database) - globalStorage for the whole editor,
+ * workspaceStorage/<id> for each folder opened. Values
+ * are read with the sqlite3 command when it is installed, and otherwise
+ * found in the database file itself. That fallback is a guess - the file
+ * can hold a stale copy of a value until VS Code compacts it - so values
+ * read that way are marked uncertain.
+ */
+
+const { pathFor } = require('./env');
+const { getUserDataDir, fromFileUri, isWorkspaceFolder } = require('./settings');
+
+// State key holding the disabled extensions, [{ id, uuid }]
+const DISABLED_KEY = 'extensionsIdentifiers/disabled';
+
+// State key holding the folders trusted (or not) by Workspace Trust,
+// { uriTrustInfo: [{ uri: { scheme, path, fsPath }, trusted }] }
+const TRUST_KEY = 'content.trust.model.key';
+
+// Largest database file searched without sqlite3
+const MAX_SCAN_SIZE = 16 * 1024 * 1024;
+
+// Database files read without sqlite3, per env, so each is read once
+const scannedFiles = new WeakMap();
+
+/**
+ * The contents of a database file for the fallback, or null if it cannot
+ * be read or is larger than MAX_SCAN_SIZE
+ */
+function readDatabaseFile(env, dbPath) {
+  if (!scannedFiles.has(env)) {
+    scannedFiles.set(env, new Map());
+  }
+  const files = scannedFiles.get(env);
+  if (!files.has(dbPath)) {
+    try {
+      files.set(dbPath, env.fs.statSync(dbPath).size > MAX_SCAN_SIZE ? null : String(env.fs.readFileSync(dbPath, 'latin1')));
+    } catch (error) {
+      files.set(dbPath, null);
+    }
+  }
+  return files.get(dbPath);
+}
+
+/**
+ * Read a value from a state.vscdb database
+ * Returns { value, certain } where value is null if there is none, and
+ * certain is false when sqlite3 is not available and the value was
+ * searched for in the file (it may be out of date, or missed)
+ */
+function readStateValue(env, dbPath, key) {
+  if (!env.fs.existsSync(dbPath)) {
+    return { value: null, certain: true };
+  }
+  
+  const output = env.exec(`sqlite3 -readonly "${dbPath}" "SELECT value FROM ItemTable WHERE key = '${key}'"`);
+  if (output !== null) {
+    return { value: output || null, certain: true };
+  }
+  
+  // No sqlite3: a row's key is stored right before its (JSON) value
+  const content = readDatabaseFile(env, dbPath);
+  if (content === null) {
+    return { value: null, certain: false };
+  }
+  for (let index = content.lastIndexOf(key); index !== -1; index = content.lastIndexOf(key, index - 1)) {
+    const value = jsonAt(content, index + key.length);
+    if (value !== null) {
+      return { value, certain: false };
+    }
+  }
+  return { value: null, certain: false };
+}
+
+/**
+ * The JSON array or object starting at a position of a text, or null
+ */
+function jsonAt(text, start) {
+  if (text[start] !== '[' && text[start] !== '{') {
+    return null;
+  }
+  
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Extension IDs (lower case) in a stored disabled list
+ */
+function parseDisabled(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list.map((entry) => String(entry && entry.id || '').toLowerCase()).filter(Boolean) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * The workspaceStorage folder VS Code uses for cwd, or null
+ * Each folder has a workspace.json naming the folder URI it belongs to.
+ */
+function findWorkspaceStorage(env, dataDir) {
+  const path = pathFor(env);
+  const storageDir = path.join(dataDir, 'workspaceStorage');
+  
+  let ids;
+  try {
+    ids = env.fs.readdirSync(storageDir);
+  } catch (error) {
+    return null;
+  }
+  
+  for (const id of ids) {
+    try {
+      const folder = fromFileUri(JSON.parse(String(env.fs.readFileSync(path.join(storageDir, id, 'workspace.json'), 'utf8'))).folder);
+      if (folder !== null && isWorkspaceFolder(env, folder)) {
+        return path.join(storageDir, id);
+      }
+    } catch (error) {
+      // Not a folder workspace, or unreadable
+    }
+  }
+  return null;
+}
+
+/**
+ * Extensions disabled in an editor (see lib/editors.js)
+ * Returns { global, workspace, certain } with global and workspace as
+ * arrays of lower-case IDs (workspace for the folder at cwd) and certain
+ * as { global, workspace } (see readStateValue), or null if the editor's
+ * state cannot be read here
+ */
+function getDisabledExtensions(env, editorId) {
+  const dataDir = getUserDataDir(env, editorId);
+  if (!dataDir) {
+    return null;
+  }
+  
+  const path = pathFor(env);
+  const workspaceStorage = findWorkspaceStorage(env, dataDir);
+  const global = readStateValue(env, path.join(dataDir, 'globalStorage', 'state.vscdb'), DISABLED_KEY);
+  const workspace = workspaceStorage ? readStateValue(env, path.join(workspaceStorage, 'state.vscdb'), DISABLED_KEY) : { value: null, certain: true };
+  return {
+    global: parseDisabled(global.value),
+    workspace: parseDisabled(workspace.value),
+    certain: { global: global.certain, workspace: workspace.certain },
+  };
+}
+
+/**
+ * Folders Workspace Trust trusts in an editor, with their subfolders
+ * Returns an array of paths, or null if the editor's state cannot be read
+ * here (including without sqlite3: a stale copy would trust or distrust
+ * the wrong folders)
+ */
+function getTrustedFolders(env, editorId) {
+  const dataDir = getUserDataDir(env, editorId);
+  if (!dataDir) {
+    return null;
+  }
+  
+  const { value, certain } = readStateValue(env, pathFor(env).join(dataDir, 'globalStorage', 'state.vscdb'), TRUST_KEY);
+  if (value === null || !certain) {
+    return null;
+  }
+  try {
+    const { uriTrustInfo } = JSON.parse(value);
+    return (Array.isArray(uriTrustInfo) ? uriTrustInfo : [])
+      .filter((entry) => entry && entry.trusted && entry.uri && entry.uri.scheme === 'file')
+      .map((entry) => entry.uri.fsPath || fromFileUri(entry.uri.external) || entry.uri.path)
+      .filter((folder) => typeof folder === 'string');
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  readStateValue,
+  findWorkspaceStorage,
+  getDisabledExtensions,
+  getTrustedFolders,
+};
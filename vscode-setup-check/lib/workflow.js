@@ -0,0 +1,279 @@
+/**
+ * GitHub Pages deploy workflow
+ * 
+ * Reads the workflows in .github/workflows (see lib/yaml.js) and checks the
+ * one that deploys to GitHub Pages the way the "Static HTML" starter
+ * workflow does: triggered by pushes to the student's branch, allowed to
+ * write to Pages, uploading an artifact that contains the sketches and
+ * deploying it. Problems carry the line of the workflow file they are on.
+ */
+
+const { pathFor } = require('./env');
+const { YamlError, parseYaml, lineOf } = require('./yaml');
+
+// Where GitHub looks for workflows, relative to the repository
+const WORKFLOW_DIR = '.github/workflows';
+
+// Folder upload-pages-artifact uploads when the step has no path
+const DEFAULT_ARTIFACT_PATH = '_site/';
+
+// The actions a Pages deployment needs
+const UPLOAD_ACTION = /^actions\/upload-pages-artifact(@|$)/i;
+const DEPLOY_ACTION = /^actions\/deploy-pages(@|$)/i;
+const CHECKOUT_ACTION = /^actions\/checkout(@|$)/i;
+
+// Either Pages action anywhere in a workflow's text
+const PAGES_ACTION_TEXT = /actions\/(upload-pages-artifact|deploy-pages)\b/i;
+
+// Token permissions deploy-pages needs
+const REQUIRED_PERMISSIONS = ['pages', 'id-token'];
+
+/**
+ * Read and parse every workflow in the repository at cwd
+ * Returns [{ file, workflow, error, mentionsPages }] with file relative to
+ * cwd (forward slashes), error a YamlError when the file could not be
+ * parsed and mentionsPages whether its text names a Pages action (the only
+ * hint left when it could not be parsed)
+ */
+function readWorkflows(env) {
+  const path = pathFor(env);
+  const dir = path.join(env.cwd, ...WORKFLOW_DIR.split('/'));
+  
+  let names;
+  try {
+    names = env.fs.readdirSync(dir).filter((name) => /\.ya?ml$/i.test(name)).sort();
+  } catch (error) {
+    return [];
+  }
+  
+  return names.map((name) => {
+    const file = `${WORKFLOW_DIR}/${name}`;
+    let text = '';
+    try {
+      text = env.fs.readFileSync(path.join(dir, name), 'utf8');
+      return { file, workflow: parseYaml(text), error: null, mentionsPages: PAGES_ACTION_TEXT.test(text) };
+    } catch (error) {
+      return { file, workflow: null, error: error instanceof YamlError ? error : new YamlError(error.message, 1), mentionsPages: PAGES_ACTION_TEXT.test(text) };
+    }
+  });
+}
+
+/**
+ * The steps of every job in a workflow
+ * Returns [{ jobName, job, index, step, uses, line }]
+ */
+function getSteps(workflow) {
+  const jobs = workflow && isMapping(workflow.jobs) ? workflow.jobs : {};
+  return Object.keys(jobs).flatMap((jobName) => {
+    const job = jobs[jobName];
+    const steps = isMapping(job) && Array.isArray(job.steps) ? job.steps : [];
+    return steps.map((step, index) => ({
+      jobName,
+      job,
+      index,
+      step,
+      uses: isMapping(step) && typeof step.uses === 'string' ? step.uses.trim() : '',
+      line: lineOf(steps, index),
+    }));
+  });
+}
+
+/**
+ * The first parsed workflow with an upload-pages-artifact or deploy-pages
+ * step, or null
+ */
+function findPagesWorkflow(workflows) {
+  return workflows.find(({ workflow }) => getSteps(workflow).some(({ uses }) => UPLOAD_ACTION.test(uses) || DEPLOY_ACTION.test(uses))) || null;
+}
+
+/**
+ * Whether a branch filter pattern (as in on.push.branches) matches a branch
+ * * matches anything but "/", ** matches anything, ? one character.
+ */
+function matchesBranchPattern(pattern, branch) {
+  const source = String(pattern).replace(/\*\*|[*?]|[.+^${}()|[\]\\]/g, (token) => {
+    if (token === '**') {
+      return '.*';
+    }
+    if (token === '*') {
+      return '[^/]*';
+    }
+    return token === '?' ? '.' : `\\${token}`;
+  });
+  return new RegExp(`^${source}$`).test(branch);
+}
+
+/**
+ * Whether a list of branch patterns matches a branch; later patterns win,
+ * and a leading "!" excludes
+ */
+function matchesBranch(patterns, branch) {
+  let matched = false;
+  for (const pattern of patterns.map(String)) {
+    if (pattern.startsWith('!')) {
+      matched = matched && !matchesBranchPattern(pattern.slice(1), branch);
+    } else {
+      matched = matched || matchesBranchPattern(pattern, branch);
+    }
+  }
+  return matched;
+}
+
+/**
+ * The push trigger of a workflow
+ * Returns null when pushes do not run it, otherwise { branches, ignore, line }
+ * where branches / ignore are the branch filters (null when absent) and
+ * line is where they (or the trigger) are
+ */
+function getPushTrigger(workflow) {
+  const on = workflow ? workflow.on : null;
+  const onLine = lineOf(workflow, 'on');
+  
+  if (on === 'push' || (Array.isArray(on) && on.includes('push'))) {
+    return { branches: null, ignore: null, line: onLine };
+  }
+  if (!isMapping(on) || !Object.prototype.hasOwnProperty.call(on, 'push')) {
+    return null;
+  }
+  
+  const push = isMapping(on.push) ? on.push : {};
+  const toList = (value) => (value === undefined ? null : [].concat(value === null ? [] : value));
+  const branches = toList(push.branches);
+  const ignore = toList(push['branches-ignore']);
+  
+  // A push filtered only by tags runs for tags, not branches
+  if (!branches && !ignore && (push.tags !== undefined || push['tags-ignore'] !== undefined)) {
+    return null;
+  }
+  
+  return {
+    branches,
+    ignore,
+    line: lineOf(push, branches ? 'branches' : 'branches-ignore') || lineOf(on, 'push'),
+  };
+}
+
+/**
+ * Whether a push to branch runs a workflow
+ */
+function isTriggeredBy(workflow, branch) {
+  const trigger = getPushTrigger(workflow);
+  if (!trigger) {
+    return false;
+  }
+  if (trigger.branches) {
+    return matchesBranch(trigger.branches, branch);
+  }
+  return !(trigger.ignore && matchesBranch(trigger.ignore, branch));
+}
+
+/**
+ * Normalise an artifact path to a folder relative to the repository
+ * ('' for the whole repository)
+ */
+function normalizeArtifactPath(value) {
+  return String(value).trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '').replace(/^\.$/, '');
+}
+
+/**
+ * Check a Pages workflow found by findPagesWorkflow
+ * branch is the branch the student pushes; sketchFolders are the folders
+ * that must be published ('' for the top of the repository).
+ * Returns { problems: [{ line, message }], artifactPath, deployJob } with
+ * problems in line order
+ */
+function validatePagesWorkflow({ workflow }, { branch, sketchFolders = [] }) {
+  const problems = [];
+  const problem = (line, message) => problems.push({ line: line || 1, message });
+  
+  // Trigger
+  const trigger = getPushTrigger(workflow);
+  if (!workflow || !workflow.on) {
+    problem(1, 'There is no "on:" section, so nothing starts the workflow');
+  } else if (!trigger) {
+    problem(lineOf(workflow, 'on'), `There is no push trigger, so pushes to ${branch} are not deployed`);
+  } else if (!isTriggeredBy(workflow, branch)) {
+    const filter = trigger.branches ? `branches: ${trigger.branches.join(', ')}` : `branches-ignore: ${trigger.ignore.join(', ')}`;
+    problem(trigger.line, `Pushes to ${branch} do not trigger the workflow (${filter})`);
+  }
+  
+  // Steps
+  const jobsLine = lineOf(workflow, 'jobs');
+  const steps = getSteps(workflow);
+  const upload = steps.find(({ uses }) => UPLOAD_ACTION.test(uses));
+  const deploy = steps.find(({ uses }) => DEPLOY_ACTION.test(uses));
+  if (!jobsLine) {
+    problem(1, 'There is no "jobs:" section');
+  }
+  if (jobsLine && !upload) {
+    problem(jobsLine, 'No step uses actions/upload-pages-artifact, so there is nothing to deploy');
+  }
+  if (jobsLine && !deploy) {
+    problem(jobsLine, 'No step uses actions/deploy-pages, so the upload is never published');
+  }
+  if (upload && !steps.some(({ uses, jobName, index }) => CHECKOUT_ACTION.test(uses) && jobName === upload.jobName && index < upload.index)) {
+    problem(upload.line, `Job "${upload.jobName}" uploads without an actions/checkout step first, so the upload is empty`);
+  }
+  if (upload && deploy && upload.jobName === deploy.jobName && deploy.index < upload.index) {
+    problem(deploy.line, 'actions/deploy-pages runs before actions/upload-pages-artifact');
+  }
+  
+  // Permissions of the deploying job (its own permissions replace the workflow's)
+  if (deploy) {
+    const ownPermissions = Object.prototype.hasOwnProperty.call(deploy.job, 'permissions');
+    const permissions = ownPermissions ? deploy.job.permissions : workflow.permissions;
+    const line = ownPermissions ? lineOf(deploy.job, 'permissions') : lineOf(workflow, 'permissions');
+    
+    if (permissions === undefined) {
+      problem(lineOf(workflow.jobs, deploy.jobName), `There is no "permissions:" section for job "${deploy.jobName}" - it needs pages: write and id-token: write`);
+    } else if (permissions !== 'write-all') {
+      for (const name of REQUIRED_PERMISSIONS) {
+        const value = isMapping(permissions) ? permissions[name] : undefined;
+        if (value !== 'write') {
+          problem(isMapping(permissions) && lineOf(permissions, name) || line, value === undefined
+            ? `"permissions:" is missing ${name}: write`
+            : `${name} is "${value}" but needs to be "write"`);
+        }
+      }
+    }
+  }
+  
+  // Artifact contents
+  let artifactPath = null;
+  if (upload) {
+    const inputs = isMapping(upload.step.with) ? upload.step.with : {};
+    const hasPath = inputs.path !== undefined && inputs.path !== null;
+    artifactPath = hasPath ? String(inputs.path) : DEFAULT_ARTIFACT_PATH;
+    const folder = normalizeArtifactPath(artifactPath);
+    
+    if (!artifactPath.includes('${{') && folder !== '') {
+      const missing = sketchFolders.filter((sketch) => sketch !== folder && !sketch.startsWith(`${folder}/`));
+      if (missing.length > 0) {
+        const names = missing.map((sketch) => sketch || 'index.html');
+        problem(hasPath ? lineOf(inputs, 'path') : upload.line, `The artifact path "${artifactPath}"${hasPath ? '' : ' (the default)'} leaves out ${names.join(', ')}`);
+      }
+    }
+  }
+  
+  problems.sort((a, b) => a.line - b.line);
+  return { problems, artifactPath, deployJob: deploy ? deploy.jobName : null };
+}
+
+/**
+ * Whether a parsed value is a mapping
+ */
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  WORKFLOW_DIR,
+  DEFAULT_ARTIFACT_PATH,
+  readWorkflows,
+  findPagesWorkflow,
+  getPushTrigger,
+  matchesBranch,
+  isTriggeredBy,
+  normalizeArtifactPath,
+  validatePagesWorkflow,
+};
@@ -0,0 +1,367 @@
+/**
+ * YAML subset parser for GitHub Actions workflows
+ * 
+ * Supports what workflow files use: block mappings and sequences, flow
+ * sequences and mappings on one line ([a, b], {a: b}), plain and quoted
+ * scalars, comments and block scalars (| and >). Anchors, aliases, tags
+ * multiple documents and scalars or flow collections that span lines are
+ * not supported; the YamlError for them has unsupported set, since the
+ * file may still be valid YAML.
+ * 
+ * Keys stay strings (`on` is not read as a boolean), and every mapping and
+ * sequence remembers the line of each key or item (see lineOf), so
+ * problems can be reported with a line number.
+ */
+
+// Where mappings and sequences keep their line numbers
+const LINES = Symbol('lines');
+
+/**
+ * Error for text that is not valid in the supported subset
+ * unsupported is true when the text may be valid YAML the subset does not
+ * read, rather than a mistake.
+ */
+class YamlError extends Error {
+  constructor(message, line, unsupported = false) {
+    super(`line ${line}: ${message}`);
+    this.name = 'YamlError';
+    this.line = line;
+    this.unsupported = unsupported;
+  }
+}
+
+/**
+ * The line (1-based) of a key in a parsed mapping or an item in a parsed
+ * sequence, or null
+ */
+function lineOf(container, key) {
+  const lines = container && container[LINES];
+  return lines && lines[key] !== undefined ? lines[key] : null;
+}
+
+/**
+ * Create a mapping or sequence with line numbers
+ */
+function createNode(isSequence) {
+  const node = isSequence ? [] : {};
+  Object.defineProperty(node, LINES, { value: isSequence ? [] : {}, enumerable: false });
+  return node;
+}
+
+/**
+ * Remove a trailing comment (a # after whitespace, outside quotes)
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Index of the ": " (or final ":") separating a key from its value, or -1
+ */
+function findKeySeparator(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === '\'') && i === 0) {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      return -1;
+    } else if (char === ':' && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Convert a plain or quoted scalar
+ */
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    if (text.indexOf('"', 1) === -1) {
+      throw new YamlError('Quoted strings that span lines are not supported', line, true);
+    }
+    if (!text.endsWith('"')) {
+      throw new YamlError(`Unexpected text after double-quoted string ${text}`, line);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new YamlError(`Invalid double-quoted string ${text}`, line);
+    }
+  }
+  if (text.startsWith('\'')) {
+    if (text.indexOf('\'', 1) === -1) {
+      throw new YamlError('Quoted strings that span lines are not supported', line, true);
+    }
+    if (!text.endsWith('\'')) {
+      throw new YamlError(`Unexpected text after single-quoted string ${text}`, line);
+    }
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (/^[&*!]/.test(text)) {
+    throw new YamlError(`Anchors, aliases and tags are not supported: ${text}`, line, true);
+  }
+  if (text === '' || text === '~' || text === 'null') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Parse a one-line flow value ([...], {...}) or scalar
+ */
+function parseInline(text, line) {
+  if (!text.startsWith('[') && !text.startsWith('{')) {
+    return parseScalar(text, line);
+  }
+  
+  let position = 0;
+  
+  const skipSpaces = () => {
+    while (position < text.length && /\s/.test(text[position])) {
+      position++;
+    }
+  };
+  
+  const readItem = () => {
+    skipSpaces();
+    if (text[position] === '[' || text[position] === '{') {
+      return readCollection();
+    }
+    const start = position;
+    let quote = null;
+    while (position < text.length) {
+      const char = text[position];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === ',' || char === ']' || char === '}' || (char === ':' && /\s/.test(text[position + 1] || ' '))) {
+        break;
+      }
+      position++;
+    }
+    return parseScalar(text.slice(start, position).trim(), line);
+  };
+  
+  const readCollection = () => {
+    const isSequence = text[position] === '[';
+    const close = isSequence ? ']' : '}';
+    const node = createNode(isSequence);
+    position++;
+    
+    skipSpaces();
+    while (text[position] !== close) {
+      if (position >= text.length) {
+        throw new YamlError(`Flow collections that span lines are not supported (no "${close}" on this line)`, line, true);
+      }
+      const item = readItem();
+      skipSpaces();
+      if (isSequence) {
+        node.push(item);
+        node[LINES].push(line);
+      } else {
+        if (text[position] !== ':') {
+          throw new YamlError(`Expected "key: value" in ${text}`, line);
+        }
+        position++;
+        node[String(item)] = readItem();
+        node[LINES][String(item)] = line;
+        skipSpaces();
+      }
+      if (text[position] === ',') {
+        position++;
+        skipSpaces();
+      } else if (text[position] !== close) {
+        throw new YamlError(`Expected "," or "${close}" in ${text}`, line);
+      }
+    }
+    position++;
+    return node;
+  };
+  
+  const value = readCollection();
+  skipSpaces();
+  if (position < text.length) {
+    throw new YamlError(`Unexpected text after ${text.slice(0, position)}`, line);
+  }
+  return value;
+}
+
+/**
+ * Parse YAML text
+ * Throws a YamlError with the line number for anything outside the subset.
+ */
+function parseYaml(text) {
+  const rawLines = String(text).replace(/^﻿/, '').split(/\r?\n/);
+  
+  // Significant lines: { indent, text, line }, with comments removed
+  const lines = [];
+  for (let i = 0; i < rawLines.length; i++) {
+    const raw = rawLines[i];
+    if (/^\s*\t/.test(raw) && raw.trim()) {
+      throw new YamlError('Tabs cannot be used for indentation', i + 1);
+    }
+    const content = stripComment(raw);
+    if (!content.trim()) {
+      continue;
+    }
+    if (/^(---|\.\.\.)\s*$/.test(content)) {
+      if (lines.length > 0) {
+        throw new YamlError('Multiple documents are not supported', i + 1, true);
+      }
+      continue;
+    }
+    lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), line: i + 1, raw: i });
+  }
+  
+  let index = 0;
+  
+  const isSequenceItem = (entry) => entry.text === '-' || entry.text.startsWith('- ');
+  
+  // A line indented under a value: a plain scalar that goes on (valid YAML
+  // the subset does not read) unless it is a key or an item
+  const indentationError = (entry) => {
+    if (findKeySeparator(entry.text) === -1 && !isSequenceItem(entry)) {
+      return new YamlError('Plain scalars that span lines are not supported', entry.line, true);
+    }
+    return new YamlError('Unexpected indentation', entry.line);
+  };
+  
+  // Lines of a | or > block scalar: everything more indented than the key
+  const readBlockScalar = (header, parentIndent, line) => {
+    const values = [];
+    let raw = line;
+    let blockIndent = null;
+    while (raw < rawLines.length) {
+      const text = rawLines[raw];
+      const indent = text.length - text.trimStart().length;
+      if (text.trim() && indent <= parentIndent) {
+        break;
+      }
+      if (text.trim() && blockIndent === null) {
+        blockIndent = indent;
+      }
+      values.push(text.trim() ? text.slice(blockIndent) : '');
+      raw++;
+    }
+    while (index < lines.length && lines[index].raw < raw) {
+      index++;
+    }
+    while (values.length > 0 && values[values.length - 1] === '' && !header.includes('+')) {
+      values.pop();
+    }
+    const joined = header.startsWith('>') ? values.join(' ').replace(/ ?\n ?/g, '\n') : values.join('\n');
+    return header.includes('-') ? joined : `${joined}\n`;
+  };
+  
+  // The value after "key:" or "- ": inline, block scalar or nested block
+  const readValue = (rest, parentIndent, entry, allowSameIndentSequence) => {
+    if (/^[|>][+-]?\d*$/.test(rest)) {
+      return readBlockScalar(rest, parentIndent, entry.raw + 1);
+    }
+    if (rest !== '') {
+      return parseInline(rest, entry.line);
+    }
+    const next = lines[index];
+    if (next && next.indent > parentIndent) {
+      return readBlock(next.indent);
+    }
+    if (next && allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next)) {
+      return readBlock(next.indent);
+    }
+    return null;
+  };
+  
+  const readMapping = (indent) => {
+    const node = createNode(false);
+    while (index < lines.length && lines[index].indent === indent && !isSequenceItem(lines[index])) {
+      const entry = lines[index];
+      const separator = findKeySeparator(entry.text);
+      if (separator === -1) {
+        throw new YamlError(`Expected "key: value", found "${entry.text}"`, entry.line);
+      }
+      const key = String(parseScalar(entry.text.slice(0, separator).trim(), entry.line));
+      if (Object.prototype.hasOwnProperty.call(node, key)) {
+        throw new YamlError(`Duplicate key "${key}"`, entry.line);
+      }
+      index++;
+      node[LINES][key] = entry.line;
+      node[key] = readValue(entry.text.slice(separator + 1).trim(), indent, entry, true);
+    }
+    return node;
+  };
+  
+  const readSequence = (indent) => {
+    const node = createNode(true);
+    while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index])) {
+      const entry = lines[index];
+      const rest = entry.text.slice(1).trimStart();
+      node[LINES].push(entry.line);
+      
+      // "- key: value" starts a mapping indented to where the key is
+      if (rest && findKeySeparator(rest) !== -1 && !/^[|>]/.test(rest)) {
+        const offset = entry.text.length - rest.length;
+        lines[index] = { ...entry, indent: indent + offset, text: rest };
+        node.push(readMapping(indent + offset));
+      } else {
+        index++;
+        node.push(readValue(rest, indent, entry, false));
+      }
+    }
+    return node;
+  };
+  
+  const readBlock = (indent) => {
+    const value = isSequenceItem(lines[index]) ? readSequence(indent) : readMapping(indent);
+    if (index < lines.length && lines[index].indent > indent) {
+      throw indentationError(lines[index]);
+    }
+    return value;
+  };
+  
+  if (lines.length === 0) {
+    return null;
+  }
+  if (lines.length === 1 && findKeySeparator(lines[0].text) === -1 && !isSequenceItem(lines[0])) {
+    return parseInline(lines[0].text, lines[0].line);
+  }
+  
+  const document = readBlock(lines[0].indent);
+  if (index < lines.length) {
+    throw new YamlError('Unexpected indentation', lines[index].line);
+  }
+  return document;
+}
+
+module.exports = {
+  YamlError,
+  parseYaml,
+  lineOf,
+};
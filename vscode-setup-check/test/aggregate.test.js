@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, buildReport } = require('../lib/run');
+const { checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo } = require('../lib/checks');
+const { loadResults, aggregateResults, formatAggregateTable, renderAggregateHtml } = require('../lib/aggregate');
+const { createFakeEnv, createFakeFs } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+const linux = require('./fixtures/linux');
+
+/**
+ * The --json document a student would save for a fixture
+ */
+function resultsFor(fixture, student, generatedAt = '2025-09-01T12:00:00.000Z') {
+  const run = createRun({ env: createFakeEnv(fixture), student });
+  [checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo].forEach((check) => check(run));
+  return JSON.stringify({ ...buildReport(run), generatedAt }, null, 2);
+}
+
+const folder = createFakeFs({
+  '/class/jsmith.json': resultsFor(macos, 'jsmith'),
+  '/class/slee.json': resultsFor(windows, 'slee'),
+  '/class/untitled.json': resultsFor(linux),
+  '/class/slee-old.json': resultsFor(linux, 'slee', '2025-08-30T09:00:00.000Z'),
+  '/class/notes.txt': 'not a results file',
+  '/class/broken.json': '{ "tool": ',
+  '/class/package.json': '{ "name": "something-else" }',
+}, 'linux');
+
+test('results are read from every .json file in the folder', () => {
+  const { entries, errors } = loadResults('/class', folder);
+  
+  assert.deepStrictEqual(entries.map((entry) => entry.student), ['jsmith', 'slee', 'slee', 'untitled']);
+  assert.deepStrictEqual(errors.map((error) => error.file), ['broken.json', 'package.json']);
+});
+
+test('the dashboard uses each student\'s latest run', () => {
+  const aggregate = aggregateResults(loadResults('/class', folder).entries);
+  
+  assert.deepStrictEqual(aggregate.students.map((row) => row.student), ['jsmith', 'slee', 'untitled']);
+  assert.strictEqual(aggregate.students.find((row) => row.student === 'slee').platform, 'win32');
+  assert.strictEqual(aggregate.students.find((row) => row.student === 'jsmith').passRate, 100);
+});
+
+test('students with CRITICAL items and the most common problems are listed', () => {
+  const aggregate = aggregateResults(loadResults('/class', folder).entries);
+  
+  assert.deepStrictEqual(aggregate.critical.map((row) => row.student), ['slee', 'untitled']);
+  assert.ok(aggregate.critical[0].critical.includes('P5 Project Creator is NOT installed'));
+  assert.deepStrictEqual(aggregate.checks.find((check) => check.id === 'git.userName').students, ['untitled']);
+  assert.deepStrictEqual(aggregate.checks.find((check) => check.id === 'git.emailDomain').students, ['slee']);
+});
+
+test('the dashboard renders for the terminal and as HTML', () => {
+  const aggregate = aggregateResults(loadResults('/class', folder).entries);
+  const table = formatAggregateTable(aggregate).replace(/\x1b\[\d+m/g, '');
+  const html = renderAggregateHtml(aggregate);
+  
+  assert.match(table, /^Class dashboard: 3 students, \d+% average completion/);
+  assert.match(table, /jsmith\s+100%\s+0\s+0\s+0\s+2025-09-01/);
+  assert.match(table, /🔴 slee: /);
+  assert.match(html, /<h1>Class Setup Dashboard<\/h1>/);
+  assert.match(html, /<td>jsmith<\/td>\s*<td>100%<\/td>/);
+});
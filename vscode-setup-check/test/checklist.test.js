@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, getSummary, buildReport } = require('../lib/run');
+const { getChecklist, setChecklistItem, askChecklist } = require('../lib/checklist');
+const { getDataDir, saveState } = require('../lib/state');
+const { createFakeEnv } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+const linux = require('./fixtures/linux');
+
+const config = { manualChecklist: ['Two-factor authentication enabled on GitHub', 'VS Code Tunnel can be created and accessed'] };
+
+test('the state file lives in the per-user data directory', () => {
+  assert.strictEqual(getDataDir(createFakeEnv(macos)), '/Users/student/Library/Application Support/ocadu-vscode-setup');
+  assert.strictEqual(getDataDir(createFakeEnv({ ...windows, vars: { APPDATA: 'C:\\Users\\student\\AppData\\Roaming' } })), 'C:\\Users\\student\\AppData\\Roaming\\ocadu-vscode-setup');
+  assert.strictEqual(getDataDir(createFakeEnv(linux)), '/home/student/.local/state/ocadu-vscode-setup');
+  assert.strictEqual(getDataDir(createFakeEnv({ ...linux, vars: { OCADU_SETUP_DATA_DIR: '/tmp/setup' } })), '/tmp/setup');
+});
+
+test('answers are saved and confirmed items are ticked on the next run', () => {
+  const env = createFakeEnv(macos);
+  const first = createRun({ env, config });
+  
+  assert.deepStrictEqual(getChecklist(first).map((entry) => entry.confirmed), [false, false]);
+  
+  setChecklistItem(first, 'Two-factor authentication enabled on GitHub', true);
+  setChecklistItem(first, 'VS Code Tunnel can be created and accessed', false);
+  saveState(env, first.state);
+  
+  const second = createRun({ env, config });
+  const checklist = getChecklist(second);
+  assert.strictEqual(checklist[0].confirmed, true);
+  assert.match(checklist[0].confirmedAt, /^\d{4}-\d{2}-\d{2}T/);
+  assert.strictEqual(checklist[1].confirmed, false);
+});
+
+test('the summary and structured output include the checklist', () => {
+  const run = createRun({ env: createFakeEnv(macos), config });
+  setChecklistItem(run, 'VS Code Tunnel can be created and accessed', true);
+  
+  assert.deepStrictEqual(getSummary(run).manualChecklist, { confirmed: 1, total: 2 });
+  assert.deepStrictEqual(buildReport(run).manualChecklist.map(({ item, confirmed }) => ({ item, confirmed })), [
+    { item: 'Two-factor authentication enabled on GitHub', confirmed: false },
+    { item: 'VS Code Tunnel can be created and accessed', confirmed: true },
+  ]);
+});
+
+test('an unreadable state file is ignored', () => {
+  const env = createFakeEnv({
+    ...linux,
+    files: { ...linux.files, '/home/student/.local/state/ocadu-vscode-setup/state.json': '{ not json' },
+  });
+  
+  assert.deepStrictEqual(createRun({ env }).state, {});
+});
+
+test('items answered no are saved and not asked again', async () => {
+  const env = createFakeEnv(macos);
+  const asked = [];
+  const prompter = (answers) => ({
+    ask: async (question) => {
+      asked.push(question);
+      return answers.shift();
+    },
+    close: () => asked.push('closed'),
+  });
+  
+  assert.strictEqual(await askChecklist(createRun({ env, config }), { prompter: prompter(['n', '']) }), 0);
+  const run = createRun({ env, config });
+  assert.deepStrictEqual(getChecklist(run).map((entry) => entry.declined), [true, false]);
+  
+  asked.length = 0;
+  assert.strictEqual(await askChecklist(run, { prompter: prompter(['y']) }), 1);
+  assert.deepStrictEqual(asked, ['  ☐ VS Code Tunnel can be created and accessed? [y/N] ', 'closed']);
+});
+
+test('the prompter is closed when asking fails', async () => {
+  let closed = false;
+  const prompter = { ask: async () => { throw new Error('input closed'); }, close: () => { closed = true; } };
+  
+  await assert.rejects(askChecklist(createRun({ env: createFakeEnv(macos), config }), { prompter }), /input closed/);
+  assert.strictEqual(closed, true);
+});
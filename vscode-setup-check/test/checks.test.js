@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, getExitCode, EXIT_CODES } = require('../lib/run');
+const { findVSCodePath, checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo } = require('../lib/checks');
+const { quoteArgument } = require('../lib/fix');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const { captureOutput } = require('./helpers/output');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+const linux = require('./fixtures/linux');
+
+/**
+ * Create a silent run against a fixture
+ */
+function runFor(fixture, options = {}) {
+  return createRun({ env: createFakeEnv(fixture), ...options });
+}
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+test('macOS: VS Code on PATH and everything installed passes', () => {
+  const run = runFor(macos);
+  
+  checkNode(run);
+  checkVSCode(run);
+  checkExtensions(run);
+  checkGit(run);
+  checkLocalRepo(run);
+  
+  assert.strictEqual(run.vscodePath, 'code');
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code is installed and in PATH');
+  assert.strictEqual(findCheck(run, 'vscode.installed').details, 'Version: 1.94.2');
+  assert.deepStrictEqual(run.results.failed, []);
+  assert.deepStrictEqual(run.results.warnings, []);
+  assert.strictEqual(findCheck(run, 'repo.remote').details, 'https://github.com/janesmith/atelier1.git');
+  assert.strictEqual(getExitCode(run), EXIT_CODES.success);
+});
+
+test('Windows: VS Code found at the fallback install path', () => {
+  const run = runFor(windows);
+  
+  checkVSCode(run);
+  
+  assert.strictEqual(run.vscodePath, windows.vscodePath);
+  assert.strictEqual(findCheck(run, 'vscode.installed').status, 'success');
+  assert.strictEqual(findCheck(run, 'vscode.path').status, 'warning');
+  assert.match(findCheck(run, 'vscode.path').fix.join('\n'), /Add to PATH/);
+});
+
+test('Windows: missing extensions fail at their criticality with an install command', () => {
+  const run = runFor(windows);
+  
+  checkVSCode(run);
+  checkExtensions(run);
+  
+  const creator = findCheck(run, 'extension.ultamatum.p5-project-creator');
+  assert.strictEqual(creator.status, 'failure');
+  assert.strictEqual(creator.criticality, 'CRITICAL');
+  assert.ok(creator.fix.includes(`  "${windows.vscodePath}" --install-extension ultamatum.p5-project-creator`));
+  
+  const snippets = findCheck(run, 'extension.acidic9.p5js-snippets');
+  assert.strictEqual(snippets.criticality, 'IMPORTANT');
+  
+  assert.strictEqual(findCheck(run, 'extension.ritwickdey.liveserver').status, 'success');
+  assert.deepStrictEqual(run.results.fixes.map((fix) => fix.id), [
+    'extension.acidic9.p5js-snippets',
+    'extension.ultamatum.p5-project-creator',
+  ]);
+  assert.strictEqual(getExitCode(run), EXIT_CODES.critical);
+});
+
+test('Windows: personal email is a warning, and a failure in strict mode', () => {
+  const run = runFor(windows);
+  checkGit(run);
+  
+  assert.strictEqual(findCheck(run, 'git.emailDomain').status, 'warning');
+  assert.strictEqual(getExitCode(run), EXIT_CODES.success);
+  
+  const strictRun = runFor(windows, { strict: true });
+  checkGit(strictRun);
+  
+  assert.strictEqual(getExitCode(strictRun), EXIT_CODES.strict);
+  
+  // The fix is only printed where the warning counts as a failure
+  const text = captureOutput(() => checkGit(runFor(windows, { silent: false })));
+  assert.match(text, /⚠ Not using OCADU email address/);
+  assert.doesNotMatch(text, /Criticality: OPTIONAL|git config --global user\.email "your\.email@/);
+  const strictText = captureOutput(() => checkGit(runFor(windows, { strict: true, silent: false })));
+  assert.match(strictText, /Criticality: OPTIONAL/);
+});
+
+test('Windows: outside a repository the repository check only warns', () => {
+  const run = runFor(windows);
+  checkLocalRepo(run);
+  
+  assert.strictEqual(findCheck(run, 'repo.detected').status, 'warning');
+  assert.ok(!run.env.executed.includes('git remote get-url origin'));
+});
+
+test('Linux: VS Code not installed skips the extensions check', () => {
+  const run = runFor(linux);
+  
+  checkVSCode(run);
+  checkExtensions(run);
+  
+  assert.strictEqual(run.vscodePath, null);
+  assert.strictEqual(findCheck(run, 'vscode.installed').status, 'failure');
+  assert.strictEqual(findCheck(run, 'vscode.installed').criticality, 'CRITICAL');
+  assert.strictEqual(findCheck(run, 'extensions.list').status, 'skipped');
+});
+
+test('Linux: VS Code found under /usr/bin when not on PATH', () => {
+  const fixture = extendFixture(linux, {
+    files: { '/usr/bin/code': '#!/usr/bin/env sh\n' },
+    commands: { '"/usr/bin/code" --version': '1.95.0\nabc\nx64' },
+  });
+  
+  assert.strictEqual(findVSCodePath(createFakeEnv(fixture)), '/usr/bin/code');
+});
+
+test('Linux: missing Git identity fails with fixes for name and email', () => {
+  const run = runFor(linux);
+  checkGit(run);
+  
+  assert.strictEqual(findCheck(run, 'git.userName').status, 'failure');
+  assert.strictEqual(findCheck(run, 'git.userEmail').status, 'failure');
+  assert.strictEqual(findCheck(run, 'git.emailDomain'), undefined);
+  assert.deepStrictEqual(run.results.fixes.map((fix) => fix.id), ['git.userName', 'git.userEmail']);
+  assert.strictEqual(run.results.fixes[0].command('Jane Smith'), 'git config --global user.name "Jane Smith"');
+});
+
+test('Windows: fix commands quote values for cmd.exe', () => {
+  const run = runFor(extendFixture(windows, { commands: { 'git config --global user.name': undefined } }));
+  checkGit(run);
+  
+  assert.strictEqual(run.results.fixes[0].id, 'git.userName');
+  assert.strictEqual(run.results.fixes[0].command('Sam "SJ" Lee'), 'git config --global user.name "Sam ""SJ"" Lee"');
+  assert.strictEqual(quoteArgument(run.env, 'C:\\Users\\sam\\'), '"C:\\Users\\sam\\\\"');
+  assert.strictEqual(quoteArgument(run.env, '100% %USERNAME%'), '"100"^%" "^%"USERNAME"^%""');
+  assert.strictEqual(quoteArgument(run.env, 'C:\\tmp\\%x'), '"C:\\tmp\\\\"^%"x"');
+  assert.strictEqual(quoteArgument(createFakeEnv(linux), 'Sam "SJ" $Lee'), '"Sam \\"SJ\\" \\$Lee"');
+});
+
+test('Linux: repository without a remote warns and counts uncommitted files', () => {
+  const run = runFor(linux);
+  checkLocalRepo(run);
+  
+  assert.strictEqual(findCheck(run, 'repo.detected').status, 'success');
+  assert.strictEqual(findCheck(run, 'repo.remote').status, 'warning');
+  assert.strictEqual(findCheck(run, 'repo.remote').criticality, 'IMPORTANT');
+  assert.strictEqual(findCheck(run, 'repo.status').message, 'You have 2 uncommitted change(s)');
+});
+
+test('Linux: repository with a GitHub remote', () => {
+  const fixture = extendFixture(linux, {
+    commands: { 'git remote get-url origin': 'git@github.com:student/sketches.git' },
+  });
+  const run = runFor(fixture);
+  checkLocalRepo(run);
+  
+  assert.strictEqual(findCheck(run, 'repo.remote').status, 'success');
+  assert.strictEqual(findCheck(run, 'repo.github').status, 'success');
+});
+
+test('Missing required extensions in strict mode count at their criticality', () => {
+  const fixture = extendFixture(macos, {
+    commands: { '"code" --list-extensions --show-versions': 'eamodio.gitlens@15.6.2\nritwickdey.liveserver@5.7.9\nultamatum.p5-project-creator@1.2.1' },
+  });
+  const run = runFor(fixture);
+  checkExtensions(run);
+  
+  assert.deepStrictEqual(run.results.important, ['p5js Snippets is NOT installed']);
+  assert.deepStrictEqual(run.results.optional, ['GitHub Actions is NOT installed']);
+  assert.strictEqual(getExitCode(run), EXIT_CODES.important);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfigError, validateConfig, loadConfig } = require('../lib/config');
+const { createFakeFs } = require('./helpers/fakeEnv');
+
+test('the default configuration is valid', () => {
+  const defaults = loadConfig({ cwd: '/nowhere', fs: createFakeFs({}, 'linux') });
+  
+  assert.strictEqual(defaults.path, null);
+  assert.deepStrictEqual(validateConfig({
+    extensions: defaults.extensions,
+    email: defaults.email,
+    guideBase: defaults.guideBase,
+    guides: defaults.guides,
+    p5: defaults.p5,
+    workspaceSettings: defaults.workspaceSettings,
+    manualChecklist: defaults.manualChecklist,
+  }), []);
+});
+
+test('validateConfig reports each problem with its location', () => {
+  const errors = validateConfig({
+    extensions: { required: { bad: { name: '', criticality: 'HIGH' } } },
+    email: { domains: ['@ocadu.ca'] },
+    colour: 'blue',
+  });
+  
+  assert.deepStrictEqual(errors, [
+    'Unknown setting "colour" (expected extensions, email, guideBase, guides, p5, workspaceSettings or manualChecklist)',
+    'extensions.required["bad"]: "bad" is not a valid extension ID (expected publisher.name)',
+    'extensions.required["bad"].name must be a non-empty string',
+    'extensions.required["bad"].criticality must be one of CRITICAL, IMPORTANT, OPTIONAL',
+    'extensions.required["bad"].reason must be a string',
+    'email.domains[0] must be a domain without "@", e.g. "ocadu.ca"',
+  ]);
+});
+
+test('loadConfig finds .ocadu-setup.json in a parent directory and merges it', () => {
+  const fs = createFakeFs({
+    '/home/student/course/.ocadu-setup.json': JSON.stringify({
+      email: { domains: ['example.edu'] },
+      manualChecklist: ['Joined the course Discord'],
+    }),
+  }, 'linux');
+  const config = loadConfig({ cwd: '/home/student/course/week1', fs });
+  
+  assert.strictEqual(config.path, '/home/student/course/.ocadu-setup.json');
+  assert.deepStrictEqual(config.email.domains, ['example.edu']);
+  assert.strictEqual(config.email.label, 'OCADU');
+  assert.deepStrictEqual(config.manualChecklist, ['Joined the course Discord']);
+  assert.ok(config.extensions.required['ritwickdey.liveserver']);
+});
+
+test('loadConfig throws a ConfigError for invalid JSON', () => {
+  const fs = createFakeFs({ '/course/.ocadu-setup.json': '{ "email": ' }, 'linux');
+  
+  assert.throws(() => loadConfig({ cwd: '/course', fs }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.strictEqual(error.configPath, '/course/.ocadu-setup.json');
+    assert.match(error.errors[0], /^Not valid JSON/);
+    return true;
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, buildReport } = require('../lib/run');
+const { checkVSCode, checkExtensions } = require('../lib/checks');
+const { detectContext, describeContext } = require('../lib/context');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const linux = require('./fixtures/linux');
+
+const remoteCli = '/home/student/.vscode-server/bin/384ff7382de624fb94dbaf6da11977bba1ecd427/bin/remote-cli/code';
+const tunnelCli = '/home/student/.vscode/cli/servers/Stable-384ff7382de624fb94dbaf6da11977bba1ecd427/server/bin/remote-cli/code';
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Run the VS Code and extension checks with the given fixture
+ */
+function checkEditor(fixture) {
+  return checkExtensions(checkVSCode(createRun({ env: createFakeEnv(fixture) })));
+}
+
+test('the context is detected from the environment', () => {
+  const contextFor = (vars, files = {}) => detectContext(createFakeEnv(extendFixture(linux, { vars, files })));
+  
+  assert.strictEqual(contextFor({}).id, 'local');
+  assert.strictEqual(contextFor({ WSL_DISTRO_NAME: 'Ubuntu' }).detail, 'Ubuntu');
+  assert.strictEqual(contextFor({ SSH_CONNECTION: '10.0.0.2 50122 10.0.0.5 22' }).detail, '10.0.0.5');
+  assert.strictEqual(contextFor({ REMOTE_CONTAINERS: 'true' }).id, 'container');
+  assert.strictEqual(contextFor({}, { '/.dockerenv': '' }).id, 'container');
+  assert.strictEqual(contextFor({ CODESPACES: 'true', WSL_DISTRO_NAME: 'Ubuntu' }).id, 'codespaces');
+  assert.strictEqual(contextFor({ TERM_PROGRAM: 'vscode', VSCODE_IPC_HOOK_CLI: '/tmp/vscode-ipc-1.sock' }).id, 'tunnel');
+  
+  const wsl = contextFor({ TERM_PROGRAM: 'vscode', VSCODE_IPC_HOOK_CLI: '/tmp/vscode-ipc-1.sock', WSL_DISTRO_NAME: 'Ubuntu' });
+  assert.strictEqual(wsl.remote, true);
+  assert.strictEqual(describeContext(wsl), 'VS Code terminal - WSL (Ubuntu)');
+  assert.strictEqual(describeContext(contextFor({})), 'Terminal - this computer');
+});
+
+test('WSL: the extensions installed in WSL are checked', () => {
+  const run = checkEditor(extendFixture(linux, {
+    vars: { TERM_PROGRAM: 'vscode', VSCODE_IPC_HOOK_CLI: '/tmp/vscode-ipc-1.sock', WSL_DISTRO_NAME: 'Ubuntu' },
+    commands: {
+      'which code': remoteCli,
+      '"code" --version': '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\nx64',
+      '"code" --list-extensions': 'eamodio.gitlens',
+    },
+  }));
+  
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code is connected to WSL (Ubuntu)');
+  assert.strictEqual(findCheck(run, 'vscode.path'), undefined);
+  
+  const liveServer = findCheck(run, 'extension.ritwickdey.liveserver');
+  assert.strictEqual(liveServer.status, 'failure');
+  assert.ok(liveServer.fix.includes('  code --install-extension ritwickdey.liveserver'));
+  assert.ok(liveServer.fix.includes('  3. Click "Install in WSL" (not only on your computer)'));
+});
+
+test('SSH: a plain terminal without VS Code Server skips the VS Code checks', () => {
+  const run = checkEditor(extendFixture(linux, { vars: { SSH_CONNECTION: '10.0.0.2 50122 10.0.0.5 22' } }));
+  
+  assert.strictEqual(findCheck(run, 'vscode.installed').status, 'skipped');
+  assert.strictEqual(findCheck(run, 'extensions.list').message, 'Skipping extensions check - no VS Code Server found in SSH (10.0.0.5)');
+  assert.deepStrictEqual(run.results.failed, []);
+});
+
+test('tunnel: the desktop install is checked instead of the tunnel CLI', () => {
+  const run = checkEditor(extendFixture(linux, {
+    vars: { TERM_PROGRAM: 'vscode', VSCODE_IPC_HOOK_CLI: '/tmp/vscode-ipc-1.sock' },
+    files: { '/usr/bin/code': '' },
+    commands: {
+      'which code': tunnelCli,
+      '"code" --version': '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\nx64',
+      '"/usr/bin/code" --version': '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\nx64',
+      '"/usr/bin/code" --list-extensions': 'ritwickdey.liveserver',
+    },
+  }));
+  
+  assert.strictEqual(run.editor.path, '/usr/bin/code');
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code is installed');
+  assert.strictEqual(findCheck(run, 'vscode.path'), undefined);
+  assert.strictEqual(findCheck(run, 'extension.ritwickdey.liveserver').status, 'success');
+  assert.ok(!run.env.executed.includes('"code" --list-extensions'));
+});
+
+test('dev container: fixes suggest devcontainer.json and the report has the context', () => {
+  const run = checkEditor(extendFixture(linux, {
+    vars: { TERM_PROGRAM: 'vscode', REMOTE_CONTAINERS: 'true' },
+    commands: {
+      'which code': remoteCli,
+      '"code" --version': '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\nx64',
+      '"code" --list-extensions': 'eamodio.gitlens',
+    },
+  }));
+  assert.ok(findCheck(run, 'extension.ritwickdey.liveserver').fix.includes('  "customizations": { "vscode": { "extensions": ["ritwickdey.liveserver"] } }'));
+  assert.strictEqual(buildReport(run).context.id, 'container');
+});
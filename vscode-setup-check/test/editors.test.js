@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkVSCode, checkExtensions } = require('../lib/checks');
+const { findEditors, detectEditorInUse, selectEditor } = require('../lib/editors');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+const linux = require('./fixtures/linux');
+
+const extensions = [
+  'acidic9.p5js-snippets',
+  'eamodio.gitlens',
+  'github.vscode-github-actions',
+  'ritwickdey.liveserver',
+  'ultamatum.p5-project-creator',
+].join('\n');
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+test('Linux: Snap and Flatpak installs are found', () => {
+  const fixture = extendFixture(linux, {
+    files: {
+      '/snap/bin/code': '',
+      '/home/student/.local/share/flatpak/exports/bin/com.vscodium.codium': '',
+    },
+    commands: {
+      '"/snap/bin/code" --version': '1.95.0\nabc\nx64',
+      '"/home/student/.local/share/flatpak/exports/bin/com.vscodium.codium" --version': '1.94.2\ndef\nx64',
+    },
+  });
+  
+  const editors = findEditors(createFakeEnv(fixture));
+  assert.deepStrictEqual(editors.map(({ id, path, version }) => ({ id, path, version })), [
+    { id: 'code', path: '/snap/bin/code', version: '1.95.0' },
+    { id: 'codium', path: '/home/student/.local/share/flatpak/exports/bin/com.vscodium.codium', version: '1.94.2' },
+  ]);
+  
+  const run = checkVSCode(createRun({ env: createFakeEnv(fixture) }));
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code is installed');
+  assert.strictEqual(run.vscodePath, '/snap/bin/code');
+});
+
+test('Linux: VS Code Server binaries are found by commit folder', () => {
+  const server = '/home/student/.vscode-server/bin/384ff7382de624fb94dbaf6da11977bba1ecd427/bin/code-server';
+  const fixture = extendFixture(linux, {
+    files: { [server]: '' },
+    commands: { [`"${server}" --version`]: '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\nx64' },
+  });
+  
+  const run = checkVSCode(createRun({ env: createFakeEnv(fixture) }));
+  assert.strictEqual(run.editor.id, 'vscode-server');
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code Server is installed');
+  assert.strictEqual(findCheck(run, 'vscode.path'), undefined);
+});
+
+test('every editor on PATH is listed once', () => {
+  const fixture = extendFixture(macos, {
+    files: { '/Applications/Visual Studio Code - Insiders.app/Contents/Resources/app/bin/code': '' },
+    commands: {
+      'which code-insiders': '/Applications/Visual Studio Code - Insiders.app/Contents/Resources/app/bin/code',
+      '"code-insiders" --version': '1.96.0-insider\nfed\narm64',
+    },
+  });
+  
+  const editors = findEditors(createFakeEnv(fixture));
+  assert.deepStrictEqual(editors.map((editor) => [editor.name, editor.path, editor.inPath]), [
+    ['VS Code', 'code', true],
+    ['VS Code Insiders', 'code-insiders', true],
+  ]);
+});
+
+test('an editor reached through a symlink on PATH is listed once', () => {
+  const app = '/Applications/Visual Studio Code.app/Contents/Resources/app/bin/code';
+  const fixture = extendFixture(macos, { files: { [app]: '', '/usr/local/bin/code': '' } });
+  assert.strictEqual(findEditors(createFakeEnv(fixture)).length, 2);
+  
+  const linked = findEditors(createFakeEnv({ ...fixture, links: { '/usr/local/bin/code': app } }));
+  assert.deepStrictEqual(linked.map((editor) => [editor.name, editor.path, editor.inPath]), [['VS Code', 'code', true]]);
+});
+
+test('extensions are checked with the editor whose terminal is in use', () => {
+  const fixture = extendFixture(macos, {
+    vars: {
+      TERM_PROGRAM: 'vscode',
+      TERM_PROGRAM_VERSION: '1.96.0-insider',
+      VSCODE_GIT_ASKPASS_NODE: '/Applications/Visual Studio Code - Insiders.app/Contents/Frameworks/Code - Insiders Helper (Plugin).app/Contents/MacOS/Code - Insiders Helper (Plugin)',
+    },
+    commands: {
+      'which code-insiders': '/usr/local/bin/code-insiders',
+      '"code-insiders" --version': '1.96.0-insider\nfed\narm64',
+      '"code-insiders" --list-extensions': 'eamodio.gitlens',
+    },
+  });
+  const env = createFakeEnv(fixture);
+  
+  assert.strictEqual(detectEditorInUse(env), 'code-insiders');
+  
+  const run = checkExtensions(checkVSCode(createRun({ env })));
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VS Code Insiders is installed and in PATH');
+  assert.strictEqual(findCheck(run, 'extension.ritwickdey.liveserver').status, 'failure');
+  assert.ok(findCheck(run, 'extension.ritwickdey.liveserver').fix.includes('  code-insiders --install-extension ritwickdey.liveserver'));
+});
+
+test('--vscode-path and OCADU_VSCODE_PATH choose the editor', () => {
+  const codium = '/opt/VSCodium/bin/codium';
+  const fixture = extendFixture(macos, {
+    files: { [codium]: '' },
+    commands: {
+      [`"${codium}" --version`]: '1.94.2\nabc\narm64',
+      [`"${codium}" --list-extensions`]: extensions,
+    },
+  });
+  
+  const run = checkExtensions(checkVSCode(createRun({ env: createFakeEnv(fixture), vscodePath: codium })));
+  assert.strictEqual(run.editor.source, '--vscode-path');
+  assert.strictEqual(findCheck(run, 'vscode.installed').message, 'VSCodium is installed');
+  assert.strictEqual(findCheck(run, 'extension.eamodio.gitlens').status, 'success');
+  assert.ok(run.env.executed.includes(`"${codium}" --list-extensions`));
+  
+  const fromVariable = selectEditor(createFakeEnv(extendFixture(fixture, { vars: { OCADU_VSCODE_PATH: codium } })));
+  assert.strictEqual(fromVariable.editor.path, codium);
+  assert.strictEqual(fromVariable.editor.source, 'OCADU_VSCODE_PATH');
+});
+
+test('a --vscode-path that does not work fails and suggests the editors found', () => {
+  const run = checkVSCode(createRun({ env: createFakeEnv(macos), vscodePath: '/nowhere/code' }));
+  const check = findCheck(run, 'vscode.installed');
+  
+  assert.strictEqual(check.status, 'failure');
+  assert.strictEqual(check.message, 'VS Code not found at /nowhere/code');
+  assert.ok(check.fix.includes('  code'));
+  assert.strictEqual(run.vscodePath, null);
+});
+
+test('Windows: bin\\code.cmd next to Code.exe on PATH is found', () => {
+  const portable = 'D:\\Apps\\VSCode';
+  const fixture = extendFixture(windows, {
+    files: { [windows.vscodePath]: undefined, [`${portable}\\bin\\code.cmd`]: '@echo off\r\n' },
+    commands: {
+      'where "Code.exe"': `${portable}\\Code.exe`,
+      [`"${portable}\\bin\\code.cmd" --version`]: '1.93.1\nabc\nx64',
+    },
+  });
+  
+  const { editor } = selectEditor(createFakeEnv(fixture));
+  assert.strictEqual(editor.path, `${portable}\\bin\\code.cmd`);
+  assert.strictEqual(editor.inPath, false);
+});
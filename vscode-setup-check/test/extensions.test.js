@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkExtensions } = require('../lib/checks');
+const { validateConfig } = require('../lib/config');
+const { listExtensions } = require('../lib/editors');
+const { readStateValue } = require('../lib/vscodeState');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const { captureOutput } = require('./helpers/output');
+const macos = require('./fixtures/macos');
+
+const dataDir = '/Users/student/Library/Application Support/Code/User';
+const globalState = `${dataDir}/globalStorage/state.vscdb`;
+const listCommand = '"code" --list-extensions --show-versions';
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Check the extensions of the macOS student with some changes
+ */
+function checkFor(overrides) {
+  return checkExtensions(createRun({ env: createFakeEnv(extendFixture(macos, overrides)) }));
+}
+
+test('installed versions are reported and older ones fail at their criticality', () => {
+  const run = checkFor({
+    commands: { [listCommand]: macos.commands[listCommand].replace('ritwickdey.LiveServer@5.7.9', 'ritwickdey.LiveServer@5.6.1') },
+  });
+  
+  const gitlens = findCheck(run, 'extension.eamodio.gitlens');
+  assert.strictEqual(gitlens.status, 'success');
+  assert.strictEqual(gitlens.details, 'Version 15.6.2');
+  
+  const liveServer = findCheck(run, 'extension.ritwickdey.liveserver');
+  assert.strictEqual(liveServer.status, 'failure');
+  assert.strictEqual(liveServer.message, 'Live Server 5.6.1 is older than 5.7.9');
+  assert.strictEqual(liveServer.criticality, 'CRITICAL');
+  assert.ok(liveServer.fix.includes('  code --install-extension ritwickdey.liveserver --force'));
+  assert.deepStrictEqual(run.results.failed, ['Extension outdated: Live Server']);
+  assert.deepStrictEqual(run.results.fixes.map((fix) => fix.description), ['Update Live Server']);
+});
+
+test('extensions disabled globally or for the workspace are reported', () => {
+  const workspaceStorage = `${dataDir}/workspaceStorage/0a1b2c`;
+  const run = checkFor({
+    files: {
+      [globalState]: 'SQLite format 3\0',
+      [`${workspaceStorage}/workspace.json`]: JSON.stringify({ folder: `file://${macos.cwd}` }),
+      [`${workspaceStorage}/state.vscdb`]: 'SQLite format 3\0extensionsIdentifiers/disabled[{"id":"eamodio.gitlens","uuid":"4de763bd"}]\0',
+    },
+    commands: {
+      [`sqlite3 -readonly "${globalState}" "SELECT value FROM ItemTable WHERE key = 'extensionsIdentifiers/disabled'"`]: '[{"id":"ritwickdey.LiveServer"}]',
+    },
+  });
+  
+  const liveServer = findCheck(run, 'extension.ritwickdey.liveserver');
+  assert.strictEqual(liveServer.status, 'failure');
+  assert.strictEqual(liveServer.message, 'Live Server is installed but disabled globally');
+  assert.ok(liveServer.fix.includes('Click "Enable" on Live Server'));
+  
+  // Found without sqlite3, so it may be a stale copy
+  const gitlens = findCheck(run, 'extension.eamodio.gitlens');
+  assert.strictEqual(gitlens.status, 'warning');
+  assert.strictEqual(gitlens.message, 'GitLens may be disabled for this workspace');
+  assert.strictEqual(gitlens.details, 'Read without sqlite3 - the stored state can be out of date');
+  assert.ok(gitlens.fix.includes('Click "Enable (Workspace)" on GitLens if it is shown as disabled'));
+  assert.deepStrictEqual(run.results.failed, ['Extension disabled: Live Server']);
+  assert.deepStrictEqual(run.results.warnings, ['Extension may be disabled: GitLens']);
+});
+
+test('without sqlite3 values are uncertain and each database file is read once', () => {
+  const env = createFakeEnv(extendFixture(macos, { files: { [globalState]: 'SQLite format 3\0first[1]\0second{"a":2}\0' } }));
+  const readFileSync = env.fs.readFileSync;
+  const reads = [];
+  env.fs.readFileSync = (filePath, ...args) => {
+    reads.push(filePath);
+    return readFileSync(filePath, ...args);
+  };
+  
+  assert.deepStrictEqual(readStateValue(env, globalState, 'first'), { value: '[1]', certain: false });
+  assert.deepStrictEqual(readStateValue(env, globalState, 'second'), { value: '{"a":2}', certain: false });
+  assert.deepStrictEqual(reads, [globalState]);
+});
+
+test('editors without --show-versions fall back to the plain list', () => {
+  const env = createFakeEnv(extendFixture(macos, {
+    commands: { [listCommand]: undefined, '"code" --list-extensions': 'ritwickdey.LiveServer\neamodio.gitlens' },
+  }));
+  assert.deepStrictEqual([...listExtensions(env, 'code')], [['ritwickdey.liveserver', null], ['eamodio.gitlens', null]]);
+  
+  const run = checkExtensions(createRun({ env }));
+  const liveServer = findCheck(run, 'extension.ritwickdey.liveserver');
+  assert.strictEqual(liveServer.status, 'success');
+  assert.strictEqual(liveServer.details, null);
+});
+
+test('minVersion in the course configuration must be a version', () => {
+  const extension = (minVersion) => ({
+    extensions: { required: { 'ritwickdey.liveserver': { name: 'Live Server', criticality: 'CRITICAL', reason: '', minVersion } } },
+  });
+  assert.deepStrictEqual(validateConfig(extension('5.7.9')), []);
+  assert.deepStrictEqual(validateConfig(extension('latest')), [
+    'extensions.required["ritwickdey.liveserver"].minVersion must be a version string, e.g. "1.2.0"',
+  ]);
+});
+
+test('conflicting and deprecated extensions are flagged with an uninstall fix', () => {
+  const run = checkFor({
+    commands: {
+      [listCommand]: `${macos.commands[listCommand]}\nms-vscode.live-server@0.4.15\nsamplavigne.p5-vscode@1.2.16\nms-vscode.vscode-typescript-tslint-plugin@1.3.4`,
+    },
+  });
+  
+  const livePreview = findCheck(run, 'extension.conflict.ms-vscode.live-server');
+  assert.strictEqual(livePreview.status, 'warning');
+  assert.strictEqual(livePreview.message, 'Live Preview conflicts with Live Server');
+  assert.strictEqual(livePreview.criticality, 'IMPORTANT');
+  assert.deepStrictEqual(livePreview.fix, ['Uninstall it:', '  code --uninstall-extension ms-vscode.live-server']);
+  
+  const tslint = findCheck(run, 'extension.deprecated.ms-vscode.vscode-typescript-tslint-plugin');
+  assert.strictEqual(tslint.message, 'TSLint is deprecated (replaced by dbaeumer.vscode-eslint)');
+  assert.ok(tslint.fix.includes('  code --install-extension dbaeumer.vscode-eslint'));
+  
+  assert.deepStrictEqual(run.results.warnings, ['Extension conflict: Live Preview', 'Extension conflict: p5.vscode', 'Deprecated extension: TSLint']);
+  assert.deepStrictEqual(run.results.fixes.map((fix) => fix.command()), [
+    'code --uninstall-extension ms-vscode.live-server',
+    'code --uninstall-extension samplavigne.p5-vscode',
+    'code --uninstall-extension ms-vscode.vscode-typescript-tslint-plugin',
+  ]);
+});
+
+test('a conflict needs the extension it conflicts with', () => {
+  const run = checkFor({
+    commands: { [listCommand]: 'ritwickdey.liveserver@5.7.9\nsamplavigne.p5-vscode@1.2.16' },
+  });
+  assert.strictEqual(findCheck(run, 'extension.conflict.samplavigne.p5-vscode'), undefined);
+  assert.strictEqual(findCheck(run, 'extensions.conflicts').message, 'No conflicting or deprecated extensions');
+  
+  assert.deepStrictEqual(validateConfig({
+    extensions: { conflicting: { 'yandeu.five-server': { name: 'Five Server', criticality: 'IMPORTANT', reason: '', conflictsWith: 'Live Server' } } },
+  }), ['extensions.conflicting["yandeu.five-server"].conflictsWith must be an extension ID (publisher.name)']);
+});
+
+test('the text output shows the uninstall fix and criticality of a conflict', () => {
+  const env = createFakeEnv(extendFixture(macos, {
+    commands: { [listCommand]: `${macos.commands[listCommand]}\nms-vscode.live-server@0.4.15` },
+  }));
+  let run;
+  const text = captureOutput(() => {
+    run = checkExtensions(createRun({ env, silent: false }));
+  });
+  
+  assert.strictEqual(findCheck(run, 'extension.ritwickdey.liveserver').status, 'success');
+  assert.match(text, /⚠ Live Preview conflicts with Live Server/);
+  assert.match(text, /Criticality: IMPORTANT/);
+  assert.match(text, /2\. +code --uninstall-extension ms-vscode\.live-server/);
+  assert.deepStrictEqual(run.results.important, []);
+});
@@ -0,0 +1,23 @@
+/**
+ * Linux laptop without VS Code, with Git installed but no identity, inside
+ * a freshly initialised repository that has no remote yet
+ */
+
+module.exports = {
+  platform: 'linux',
+  homedir: '/home/student',
+  cwd: '/home/student/sketches',
+  vars: {},
+  files: {
+    '/home/student/sketches/.git/HEAD': 'ref: refs/heads/main\n',
+    '/home/student/sketches/sketch.js': 'function setup() {}\n',
+    '/home/student/sketches/index.html': '<!DOCTYPE html>\n',
+  },
+  commands: {
+    'node --version': 'v20.11.1',
+    'npm --version': '10.2.4',
+    'git --version': 'git version 2.34.1',
+    'git branch --show-current': 'main',
+    'git status --porcelain': '?? index.html\n?? sketch.js',
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * macOS laptop with everything set up: VS Code in PATH, all required
+ * extensions, an OCADU Git identity and a clean clone with a GitHub remote,
+ * up to date with origin/main, that deploys to Pages with the Static HTML
+ * workflow
+ */
+
+// The Static HTML workflow GitHub offers under Settings → Pages (repoSetup.html step 3)
+const STATIC_WORKFLOW = [
+  '# Simple workflow for deploying static content to GitHub Pages',
+  'name: Deploy static content to Pages',
+  '',
+  'on:',
+  '  # Runs on pushes targeting the default branch',
+  '  push:',
+  '    branches: ["main"]',
+  '',
+  '  # Allows you to run this workflow manually from the Actions tab',
+  '  workflow_dispatch:',
+  '',
+  '# Sets permissions of the GITHUB_TOKEN to allow deployment to GitHub Pages',
+  'permissions:',
+  '  contents: read',
+  '  pages: write',
+  '  id-token: write',
+  '',
+  '# Allow only one concurrent deployment, skipping runs queued between the run in-progress and latest queued.',
+  '# However, do NOT cancel in-progress runs as we want to allow these production deployments to complete.',
+  'concurrency:',
+  '  group: "pages"',
+  '  cancel-in-progress: false',
+  '',
+  'jobs:',
+  '  # Single deploy job since we\'re just deploying',
+  '  deploy:',
+  '    environment:',
+  '      name: github-pages',
+  '      url: ${{ steps.deployment.outputs.page_url }}',
+  '    runs-on: ubuntu-latest',
+  '    steps:',
+  '      - name: Checkout',
+  '        uses: actions/checkout@v4',
+  '      - name: Setup Pages',
+  '        uses: actions/configure-pages@v5',
+  '      - name: Upload artifact',
+  '        uses: actions/upload-pages-artifact@v3',
+  '        with:',
+  '          # Upload entire repository',
+  '          path: \'.\'',
+  '      - name: Deploy to GitHub Pages',
+  '        id: deployment',
+  '        uses: actions/deploy-pages@v4',
+].join('\n');
+
+module.exports = {
+  platform: 'darwin',
+  homedir: '/Users/student',
+  cwd: '/Users/student/Documents/GitHub/atelier1',
+  vars: {},
+  files: {
+    '/Users/student/Documents/GitHub/atelier1/.git/HEAD': 'ref: refs/heads/main\n',
+    '/Users/student/Documents/GitHub/atelier1/index.html': '<!DOCTYPE html>\n',
+    '/Users/student/Documents/GitHub/atelier1/.gitignore': '.DS_Store\nnode_modules/\n',
+    '/Users/student/Documents/GitHub/atelier1/.github/workflows/static.yml': STATIC_WORKFLOW,
+  },
+  commands: {
+    'node --version': 'v20.11.1',
+    'npm --version': '10.2.4',
+    'which code': '/usr/local/bin/code',
+    '"code" --version': '1.94.2\n384ff7382de624fb94dbaf6da11977bba1ecd427\narm64',
+    '"code" --list-extensions --show-versions': [
+      'acidic9.p5js-snippets@0.0.3',
+      'eamodio.gitlens@15.6.2',
+      'github.vscode-github-actions@0.27.0',
+      'ritwickdey.LiveServer@5.7.9',
+      'ultamatum.p5-project-creator@1.2.1',
+    ].join('\n'),
+    'git --version': 'git version 2.39.3 (Apple Git-145)',
+    'git config --global user.name': 'Jane Smith',
+    'git config --global user.email': 'jane.smith@ocadu.ca',
+    'git config --get-urlmatch credential.helper https://github.com': 'osxkeychain',
+    'git remote get-url origin': 'https://github.com/janesmith/atelier1.git',
+    'git branch --show-current': 'main',
+    'git rev-parse --abbrev-ref --symbolic-full-name @{upstream}': 'origin/main',
+    'git rev-list --left-right --count @{upstream}...HEAD': '0\t0',
+    'git status --porcelain': '',
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Windows laptop where VS Code was installed without "Add to PATH": it is
+ * only found at the per-user install location. Two extensions are missing,
+ * Git uses a personal email and the terminal is not inside a repository.
+ */
+
+const vscodePath = 'C:\\Users\\student\\AppData\\Local\\Programs\\Microsoft VS Code\\bin\\code.cmd';
+
+module.exports = {
+  platform: 'win32',
+  homedir: 'C:\\Users\\student',
+  cwd: 'C:\\Users\\student',
+  vscodePath,
+  vars: {
+    LOCALAPPDATA: 'C:\\Users\\student\\AppData\\Local',
+    PROGRAMFILES: 'C:\\Program Files',
+  },
+  files: {
+    [vscodePath]: '@echo off\r\n',
+    'C:\\Users\\student\\Documents\\notes.txt': '',
+  },
+  commands: {
+    'node --version': 'v18.19.0',
+    'npm --version': '10.2.3',
+    [`"${vscodePath}" --version`]: '1.93.1\n38c31bc77e0dd6ae88a4e9cc93428cc27a56ba40\nx64',
+    [`"${vscodePath}" --list-extensions --show-versions`]: [
+      'eamodio.gitlens@15.5.1',
+      'ritwickdey.liveserver@5.7.9',
+      'github.vscode-github-actions@0.26.5',
+    ].join('\n'),
+    'git --version': 'git version 2.43.0.windows.1',
+    'git config --global user.name': 'Sam Lee',
+    'git config --global user.email': 'sam.lee@gmail.com',
+  },
+};
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkGitAuth } = require('../lib/gitAuth');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+const linux = require('./fixtures/linux');
+
+const helperCommand = 'git config --get-urlmatch credential.helper https://github.com';
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Run the authentication checks for the Linux student with origin set to url
+ */
+function checkWithRemote(url, overrides = {}) {
+  const fixture = extendFixture(linux, {
+    ...overrides,
+    commands: { 'git remote get-url origin': url, ...overrides.commands },
+  });
+  return checkGitAuth(createRun({ env: createFakeEnv(fixture) }));
+}
+
+test('an HTTPS remote needs a credential helper', () => {
+  const run = checkWithRemote('https://github.com/akim/atelier1.git');
+  const check = findCheck(run, 'git.credentialHelper');
+  
+  assert.strictEqual(check.status, 'failure');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.ok(check.fix.includes('  git config --global credential.helper "cache --timeout=86400"'));
+  assert.strictEqual(run.results.fixes[0].command(), 'git config --global credential.helper "cache --timeout=86400"');
+  assert.strictEqual(findCheck(run, 'git.sshKey'), undefined);
+  
+  const withHelper = checkWithRemote('https://github.com/akim/atelier1.git', { commands: { [helperCommand]: 'store' } });
+  assert.strictEqual(findCheck(withHelper, 'git.credentialHelper').status, 'success');
+});
+
+test('without a remote, a missing helper is only a warning', () => {
+  const run = checkGitAuth(createRun({ env: createFakeEnv(windows) }));
+  const check = findCheck(run, 'git.credentialHelper');
+  
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.criticality, 'OPTIONAL');
+  assert.ok(check.fix.includes('  git config --global credential.helper manager'));
+  assert.strictEqual(findCheck(checkGitAuth(createRun({ env: createFakeEnv(macos) })), 'git.credentialHelper').details, 'Helper: osxkeychain');
+});
+
+test('an SSH remote needs a key', () => {
+  const run = checkWithRemote('git@github.com:akim/atelier1.git');
+  const check = findCheck(run, 'git.sshKey');
+  
+  assert.strictEqual(check.status, 'failure');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.ok(check.fix.includes('  git remote set-url origin https://github.com/akim/atelier1.git'));
+  assert.strictEqual(findCheck(run, 'git.credentialHelper').criticality, 'OPTIONAL');
+  
+  const withKey = checkWithRemote('ssh://git@github.com/akim/atelier1.git', {
+    files: { '/home/student/.ssh/id_ed25519': 'key', '/home/student/.ssh/id_ed25519.pub': 'ssh-ed25519 AAAA' },
+  });
+  assert.strictEqual(findCheck(withKey, 'git.sshKey').details, '~/.ssh/id_ed25519');
+  assert.strictEqual(findCheck(withKey, 'git.sshPermissions').status, 'success');
+});
+
+test('SSH aliases and keys come from ~/.ssh/config', () => {
+  const sshConfig = [
+    '# School account',
+    'Host github-school',
+    '  HostName github.com',
+    '  User git',
+    '  IdentityFile ~/.ssh/ocadu_ed25519',
+    '',
+    'Host *',
+    '  AddKeysToAgent yes',
+  ].join('\n');
+  
+  const run = checkWithRemote('git@github-school:akim/atelier1.git', {
+    files: { '/home/student/.ssh/config': sshConfig, '/home/student/.ssh/ocadu_ed25519': 'key' },
+  });
+  assert.strictEqual(findCheck(run, 'git.sshConfig'), undefined);
+  assert.strictEqual(findCheck(run, 'git.sshKey').details, '~/.ssh/ocadu_ed25519');
+  
+  const undefinedAlias = checkWithRemote('git@github-work:akim/atelier1.git', {
+    files: { '/home/student/.ssh/config': sshConfig },
+  });
+  const check = findCheck(undefinedAlias, 'git.sshConfig');
+  assert.strictEqual(check.message, 'origin uses the SSH host "github-work", which ~/.ssh/config does not define');
+  assert.ok(check.fix.includes('  Host github-work'));
+  
+  const missingKey = checkWithRemote('git@github-school:akim/atelier1.git', {
+    files: { '/home/student/.ssh/config': sshConfig },
+  });
+  assert.strictEqual(findCheck(missingKey, 'git.sshConfig').message, '~/.ssh/config names an SSH key that does not exist');
+  assert.strictEqual(findCheck(missingKey, 'git.sshKey').status, 'failure');
+});
+
+test('SSH files other users can read are reported with chmod fixes', () => {
+  const run = checkWithRemote('git@github.com:akim/atelier1.git', {
+    files: { '/home/student/.ssh/id_rsa': 'key', '/home/student/.ssh/config': 'Host github.com\n  User git\n' },
+    modes: { '/home/student/.ssh/id_rsa': 0o644, '/home/student/.ssh/config': 0o666 },
+  });
+  const check = findCheck(run, 'git.sshPermissions');
+  
+  assert.strictEqual(check.status, 'failure');
+  assert.deepStrictEqual(check.fix.slice(1), ['  chmod 600 ~/.ssh/config', '  chmod 600 ~/.ssh/id_rsa']);
+  assert.strictEqual(run.results.fixes.find((fix) => fix.id === 'git.sshPermissions').command(), 'chmod 600 ~/.ssh/config && chmod 600 ~/.ssh/id_rsa');
+});
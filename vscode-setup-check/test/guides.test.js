@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkLocalRepo } = require('../lib/checks');
+const { findLocalGuide, guideLink } = require('../lib/guides');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+
+// The macOS fixture's repository with this guide checked in
+const guideRepo = extendFixture(macos, {
+  cwd: '/Users/student/Documents/GitHub/vsCodeSetup/vscode-setup-check',
+  files: {
+    '/Users/student/Documents/GitHub/vsCodeSetup/guide/index.html': '<!DOCTYPE html>\n',
+    '/Users/student/Documents/GitHub/vsCodeSetup/guide/verifySetup.js': '#!/usr/bin/env node\n',
+  },
+});
+
+test('links point to the published guide outside the guide repository', () => {
+  const run = createRun({ env: createFakeEnv(macos) });
+  
+  assert.strictEqual(
+    guideLink(run, 'repo'),
+    'https://github.com/DigitalFuturesOCADU/atelier1-fall2025/tree/main/guide/repoSetup.html'
+  );
+});
+
+test('links point to the local /guide pages inside the guide repository', () => {
+  const env = createFakeEnv(guideRepo);
+  const run = createRun({ env });
+  
+  assert.strictEqual(findLocalGuide(env), '/Users/student/Documents/GitHub/vsCodeSetup');
+  assert.strictEqual(guideLink(run, 'vscode'), '/guide/vsCodeInstallSetup.html');
+  assert.strictEqual(guideLink(run, 'home'), '/guide/index.html');
+});
+
+test('--guide-base overrides both', () => {
+  const run = createRun({ env: createFakeEnv(guideRepo), guideBase: 'https://example.github.io/atelier2/guide/' });
+  
+  assert.strictEqual(guideLink(run, 'git'), 'https://example.github.io/atelier2/guide/vsCodeInstallSetup.html');
+});
+
+test('absolute URLs in the course configuration are kept', () => {
+  const run = createRun({
+    env: createFakeEnv(guideRepo),
+    config: { guides: { repo: 'https://example.com/repo-help' } },
+  });
+  
+  assert.strictEqual(guideLink(run, 'repo'), 'https://example.com/repo-help');
+  assert.strictEqual(guideLink(run, 'node'), '/guide/checkSetup.html');
+});
+
+test('the fix hint names the command the user ran', () => {
+  const env = createFakeEnv(extendFixture(macos, { cwd: '/Users/student' }));
+  const run = checkLocalRepo(createRun({ env, command: 'node guide/verifySetup.js' }));
+  
+  assert.ok(run.results.checks[0].fix.includes('  node guide/verifySetup.js'));
+});
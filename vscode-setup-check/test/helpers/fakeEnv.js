@@ -0,0 +1,157 @@
+/**
+ * In-memory env for tests (see lib/env.js)
+ * 
+ * files maps absolute paths to file contents; directories are implied by
+ * the paths below them. modes maps paths to permission bits (files are
+ * 0o600 and directories 0o700 otherwise). commands maps exact command
+ * strings to their output; any other command fails (returns null). Every
+ * command run is recorded in env.executed. ports maps port numbers to what
+ * probePort reports for them ('free' otherwise). links maps symlink paths
+ * to the path they point at (see realpathSync).
+ */
+
+const path = require('path');
+
+/**
+ * Create an in-memory filesystem with the subset of fs the checks use
+ * (writes are kept in memory)
+ */
+function createFakeFs(files, platform, modes = {}, links = {}) {
+  const paths = platform === 'win32' ? path.win32 : path.posix;
+  const normalize = (filePath) => paths.normalize(String(filePath));
+  const entries = new Map(Object.entries(files).map(([filePath, content]) => [normalize(filePath), content]));
+  const permissions = new Map(Object.entries(modes).map(([filePath, mode]) => [normalize(filePath), mode]));
+  const symlinks = Object.entries(links).map(([link, target]) => [normalize(link), normalize(target)]);
+  
+  const notFound = (filePath) => {
+    const error = new Error(`ENOENT: no such file or directory, '${filePath}'`);
+    error.code = 'ENOENT';
+    return error;
+  };
+  
+  const isDirectory = (dir) => {
+    const prefix = dir.endsWith(paths.sep) ? dir : dir + paths.sep;
+    return [...entries.keys()].some((filePath) => filePath.startsWith(prefix));
+  };
+  
+  return {
+    existsSync(filePath) {
+      const target = normalize(filePath);
+      return entries.has(target) || isDirectory(target);
+    },
+    readFileSync(filePath) {
+      const target = normalize(filePath);
+      if (!entries.has(target)) {
+        throw notFound(filePath);
+      }
+      return entries.get(target);
+    },
+    readdirSync(dir, options = {}) {
+      const target = normalize(dir);
+      if (!isDirectory(target)) {
+        throw notFound(dir);
+      }
+      
+      const prefix = target.endsWith(paths.sep) ? target : target + paths.sep;
+      const names = new Set();
+      for (const filePath of entries.keys()) {
+        if (filePath.startsWith(prefix)) {
+          names.add(filePath.slice(prefix.length).split(paths.sep)[0]);
+        }
+      }
+      
+      return [...names].sort().map((name) => {
+        if (!options.withFileTypes) {
+          return name;
+        }
+        const childPath = paths.join(target, name);
+        const directory = !entries.has(childPath);
+        return { name, isDirectory: () => directory, isFile: () => !directory };
+      });
+    },
+    writeFileSync(filePath, content) {
+      entries.set(normalize(filePath), String(content));
+    },
+    mkdirSync() {
+      // Directories are implied by the files below them
+    },
+    statSync(filePath) {
+      const target = normalize(filePath);
+      if (entries.has(target)) {
+        const content = entries.get(target);
+        return { size: Buffer.byteLength(content || ''), mode: 0o100000 | (permissions.get(target) ?? 0o600), isFile: () => true, isDirectory: () => false };
+      }
+      if (isDirectory(target)) {
+        return { size: 0, mode: 0o040000 | (permissions.get(target) ?? 0o700), isFile: () => false, isDirectory: () => true };
+      }
+      throw notFound(filePath);
+    },
+    realpathSync(filePath) {
+      let target = normalize(filePath);
+      for (let hops = 0; hops < 40; hops++) {
+        const link = symlinks.find(([linkPath]) => target === linkPath || target.startsWith(linkPath + paths.sep));
+        if (!link) {
+          break;
+        }
+        target = link[1] + target.slice(link[0].length);
+      }
+      if (!entries.has(target) && !isDirectory(target)) {
+        throw notFound(filePath);
+      }
+      return target;
+    },
+  };
+}
+
+/**
+ * Copy a fixture with some commands, files or variables replaced
+ * A command or file set to undefined is removed
+ */
+function extendFixture(fixture, overrides = {}) {
+  const merge = (base, extra = {}) => {
+    const merged = { ...base, ...extra };
+    Object.keys(merged).forEach((key) => merged[key] === undefined && delete merged[key]);
+    return merged;
+  };
+  
+  return {
+    ...fixture,
+    ...overrides,
+    vars: merge(fixture.vars, overrides.vars),
+    files: merge(fixture.files, overrides.files),
+    commands: merge(fixture.commands, overrides.commands),
+    modes: merge(fixture.modes, overrides.modes),
+    ports: merge(fixture.ports, overrides.ports),
+    links: merge(fixture.links, overrides.links),
+  };
+}
+
+/**
+ * Create an env from a fixture description
+ */
+function createFakeEnv(fixture) {
+  const { platform, homedir, cwd, vars = {}, files = {}, commands = {}, modes = {}, ports = {}, links = {} } = fixture;
+  const executed = [];
+  
+  return {
+    platform,
+    homedir,
+    cwd,
+    vars,
+    fs: createFakeFs(files, platform, modes, links),
+    exec(command) {
+      executed.push(command);
+      return Object.prototype.hasOwnProperty.call(commands, command) ? commands[command] : null;
+    },
+    probePort(port) {
+      return Object.prototype.hasOwnProperty.call(ports, port) ? ports[port] : 'free';
+    },
+    executed,
+  };
+}
+
+module.exports = {
+  createFakeFs,
+  extendFixture,
+  createFakeEnv,
+};
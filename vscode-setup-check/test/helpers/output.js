@@ -0,0 +1,25 @@
+/**
+ * Terminal output capture for tests of the text output (see lib/output.js)
+ */
+
+/**
+ * Run callback with console.log collected instead of printed
+ * Returns the printed lines joined with newlines.
+ */
+function captureOutput(callback) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => {
+    lines.push(args.join(' '));
+  };
+  try {
+    callback();
+  } finally {
+    console.log = original;
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  captureOutput,
+};
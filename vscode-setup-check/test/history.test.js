@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkGit } = require('../lib/checks');
+const { MAX_HISTORY, loadHistory, createHistoryEntry, saveRun, findPreviousRun, diffRuns, formatTrend, formatHistory } = require('../lib/history');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const linux = require('./fixtures/linux');
+
+// The Linux student after setting their Git identity
+const linuxFixed = extendFixture(linux, {
+  commands: {
+    'git config --global user.name': 'Alex Kim',
+    'git config --global user.email': 'akim@ocadu.ca',
+  },
+});
+
+test('runs are appended to the history file', () => {
+  const env = createFakeEnv(linux);
+  
+  saveRun(checkGit(createRun({ env })));
+  saveRun(checkGit(createRun({ env })));
+  
+  const history = loadHistory(env);
+  assert.strictEqual(history.length, 2);
+  assert.strictEqual(history[1].cwd, linux.cwd);
+  assert.deepStrictEqual(history[1].checks.find((check) => check.id === 'git.userName'), {
+    id: 'git.userName',
+    status: 'failure',
+    message: 'Git user.name is NOT configured',
+    criticality: 'CRITICAL',
+  });
+});
+
+test('only the latest runs are kept', () => {
+  const env = createFakeEnv(linux);
+  const run = checkGit(createRun({ env }));
+  
+  for (let i = 0; i < MAX_HISTORY + 3; i++) {
+    saveRun(run);
+  }
+  
+  assert.strictEqual(loadHistory(env).length, MAX_HISTORY);
+});
+
+test('the diff lists newly fixed and newly broken checks', () => {
+  const before = createHistoryEntry(checkGit(createRun({ env: createFakeEnv(linux) })));
+  const after = createHistoryEntry(checkGit(createRun({ env: createFakeEnv(linuxFixed) })));
+  
+  const changes = diffRuns(before, after);
+  assert.deepStrictEqual(changes.fixed.map((check) => check.id), ['git.userName', 'git.userEmail']);
+  assert.deepStrictEqual(changes.broken, []);
+  assert.ok(changes.passRate.to > changes.passRate.from);
+  
+  assert.deepStrictEqual(diffRuns(after, before).broken.map((check) => check.id), ['git.userName', 'git.userEmail']);
+});
+
+test('checks that share an id are matched by their message', () => {
+  const entry = (checks) => ({ generatedAt: '2025-09-01T10:00:00.000Z', summary: { passRate: 50 }, checks });
+  const before = entry([
+    { id: 'p5.sketch', status: 'failure', message: '1 sketch(es) have no setup() function' },
+    { id: 'p5.sketch', status: 'success', message: 'week2 defines setup()' },
+  ]);
+  const after = entry([
+    { id: 'p5.sketch', status: 'success', message: '1 sketch(es) have no setup() function' },
+    { id: 'p5.sketch', status: 'failure', message: 'week2 defines setup()' },
+  ]);
+  
+  const changes = diffRuns(before, after);
+  assert.deepStrictEqual(changes.fixed.map((check) => check.message), ['1 sketch(es) have no setup() function']);
+  assert.deepStrictEqual(changes.broken.map((check) => check.message), ['week2 defines setup()']);
+});
+
+test('the previous run is the latest from the same directory', () => {
+  const history = [
+    { cwd: '/home/student/atelier1', generatedAt: '2025-09-01T10:00:00.000Z' },
+    { cwd: '/home/student/other', generatedAt: '2025-09-02T10:00:00.000Z' },
+  ];
+  
+  assert.strictEqual(findPreviousRun(history, '/home/student/atelier1'), history[0]);
+  assert.strictEqual(findPreviousRun(history, '/home/student/new'), null);
+  assert.strictEqual(findPreviousRun([], '/home/student/new'), null);
+});
+
+test('trends and the history list are readable', () => {
+  assert.strictEqual(formatTrend({ from: 57, to: 71 }), '▲ 57% → 71% (+14%)');
+  assert.strictEqual(formatTrend({ from: 71, to: 57 }), '▼ 71% → 57% (-14%)');
+  assert.strictEqual(formatTrend({ from: 71, to: 71 }), '= 71% (no change)');
+  
+  const history = [
+    { ...createHistoryEntry(checkGit(createRun({ env: createFakeEnv(linux) }))), generatedAt: '2025-09-01T10:00:00.000Z' },
+    { ...createHistoryEntry(checkGit(createRun({ env: createFakeEnv(linuxFixed) }))), generatedAt: '2025-09-02T10:00:00.000Z' },
+  ];
+  const list = formatHistory(history).replace(/\x1b\[\d+m/g, '').split('\n');
+  
+  assert.strictEqual(list[0], 'Last 2 of 2 run(s)');
+  assert.match(list[4], /^2025-09-02 10:00\s+▲ \d+%/);
+  assert.match(list[5], /^2025-09-01 10:00\s+\d+%.*\/home\/student/);
+  assert.match(formatHistory([]), /No runs recorded yet/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, buildReport } = require('../lib/run');
+const { checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo } = require('../lib/checks');
+const { escapeHtml, groupFixSteps, renderHtmlReport, writeHtmlReport } = require('../lib/htmlReport');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const windows = require('./fixtures/windows');
+const macos = require('./fixtures/macos');
+
+/**
+ * Run every check against a fixture and render the report
+ */
+function reportFor(fixture) {
+  const run = createRun({ env: createFakeEnv(fixture) });
+  [checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo].forEach((check) => check(run));
+  return renderHtmlReport(buildReport(run));
+}
+
+test('fix steps are split into prose and command blocks', () => {
+  const blocks = groupFixSteps([
+    'To fix this:',
+    '  1. Open VS Code',
+    '  2. Press Ctrl+Shift+P',
+    '',
+    'Or run:',
+    '  git config --global user.name "Your Name"',
+    '  git config --global user.email "you@ocadu.ca"',
+  ]);
+  
+  assert.deepStrictEqual(blocks.map((block) => block.type), ['text', 'text', 'text', 'text', 'code']);
+  assert.deepStrictEqual(blocks[4].lines, [
+    'git config --global user.name "Your Name"',
+    'git config --global user.email "you@ocadu.ca"',
+  ]);
+});
+
+test('the report groups checks by section with badges', () => {
+  const html = reportFor(windows);
+  
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h2>Node\.js Installation<\/h2>/);
+  assert.match(html, /<h2>Git Installation &amp; Configuration<\/h2>/);
+  assert.match(html, /badge-failure">✗ Failed<\/span>\n<span>P5 Project Creator is NOT installed<\/span>/);
+  assert.match(html, /🔴 CRITICAL/);
+  assert.match(html, /<pre><code>&quot;C:\\Users\\student\\.*\\code\.cmd&quot; --install-extension ultamatum\.p5-project-creator<\/code><\/pre>/);
+});
+
+test('failures link to their guide page', () => {
+  const html = reportFor(windows);
+  
+  assert.ok(html.includes('href="https://github.com/DigitalFuturesOCADU/atelier1-fall2025/tree/main/guide/vsCodeInstallSetup.html"'));
+  assert.ok(html.includes('href="https://github.com/DigitalFuturesOCADU/atelier1-fall2025/tree/main/guide/repoSetup.html"'));
+});
+
+test('text from the environment is escaped', () => {
+  assert.strictEqual(escapeHtml('<b>"Tom & Jerry"</b>'), '&lt;b&gt;&quot;Tom &amp; Jerry&quot;&lt;/b&gt;');
+});
+
+test('the report is written through the env with guide links relative to it', () => {
+  const root = '/Users/student/Documents/GitHub/vsCodeSetup';
+  const env = createFakeEnv(extendFixture(macos, {
+    cwd: `${root}/vscode-setup-check`,
+    files: { [`${root}/guide/index.html`]: '<!DOCTYPE html>\n', [`${root}/guide/verifySetup.js`]: '' },
+  }));
+  const run = createRun({ env });
+  [checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo].forEach((check) => check(run));
+  
+  const reportPath = writeHtmlReport(run, 'reports/setup.html');
+  assert.strictEqual(reportPath, `${root}/vscode-setup-check/reports/setup.html`);
+  const html = env.fs.readFileSync(reportPath);
+  assert.match(html, /href="\.\.\/\.\.\/guide\/[A-Za-z]+\.html"/);
+  assert.ok(!html.includes('href="/guide/'));
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/config');
+const { planInit, applyInit, formatDiff } = require('../lib/init');
+const { parseJsonc } = require('../lib/settings');
+const { createFakeEnv } = require('./helpers/fakeEnv');
+
+const repo = '/home/student/atelier1';
+const config = loadConfig({ config: {} });
+
+/**
+ * An env for a repository with the given files (relative to it)
+ */
+function repoEnv(files = {}) {
+  return createFakeEnv({
+    platform: 'linux',
+    homedir: '/home/student',
+    cwd: repo,
+    files: Object.fromEntries(Object.entries(files).map(([file, content]) => [`${repo}/${file}`, content])),
+  });
+}
+
+test('an empty repository gets recommendations, settings and a .gitignore', () => {
+  const env = repoEnv({ 'index.html': '<html></html>' });
+  const plan = planInit(env, config);
+  
+  assert.deepStrictEqual(plan.map((entry) => [entry.file, entry.before]), [
+    ['.vscode/extensions.json', null],
+    ['.vscode/settings.json', null],
+    ['.gitignore', null],
+  ]);
+  
+  const written = applyInit(env, plan);
+  assert.strictEqual(written.length, 3);
+  const extensions = JSON.parse(env.fs.readFileSync(`${repo}/.vscode/extensions.json`));
+  assert.deepStrictEqual(extensions.recommendations, Object.keys(config.extensions.required));
+  assert.ok(extensions.unwantedRecommendations.includes('ms-vscode.live-server'));
+  assert.deepStrictEqual(JSON.parse(env.fs.readFileSync(`${repo}/.vscode/settings.json`)), config.workspaceSettings);
+  assert.match(env.fs.readFileSync(`${repo}/.gitignore`), /^# Operating system files\n\.DS_Store\n/);
+  
+  // A second run has nothing to add
+  assert.ok(planInit(env, config).every((entry) => entry.after === entry.before));
+});
+
+test('existing files are merged: their entries are kept and only missing ones added', () => {
+  const env = repoEnv({
+    '.vscode/extensions.json': '{\n    "recommendations": ["RitwickDey.LiveServer", "esbenp.prettier-vscode"]\n}\n',
+    '.vscode/settings.json': '{\n  // Bigger steps for this course\n  "editor.tabSize": 4,\n  "liveServer.settings.port": 5501,\n}\n',
+    '.gitignore': '/node_modules/\n**/.DS_Store\n.env\n',
+  });
+  const [extensions, settings, gitignore] = planInit(env, config);
+  
+  const recommendations = JSON.parse(extensions.after).recommendations;
+  assert.deepStrictEqual(recommendations.slice(0, 2), ['RitwickDey.LiveServer', 'esbenp.prettier-vscode']);
+  assert.strictEqual(recommendations.filter((id) => id.toLowerCase() === 'ritwickdey.liveserver').length, 1);
+  assert.match(extensions.after, /^ {4}"recommendations"/m);
+  
+  const merged = parseJsonc(settings.after);
+  assert.ok(settings.after.startsWith('{\n  // Bigger steps for this course\n  "editor.tabSize": 4,\n  "liveServer.settings.port": 5501,\n  "liveServer.settings.root": "/",\n'));
+  assert.strictEqual(merged['editor.tabSize'], 4);
+  assert.strictEqual(merged['liveServer.settings.port'], 5501);
+  assert.ok(!settings.added.includes('liveServer.settings.port'));
+  assert.ok(settings.added.includes('files.autoSave'));
+  
+  assert.deepStrictEqual(gitignore.added, ['Thumbs.db', 'desktop.ini', 'npm-debug.log*']);
+  assert.ok(gitignore.after.startsWith('/node_modules/\n**/.DS_Store\n.env\n\n# Operating system files\n'));
+});
+
+test('comments in JSON files are kept when entries are added', () => {
+  const env = repoEnv({
+    '.vscode/extensions.json': '{\n  "recommendations": [\n    // Everyone\n    "ritwickdey.liveserver", /* preview */\n  ],\n}\n',
+    '.vscode/settings.json': '/* Course settings */\n{\n  "files.autoSave": "off", // I save myself\n  "editor.tabSize": 2\n}\n',
+  });
+  const [extensions, settings] = planInit(env, config);
+  
+  assert.ok(extensions.after.startsWith('{\n  "recommendations": [\n    // Everyone\n    "ritwickdey.liveserver", /* preview */\n    "eamodio.gitlens",\n'));
+  assert.strictEqual(parseJsonc(extensions.after).recommendations.length, Object.keys(config.extensions.required).length);
+  assert.deepStrictEqual(parseJsonc(settings.after), { ...config.workspaceSettings, 'files.autoSave': 'off', 'editor.tabSize': 2 });
+  
+  // Only the last entry changes, to gain a comma
+  const diff = formatDiff(settings).split('\n');
+  assert.deepStrictEqual(diff.slice(3, 6), [' /* Course settings */', ' {', '   "files.autoSave": "off", // I save myself']);
+  assert.deepStrictEqual(diff.filter((line) => line.startsWith('-')), ['--- a/.vscode/settings.json', '-  "editor.tabSize": 2']);
+  assert.ok(diff.includes('+  "editor.tabSize": 2,'));
+});
+
+test('a file that cannot be parsed is left alone and the dry run diff shows the rest', () => {
+  const env = repoEnv({
+    '.vscode/settings.json': '{\n  "editor.tabSize": 2\n  "files.autoSave": "off"\n}\n',
+    '.gitignore': 'node_modules/\n.DS_Store\nThumbs.db\ndesktop.ini\nnpm-debug.log*\n',
+  });
+  const plan = planInit(env, config);
+  
+  assert.match(plan[1].error, /^line 3: /);
+  assert.strictEqual(plan[1].after, plan[1].before);
+  assert.deepStrictEqual(applyInit(env, plan).map((entry) => entry.file), ['.vscode/extensions.json', '.gitignore']);
+  
+  assert.strictEqual(formatDiff(plan[2]), [
+    '--- a/.gitignore',
+    '+++ b/.gitignore',
+    '@@ -3,3 +3,6 @@',
+    ' Thumbs.db',
+    ' desktop.ini',
+    ' npm-debug.log*',
+    '+',
+    '+# Secrets such as API keys',
+    '+.env',
+  ].join('\n'));
+  assert.strictEqual(formatDiff(plan[1]), '');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkLinks } = require('../lib/checks');
+const { extractReferences, checkSiteLinks } = require('../lib/links');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+
+const repo = macos.cwd;
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * The macOS student's repository with a sketch in week1/
+ */
+function withSketch(indexHtml, files = {}, commands = {}) {
+  return createFakeEnv(extendFixture(macos, {
+    files: {
+      [`${repo}/week1/index.html`]: indexHtml,
+      [`${repo}/week1/sketch.js`]: 'function setup() {}\n',
+      [`${repo}/week1/assets/Cat.png`]: '',
+      [`${repo}/libraries/p5.min.js`]: '',
+      ...files,
+    },
+    commands,
+  }));
+}
+
+test('relative src and href references are extracted with line numbers', () => {
+  const references = extractReferences([
+    '<!DOCTYPE html>',
+    '<link rel="stylesheet" href=\'style.css\'>',
+    '<!-- <script src="old.js"></script> -->',
+    '<script src="https://cdn.jsdelivr.net/npm/p5/lib/p5.js"></script>',
+    '<script src=sketch.js?v=2></script>',
+    '<a href="#top">Top</a> <a href="mailto:a@b.ca">Mail</a> <img src="my%20cat.png">',
+  ].join('\n'));
+  
+  assert.deepStrictEqual(references.map(({ value, target, line }) => [value, target, line]), [
+    ['style.css', 'style.css', 2],
+    ['sketch.js?v=2', 'sketch.js', 5],
+    ['my%20cat.png', 'my cat.png', 6],
+  ]);
+});
+
+test('broken references and case mismatches are found', () => {
+  const env = withSketch([
+    '<script src="../libraries/p5.min.js"></script>',
+    '<script src="Sketch.js"></script>',
+    '<img src="assets/cat.png">',
+    '<img src="assets/dog.png">',
+    '<a href="../">Home</a> <a href="../../outside.html">Out</a> <a href="/week1/">Week 1</a>',
+  ].join('\n'));
+  
+  const { files, references, broken, caseMismatches, rootRelative } = checkSiteLinks(env, repo);
+  assert.deepStrictEqual(files, ['index.html', 'week1/index.html']);
+  assert.strictEqual(references, 7);
+  assert.deepStrictEqual(broken.map(({ value, line, outside }) => [value, line, outside]), [
+    ['assets/dog.png', 4, false],
+    ['../../outside.html', 5, true],
+  ]);
+  assert.deepStrictEqual(caseMismatches.map(({ value, actual }) => [value, actual]), [
+    ['Sketch.js', 'week1/sketch.js'],
+    ['assets/cat.png', 'week1/assets/Cat.png'],
+  ]);
+  assert.deepStrictEqual(rootRelative.map(({ value, actual }) => [value, actual]), [['/week1/', './']]);
+});
+
+test('the links check records failures with the offending lines', () => {
+  const run = checkLinks(createRun({ env: withSketch('<script src="Sketch.js"></script>\n<script src="p5.js"></script>') }));
+  
+  const broken = findCheck(run, 'links.broken');
+  assert.strictEqual(broken.message, '1 broken reference(s) in HTML files');
+  assert.ok(broken.fix.includes('  week1/index.html:2  p5.js'));
+  
+  const caseCheck = findCheck(run, 'links.case');
+  assert.strictEqual(caseCheck.criticality, 'IMPORTANT');
+  assert.ok(caseCheck.fix.includes('  week1/index.html:1  Sketch.js  →  week1/sketch.js'));
+});
+
+test('a clean site passes and folders outside a repository are skipped', () => {
+  const run = checkLinks(createRun({ env: withSketch('<script src="sketch.js"></script>\n<img src="./assets/Cat.png">') }));
+  assert.strictEqual(findCheck(run, 'links').message, 'All 2 local reference(s) in 2 HTML file(s) resolve');
+  
+  const outside = checkLinks(createRun({ env: createFakeEnv(windows) }));
+  assert.strictEqual(findCheck(outside, 'links').status, 'skipped');
+});
+
+test('root-relative references are flagged unless the repository is a user site', () => {
+  const html = '<script src="/libraries/p5.min.js"></script>\n<script src="/week1/sketch.js?v=2"></script>';
+  const run = checkLinks(createRun({ env: withSketch(html) }));
+  
+  const check = findCheck(run, 'links.rootRelative');
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.message, '2 root-relative reference(s) 404 on a GitHub Pages project site');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.match(check.fix[0], /https:\/\/janesmith\.github\.io\/atelier1\//);
+  assert.ok(check.fix.includes('  week1/index.html:1  /libraries/p5.min.js  →  ../libraries/p5.min.js'));
+  assert.ok(check.fix.includes('  week1/index.html:2  /week1/sketch.js?v=2  →  sketch.js?v=2'));
+  assert.strictEqual(findCheck(run, 'links'), undefined);
+  
+  const userSite = withSketch(html, {}, { 'git remote get-url origin': 'https://github.com/janesmith/janesmith.github.io.git' });
+  const userRun = checkLinks(createRun({ env: userSite }));
+  assert.strictEqual(findCheck(userRun, 'links.rootRelative'), undefined);
+  assert.strictEqual(findCheck(userRun, 'links').status, 'success');
+});
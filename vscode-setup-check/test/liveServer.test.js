@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkLiveServer } = require('../lib/checks');
+const { parseJsonc, getUserSettingsPath } = require('../lib/settings');
+const { isEditorProcess } = require('../lib/liveServer');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+
+const repo = macos.cwd;
+const userSettings = '/Users/student/Library/Application Support/Code/User/settings.json';
+const workspaceSettings = `${repo}/.vscode/settings.json`;
+const lsof = 'lsof -nP -iTCP:5500 -sTCP:LISTEN -Fpc';
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Check Live Server for the macOS student with some changes
+ */
+function checkFor(overrides) {
+  return checkLiveServer(createRun({ env: createFakeEnv(extendFixture(macos, overrides)) }));
+}
+
+test('settings are parsed as JSON with comments from the editor\'s data folder', () => {
+  const settings = parseJsonc('{\n  // Live Server\n  "liveServer.settings.root": "/docs//", /* trailing */\n  "files.exclude": { "**/.git": true, },\n}\n');
+  assert.deepStrictEqual(settings, { 'liveServer.settings.root': '/docs//', 'files.exclude': { '**/.git': true } });
+  assert.throws(() => parseJsonc('{\n  "a": 1\n  "b": 2\n}'), (error) => error.line === 3);
+  
+  assert.strictEqual(getUserSettingsPath(createFakeEnv(macos)), userSettings);
+  assert.strictEqual(getUserSettingsPath(createFakeEnv(windows), 'code-insiders'), 'C:\\Users\\student\\AppData\\Roaming\\Code - Insiders\\User\\settings.json');
+  assert.strictEqual(getUserSettingsPath(createFakeEnv({ ...macos, platform: 'linux', homedir: '/home/student' }), 'codium'), '/home/student/.config/VSCodium/User/settings.json');
+});
+
+test('workspace settings win over user settings and the free port passes', () => {
+  const run = checkFor({
+    files: {
+      [userSettings]: '{ "liveServer.settings.port": 8080, "liveServer.settings.host": "localhost" }',
+      [workspaceSettings]: '{\n  "liveServer.settings.port": 5501,\n}\n',
+    },
+  });
+  
+  const settings = findCheck(run, 'liveServer.settings');
+  assert.strictEqual(settings.message, 'Live Server settings: port 5501, root /, host localhost');
+  assert.strictEqual(settings.details, 'port from .vscode/settings.json, host from user settings');
+  assert.strictEqual(findCheck(run, 'liveServer.port').message, 'Port 5501 is free for Live Server');
+  assert.deepStrictEqual(run.results.failed, []);
+});
+
+test('a port held by another program fails, one held by VS Code passes', () => {
+  const taken = checkFor({ ports: { 5500: 'EADDRINUSE' }, commands: { [lsof]: 'p4242\ncpython3' } });
+  const check = findCheck(taken, 'liveServer.port');
+  assert.strictEqual(check.message, 'Port 5500 is already in use');
+  assert.strictEqual(check.details, 'Held by python3 (PID 4242)');
+  assert.ok(check.fix.includes('  kill 4242'));
+  assert.ok(check.fix.includes('  "liveServer.settings.port": 5501'));
+  
+  const running = checkFor({ ports: { 5500: 'EADDRINUSE' }, commands: { [lsof]: 'p811\ncCode Helper (Plugin)' } });
+  assert.strictEqual(findCheck(running, 'liveServer.port').status, 'success');
+  
+  const onWindows = checkLiveServer(createRun({
+    env: createFakeEnv(extendFixture(windows, {
+      ports: { 5500: 'EADDRINUSE' },
+      commands: {
+        'netstat -ano -p tcp': '  Proto  Local Address          Foreign Address        State           PID\n  TCP    127.0.0.1:5500         0.0.0.0:0              LISTENING       9120',
+        'tasklist /FI "PID eq 9120" /FO CSV /NH': '"httpd.exe","9120","Console","1","12,345 K"',
+      },
+    })),
+  }));
+  assert.ok(findCheck(onWindows, 'liveServer.port').fix.includes('  taskkill /PID 9120'));
+  
+  const xcode = checkFor({ ports: { 5500: 'EADDRINUSE' }, commands: { [lsof]: 'p93\ncXcode' } });
+  assert.strictEqual(findCheck(xcode, 'liveServer.port').status, 'failure');
+  assert.strictEqual(isEditorProcess({ pid: 1, name: 'Code.exe' }), true);
+  assert.strictEqual(isEditorProcess({ pid: 1, name: 'codelite' }), false);
+});
+
+test('a host that is not a string is flagged and the default host is tested', () => {
+  const env = createFakeEnv(extendFixture(macos, { files: { [workspaceSettings]: '{ "liveServer.settings.host": 127001 }' } }));
+  const hosts = [];
+  env.probePort = (port, host) => {
+    hosts.push(host);
+    return 'free';
+  };
+  const run = checkLiveServer(createRun({ env }));
+  
+  const check = findCheck(run, 'liveServer.host');
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.message, 'liveServer.settings.host is not a host name: 127001');
+  assert.strictEqual(findCheck(run, 'liveServer.settings').message, 'Live Server settings: port 5500, root /, host 127.0.0.1');
+  assert.deepStrictEqual(hosts, ['127.0.0.1']);
+  assert.strictEqual(findCheck(run, 'liveServer.port').status, 'success');
+});
+
+test('a root outside the workspace or without the sketches is flagged', () => {
+  const outside = checkFor({ files: { [workspaceSettings]: '{ "liveServer.settings.root": "../shared" }' } });
+  assert.strictEqual(findCheck(outside, 'liveServer.root').message, 'liveServer.settings.root "../shared" points outside the workspace');
+  
+  const partial = checkFor({
+    files: {
+      [workspaceSettings]: '{ "liveServer.settings.root": "/week1" }',
+      [`${repo}/week1/index.html`]: '<!DOCTYPE html>\n',
+      [`${repo}/week2/index.html`]: '<!DOCTYPE html>\n',
+    },
+  });
+  const check = findCheck(partial, 'liveServer.root');
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.details, 'index.html, week2');
+});
+
+test('settings files with errors are reported by line', () => {
+  const run = checkFor({ files: { [workspaceSettings]: '{\n  "liveServer.settings.port": 5500\n  "editor.tabSize": 2\n}\n' } });
+  const check = findCheck(run, 'liveServer.settingsFile');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.match(check.fix[1], /^ {2}\/Users\/student\/Documents\/GitHub\/atelier1\/\.vscode\/settings\.json:3 {2}/);
+});
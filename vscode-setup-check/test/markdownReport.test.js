@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, buildReport } = require('../lib/run');
+const { checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo } = require('../lib/checks');
+const { escapeCell, fence, renderMarkdownReport } = require('../lib/markdownReport');
+const { createFakeEnv } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const linux = require('./fixtures/linux');
+
+/**
+ * Run every check against a fixture and render the report
+ */
+function reportFor(fixture) {
+  const run = createRun({ env: createFakeEnv(fixture) });
+  [checkNode, checkVSCode, checkExtensions, checkGit, checkLocalRepo].forEach((check) => check(run));
+  return renderMarkdownReport(buildReport(run));
+}
+
+test('every check is a row in the collapsible table', () => {
+  const markdown = reportFor(linux);
+  
+  assert.match(markdown, /<details>\n<summary>✅ \d+ passed · ❌ \d+ failed · ⚠️ \d+ warnings · \d+% complete<\/summary>/);
+  assert.match(markdown, /\| ❌ \| VS Code Installation \| VS Code is NOT installed \| 🔴 CRITICAL \| Required for development \|/);
+  assert.match(markdown, /\| ⏭️ \| VS Code Extensions \| Skipping extensions check - VS Code not found \|  \|/);
+  assert.ok(!markdown.includes('\x1b['));
+});
+
+test('fix commands are fenced code blocks', () => {
+  const markdown = reportFor(linux);
+  
+  assert.match(markdown, /#### ❌ Git user\.name is NOT configured \(🔴 CRITICAL\)/);
+  assert.ok(markdown.includes('```bash\ngit config --global user.name "Your Full Name"\n```'));
+});
+
+test('a clean run has no fix section', () => {
+  const markdown = reportFor(macos);
+  
+  assert.ok(markdown.includes('**🎉 Perfect! All automated checks passed!**'));
+  assert.ok(!markdown.includes('### How to fix'));
+});
+
+test('table cells and fences survive awkward text', () => {
+  assert.strictEqual(escapeCell('a | b\nc'), 'a \\| b<br>c');
+  assert.strictEqual(fence(['echo ```']), '````\necho ```\n````');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkLinks, checkP5Projects } = require('../lib/checks');
+const { findP5Projects } = require('../lib/p5');
+const { compareVersions } = require('../lib/version');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+
+const repo = macos.cwd;
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * The index.html P5 Project Creator generates, loading p5 from src
+ */
+function indexHtml(src) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    `  <script src="${src}"></script>`,
+    '  <script src="../libraries/p5.sound.min.js"></script>',
+    '</head>',
+    '<body>',
+    '  <script src="sketch.js"></script>',
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * Check the macOS student's repository with some files added
+ */
+function checkSketches(files, config) {
+  return checkP5Projects(createRun({ env: createFakeEnv(extendFixture(macos, { files })), config }));
+}
+
+test('p5 projects are found with their p5 version from a CDN or a local copy', () => {
+  const env = createFakeEnv(extendFixture(macos, {
+    files: {
+      [`${repo}/libraries/p5.min.js`]: '/*! p5.js v1.4.0 June 29, 2021 */\n!function(){}',
+      [`${repo}/libraries/p5.sound.min.js`]: '',
+      [`${repo}/week1/index.html`]: indexHtml('../libraries/p5.min.js'),
+      [`${repo}/week1/sketch.js`]: 'function setup() {\n  createCanvas(400, 400);\n}\n\n// function draw() {}\n',
+      [`${repo}/week2/index.html`]: indexHtml('https://cdn.jsdelivr.net/npm/p5@1.11.3/lib/p5.min.js'),
+      [`${repo}/week2/sketch.js`]: 'new p5((p) => {\n  p.setup = () => p.createCanvas(100, 100);\n  p.draw = function () {};\n});\n',
+    },
+  }));
+  
+  assert.deepStrictEqual(findP5Projects(env).map(({ folder, p5, sketchFiles, hasSetup, hasDraw }) => [folder, p5.version, p5.line, sketchFiles, hasSetup, hasDraw]), [
+    ['week1', '1.4.0', 4, ['week1/sketch.js'], true, false],
+    ['week2', '1.11.3', 4, ['week2/sketch.js'], true, true],
+  ]);
+  assert.ok(compareVersions('1.4.0', '1.11.0') < 0);
+  assert.strictEqual(compareVersions('v2.0', '2.0.0'), 0);
+});
+
+test('versions older than the course minimum are flagged with their line', () => {
+  const files = {
+    [`${repo}/libraries/p5.sound.min.js`]: '',
+    [`${repo}/week1/index.html`]: indexHtml('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js'),
+    [`${repo}/week1/sketch.js`]: 'function setup() {}\nfunction draw() {}\n',
+  };
+  
+  const run = checkSketches(files);
+  const check = findCheck(run, 'p5.version');
+  assert.strictEqual(check.message, '1 sketch(es) use p5.js older than 1.11.0');
+  assert.strictEqual(check.details, 'week1 (1.9.0)');
+  assert.ok(check.fix.includes('  week1/index.html:4  https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js'));
+  assert.strictEqual(findCheck(run, 'p5.sketch').status, 'success');
+  
+  const relaxed = checkSketches(files, { p5: { minVersion: '1.9' } });
+  assert.strictEqual(findCheck(relaxed, 'p5.version').message, 'p5.js 1.9 or newer');
+});
+
+test('missing setup() and library files fail', () => {
+  const run = checkSketches({
+    [`${repo}/week1/index.html`]: indexHtml('../libraries/p5.min.js'),
+    [`${repo}/week1/sketch.js`]: '// function setup() {}\nlet x = 0;\n',
+  });
+  
+  const sketch = findCheck(run, 'p5.sketch');
+  assert.strictEqual(sketch.status, 'failure');
+  assert.ok(sketch.fix.includes('  week1/index.html  loads week1/sketch.js'));
+  
+  const libraries = findCheck(run, 'p5.libraries');
+  assert.strictEqual(libraries.message, '2 library file(s) are missing');
+  assert.ok(libraries.fix.includes('  week1/index.html:5  ../libraries/p5.sound.min.js'));
+});
+
+test('library files the link check reported are not reported again', () => {
+  const run = createRun({ env: createFakeEnv(extendFixture(macos, {
+    files: {
+      [`${repo}/libraries/p5.min.js`]: '',
+      [`${repo}/week1/index.html`]: indexHtml('../libraries/p5.min.js'),
+      [`${repo}/week1/sketch.js`]: 'function setup() {}\nfunction draw() {}\n',
+    },
+  })) });
+  checkLinks(run);
+  checkP5Projects(run);
+  
+  assert.ok(findCheck(run, 'links.broken').fix.includes('  week1/index.html:5  ../libraries/p5.sound.min.js'));
+  assert.strictEqual(findCheck(run, 'p5.libraries'), undefined);
+  assert.deepStrictEqual(run.results.failed, ['Broken links']);
+});
+
+test('repositories without sketches, and folders outside a repository, are skipped', () => {
+  assert.strictEqual(findCheck(checkSketches({}), 'p5.projects').message, 'No p5.js sketches found');
+  
+  const outside = checkP5Projects(createRun({ env: createFakeEnv(windows) }));
+  assert.strictEqual(findCheck(outside, 'p5.projects').status, 'skipped');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkLocalRepo } = require('../lib/checks');
+const { getPagesBranches, getMissingIgnoreEntries, parseGitHubRemote, getPagesUrl } = require('../lib/repo');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+
+const repo = macos.cwd;
+const upstreamCommand = 'git rev-list --left-right --count @{upstream}...HEAD';
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Run the repository checks for the macOS student with some changes
+ */
+function checkRepo(overrides) {
+  return checkLocalRepo(createRun({ env: createFakeEnv(extendFixture(macos, overrides)) }));
+}
+
+test('a merge with conflicts is reported', () => {
+  const run = checkRepo({
+    files: { [`${repo}/.git/MERGE_HEAD`]: 'abc123\n' },
+    commands: { 'git status --porcelain': 'UU sketch.js\nM  index.html' },
+  });
+  
+  const operation = findCheck(run, 'repo.operation');
+  assert.strictEqual(operation.message, 'A merge is in progress');
+  assert.ok(operation.fix.includes('  git merge --abort'));
+  assert.strictEqual(findCheck(run, 'repo.conflicts').details, 'sketch.js');
+  assert.strictEqual(findCheck(run, 'repo.status').message, 'You have 2 uncommitted change(s)');
+});
+
+test('a detached HEAD fails, except in the middle of a rebase', () => {
+  const detached = checkRepo({ commands: { 'git branch --show-current': '' } });
+  assert.strictEqual(findCheck(detached, 'repo.branch').message, 'HEAD is detached (not on any branch)');
+  assert.strictEqual(findCheck(detached, 'repo.upstream'), undefined);
+  
+  const rebasing = checkRepo({
+    files: { [`${repo}/.git/rebase-merge/head-name`]: 'refs/heads/main\n' },
+    commands: { 'git branch --show-current': '' },
+  });
+  assert.strictEqual(findCheck(rebasing, 'repo.operation').message, 'A rebase is in progress');
+  assert.strictEqual(findCheck(rebasing, 'repo.branch'), undefined);
+});
+
+test('the branch is compared with the one the Pages workflow deploys', () => {
+  const run = checkRepo({ commands: { 'git branch --show-current': 'experiment' } });
+  const check = findCheck(run, 'repo.branch');
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.ok(check.fix.includes('  git merge experiment'));
+  
+  const workflow = [
+    'name: Deploy static content to Pages',
+    'on:',
+    '  push:',
+    '    branches:',
+    '      - "gh-pages"',
+    '  workflow_dispatch:',
+    'jobs:',
+    '  deploy:',
+    '    steps:',
+    '      - uses: actions/deploy-pages@v4',
+  ].join('\n');
+  const env = createFakeEnv(extendFixture(macos, { files: { [`${repo}/.github/workflows/static.yml`]: workflow } }));
+  assert.deepStrictEqual(getPagesBranches(env), ['gh-pages']);
+  assert.deepStrictEqual(getPagesBranches(createFakeEnv(macos)), ['main']);
+});
+
+test('commits to push or pull are counted against the upstream', () => {
+  const messageFor = (counts) => findCheck(checkRepo({ commands: { [upstreamCommand]: counts } }), 'repo.upstream').message;
+  
+  assert.strictEqual(messageFor('0\t0'), 'Up to date with origin/main');
+  assert.strictEqual(messageFor('0\t2'), '2 commit(s) not pushed to origin/main');
+  assert.strictEqual(messageFor('3\t0'), '3 commit(s) behind origin/main');
+  assert.strictEqual(messageFor('1\t2'), 'main and origin/main have diverged (2 to push, 1 to pull)');
+  
+  const unlinked = checkRepo({ commands: { 'git rev-parse --abbrev-ref --symbolic-full-name @{upstream}': undefined } });
+  assert.ok(findCheck(unlinked, 'repo.upstream').fix.includes('  git push -u origin main'));
+});
+
+test('large files and .gitignore entries are checked', () => {
+  const env = createFakeEnv(extendFixture(macos, {
+    files: { [`${repo}/.gitignore`]: '/node_modules/\n', [`${repo}/assets/intro.mp4`]: '' },
+    commands: { 'git ls-files -z --cached --others --exclude-standard': 'index.html\0assets/intro.mp4\0' },
+  }));
+  const { statSync } = env.fs;
+  env.fs = { ...env.fs, statSync: (filePath) => (filePath.endsWith('intro.mp4') ? { size: 150 * 1024 * 1024 } : statSync(filePath)) };
+  
+  const run = checkLocalRepo(createRun({ env }));
+  const large = findCheck(run, 'repo.largeFiles');
+  assert.strictEqual(large.details, 'assets/intro.mp4 (150.0 MB)');
+  assert.ok(large.fix.includes('  git rm --cached "assets/intro.mp4"'));
+  
+  assert.strictEqual(findCheck(run, 'repo.gitignore').message, '.gitignore does not list .DS_Store');
+  assert.deepStrictEqual(getMissingIgnoreEntries(createFakeEnv(extendFixture(macos, { files: { [`${repo}/.gitignore`]: undefined } }))).map((entry) => entry.entry), ['.DS_Store', 'node_modules/']);
+});
+
+test('the Pages URL is derived from HTTPS and SSH remotes', () => {
+  const urlFor = (remote) => getPagesUrl(parseGitHubRemote(remote));
+  
+  assert.strictEqual(urlFor('https://github.com/JaneSmith/atelier1.git'), 'https://janesmith.github.io/atelier1/');
+  assert.strictEqual(urlFor('git@github.com:janesmith/atelier1.git'), 'https://janesmith.github.io/atelier1/');
+  assert.strictEqual(urlFor('ssh://git@github.com/janesmith/atelier1'), 'https://janesmith.github.io/atelier1/');
+  assert.strictEqual(urlFor('git@github-school:janesmith/atelier1.git'), 'https://janesmith.github.io/atelier1/');
+  assert.strictEqual(urlFor('https://github.com/janesmith/JaneSmith.github.io'), 'https://janesmith.github.io/');
+  assert.strictEqual(parseGitHubRemote('git@gitlab.com:janesmith/atelier1.git'), null);
+  assert.deepStrictEqual(parseGitHubRemote('git@GitHub-School:janesmith/atelier1.git'), { owner: 'janesmith', repo: 'atelier1', protocol: 'ssh', host: 'github-school' });
+});
+
+test('sketch folders are listed with their Pages URLs', () => {
+  const run = checkRepo({
+    files: {
+      [`${repo}/index.html`]: undefined,
+      [`${repo}/week 1/index.html`]: '<!DOCTYPE html>\n',
+      [`${repo}/week2/bouncing-ball/index.html`]: '<!DOCTYPE html>\n',
+      [`${repo}/week2/bouncing-ball/sketch.js`]: 'function setup() {}\n',
+      [`${repo}/node_modules/p5/index.html`]: '<!DOCTYPE html>\n',
+    },
+  });
+  
+  const check = findCheck(run, 'repo.pagesUrl');
+  assert.strictEqual(check.message, 'GitHub Pages URL: https://janesmith.github.io/atelier1/');
+  assert.match(check.details, /shows 404/);
+  assert.deepStrictEqual(run.pages.sketches.map((sketch) => sketch.url), [
+    'https://janesmith.github.io/atelier1/week%201/',
+    'https://janesmith.github.io/atelier1/week2/bouncing-ball/',
+  ]);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun } = require('../lib/run');
+const { checkSettings } = require('../lib/checks');
+const { getUserSettingsPath, getActiveProfile } = require('../lib/settings');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const { captureOutput } = require('./helpers/output');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+
+const dataDir = '/Users/student/Library/Application Support/Code/User';
+const userSettings = `${dataDir}/settings.json`;
+const workspaceSettings = `${macos.cwd}/.vscode/settings.json`;
+const trustQuery = (state) => `sqlite3 -readonly "${state}" "SELECT value FROM ItemTable WHERE key = 'content.trust.model.key'"`;
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Check the settings of a fixture with some changes
+ */
+function checkFor(fixture, overrides) {
+  return checkSettings(createRun({ env: createFakeEnv(extendFixture(fixture, overrides)) }));
+}
+
+test('the user settings of the profile the folder opens with are read', () => {
+  const storage = {
+    userDataProfiles: [{ location: '-4c1f2a9e', name: 'Atelier' }, { location: '-7d3b0e15', name: 'Shared', useDefaultFlags: { settings: true } }],
+    profileAssociations: { workspaces: { [`file://${macos.cwd}`]: '-4c1f2a9e', 'file:///Users/student/Documents/notes': '-7d3b0e15' } },
+  };
+  const fixture = extendFixture(macos, {
+    files: {
+      [`${dataDir}/globalStorage/storage.json`]: JSON.stringify(storage),
+      [`${dataDir}/profiles/-4c1f2a9e/settings.json`]: '{\n  // Studio defaults\n  "files.autoSave": "onFocusChange",\n  "git.autofetch": true,\n}\n',
+    },
+  });
+  
+  assert.deepStrictEqual(getActiveProfile(createFakeEnv(fixture)), { name: 'Atelier', folder: `${dataDir}/profiles/-4c1f2a9e`, useDefaultSettings: false });
+  assert.strictEqual(getUserSettingsPath(createFakeEnv(fixture)), `${dataDir}/profiles/-4c1f2a9e/settings.json`);
+  assert.strictEqual(getUserSettingsPath(createFakeEnv({ ...fixture, cwd: '/Users/student/Documents/notes' })), userSettings);
+  
+  const run = checkSettings(createRun({ env: createFakeEnv(fixture) }));
+  assert.strictEqual(findCheck(run, 'settings.files.autoSave').message, 'files.autoSave: "onFocusChange"');
+  assert.strictEqual(findCheck(run, 'settings.git.autofetch').status, 'success');
+  assert.strictEqual(findCheck(run, 'settings.git.enableSmartCommit').status, 'warning');
+});
+
+test('settings that differ from the recommendation name the key and the file', () => {
+  const run = checkFor(macos, {
+    files: {
+      [userSettings]: '{ "git.enableSmartCommit": true, "git.autofetch": true }',
+      [workspaceSettings]: '{ "files.autoSave": "off", }',
+    },
+  });
+  
+  const autoSave = findCheck(run, 'settings.files.autoSave');
+  assert.strictEqual(autoSave.status, 'warning');
+  assert.strictEqual(autoSave.criticality, 'OPTIONAL');
+  assert.deepStrictEqual(autoSave.fix, ['Set this in .vscode/settings.json:', '  "files.autoSave": "afterDelay"']);
+  assert.strictEqual(findCheck(run, 'settings.git.enableSmartCommit').details, 'Set in user settings');
+  assert.strictEqual(findCheck(run, 'settings.terminal.integrated.defaultProfile.osx').status, 'success');
+  assert.deepStrictEqual(run.results.warnings, ['Setting: files.autoSave']);
+  
+  const missing = checkFor(macos, { files: { [userSettings]: '{ "terminal.integrated.defaultProfile.osx": "oh-my-zsh" }' } });
+  const terminal = findCheck(missing, 'settings.terminal.integrated.defaultProfile.osx');
+  assert.strictEqual(terminal.message, 'Default terminal profile "oh-my-zsh" does not exist');
+  assert.strictEqual(terminal.criticality, 'IMPORTANT');
+  assert.ok(terminal.fix.includes(`Remove "terminal.integrated.defaultProfile.osx" from ${userSettings}`));
+});
+
+test('Windows recommends Git Bash and flags a folder Workspace Trust has not trusted', () => {
+  const state = 'C:\\Users\\student\\AppData\\Roaming\\Code\\User\\globalStorage\\state.vscdb';
+  const trust = (folder) => JSON.stringify({ uriTrustInfo: [{ uri: { scheme: 'file', fsPath: folder, path: '/' }, trusted: true }] });
+  const fixture = extendFixture(windows, { cwd: 'C:\\Users\\student\\Documents\\GitHub\\atelier1', files: { [state]: '' } });
+  
+  const untrusted = checkFor(fixture, { commands: { [trustQuery(state)]: trust('c:\\Users\\student\\Downloads') } });
+  const check = findCheck(untrusted, 'settings.security.workspace.trust.enabled');
+  assert.strictEqual(check.status, 'warning');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.ok(check.fix.includes('  "security.workspace.trust.enabled": false'));
+  
+  const terminal = findCheck(untrusted, 'settings.terminal.integrated.defaultProfile.windows');
+  assert.strictEqual(terminal.message, 'No default terminal profile (PowerShell)');
+  assert.ok(terminal.fix.includes('  "terminal.integrated.defaultProfile.windows": "Git Bash"'));
+  
+  const trusted = checkFor(fixture, { commands: { [trustQuery(state)]: trust('c:\\Users\\student\\Documents\\GitHub') } });
+  assert.strictEqual(findCheck(trusted, 'settings.security.workspace.trust.enabled').message, 'This folder is trusted');
+  
+  // Without sqlite3 the copy in the database file may be stale: not judged
+  const withoutSqlite = checkFor(fixture, { files: { [state]: `SQLite format 3\0content.trust.model.key${trust('c:\\Users\\student\\Downloads')}\0` } });
+  const unknown = findCheck(withoutSqlite, 'settings.security.workspace.trust.enabled');
+  assert.strictEqual(unknown.status, 'success');
+  assert.strictEqual(unknown.details, 'Trusted folders could not be read');
+});
+
+test('the text output names the key, the recommended value and the criticality', () => {
+  const text = captureOutput(() => checkSettings(createRun({ env: createFakeEnv(macos), silent: false })));
+  
+  assert.match(text, /⚠ Auto Save is off/);
+  assert.match(text, /Criticality: OPTIONAL/);
+  assert.match(text, new RegExp(`Set this in ${userSettings}:`));
+  assert.match(text, /"files\.autoSave": "afterDelay"/);
+  assert.match(text, /"git\.autofetch": true/);
+});
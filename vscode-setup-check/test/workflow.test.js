@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRun, getExitCode } = require('../lib/run');
+const { checkPagesWorkflow } = require('../lib/checks');
+const { parseYaml, lineOf } = require('../lib/yaml');
+const { matchesBranch } = require('../lib/workflow');
+const { createFakeEnv, extendFixture } = require('./helpers/fakeEnv');
+const macos = require('./fixtures/macos');
+const windows = require('./fixtures/windows');
+
+const repo = macos.cwd;
+const workflowPath = `${repo}/.github/workflows/static.yml`;
+const staticWorkflow = macos.files[workflowPath];
+
+/**
+ * Find the recorded check with the given id
+ */
+function findCheck(run, id) {
+  return run.results.checks.find((check) => check.id === id);
+}
+
+/**
+ * Check the Pages workflow of the macOS student's repository with some changes
+ */
+function checkWorkflow(overrides) {
+  return checkPagesWorkflow(createRun({ env: createFakeEnv(extendFixture(macos, overrides)) }));
+}
+
+test('workflow YAML is parsed with the line of every key and item', () => {
+  const workflow = parseYaml(staticWorkflow);
+  assert.deepStrictEqual(workflow.on.push.branches, ['main']);
+  assert.strictEqual(workflow.on.workflow_dispatch, null);
+  assert.strictEqual(workflow.jobs.deploy.steps[2].with.path, '.');
+  assert.strictEqual(lineOf(workflow, 'permissions'), 13);
+  assert.strictEqual(lineOf(workflow.jobs.deploy.steps, 3), 41);
+  
+  const script = parseYaml('steps:\n- run: |\n    npm ci\n    npm test\n  name: "Test: all"\n');
+  assert.deepStrictEqual(script.steps, [{ run: 'npm ci\nnpm test\n', name: 'Test: all' }]);
+  assert.throws(() => parseYaml('on:\n\tpush:\n'), /line 2: Tabs cannot be used for indentation/);
+});
+
+test('the Static HTML workflow deploys main', () => {
+  const check = findCheck(checkWorkflow({}), 'pages.workflow');
+  assert.strictEqual(check.status, 'success');
+  assert.strictEqual(check.message, '.github/workflows/static.yml deploys main to GitHub Pages');
+  assert.strictEqual(check.details, 'Publishes the whole repository');
+});
+
+test('pushes from a branch the workflow does not list are reported by line', () => {
+  const run = checkWorkflow({ commands: { 'git branch --show-current': 'dev' } });
+  const check = findCheck(run, 'pages.workflow');
+  assert.strictEqual(check.criticality, 'IMPORTANT');
+  assert.ok(check.fix.includes('  .github/workflows/static.yml:7  Pushes to dev do not trigger the workflow (branches: main)'));
+  
+  assert.strictEqual(matchesBranch(['main', 'week-*'], 'week-3'), true);
+  assert.strictEqual(matchesBranch(['**', '!drafts/*'], 'drafts/idea'), false);
+  assert.strictEqual(matchesBranch(['feature/*'], 'feature/a/b'), false);
+});
+
+test('missing permissions, steps and sketch folders are listed in line order', () => {
+  const workflow = staticWorkflow
+    .replace('  id-token: write', '  id-token: read')
+    .replace('      - name: Checkout\n        uses: actions/checkout@v4\n', '')
+    .replace('path: \'.\'', 'path: ./week1/');
+  const run = checkWorkflow({
+    files: {
+      [workflowPath]: workflow,
+      [`${repo}/week1/index.html`]: '<!DOCTYPE html>\n',
+      [`${repo}/week2/index.html`]: '<!DOCTYPE html>\n',
+    },
+  });
+  
+  const check = findCheck(run, 'pages.workflow');
+  assert.strictEqual(check.message, '.github/workflows/static.yml will not deploy main correctly');
+  assert.deepStrictEqual(check.fix.filter((line) => line.startsWith('  .github')), [
+    '  .github/workflows/static.yml:16  id-token is "read" but needs to be "write"',
+    '  .github/workflows/static.yml:34  Job "deploy" uploads without an actions/checkout step first, so the upload is empty',
+    '  .github/workflows/static.yml:38  The artifact path "./week1/" leaves out index.html, week2',
+  ]);
+});
+
+test('valid YAML outside the parsed subset is unchecked, not broken', () => {
+  for (const text of ['branches: [main,\n  dev]\n', 'name: Build\n  and test\n', 'env: &env\n  CI: 1\n', 'name: "Build\n  and test"\n']) {
+    assert.throws(() => parseYaml(text), (error) => error.unsupported === true, text);
+  }
+  assert.throws(() => parseYaml('on:\n  push: x\n    branches: main\n'), (error) => error.unsupported === false);
+  
+  const lint = 'on:\n  push:\n    branches: [main,\n      dev]\njobs:\n  lint:\n    runs-on: ubuntu-latest\n    steps:\n      - run: npm run lint\n          -- --fix\n';
+  const other = checkWorkflow({ files: { [`${repo}/.github/workflows/lint.yml`]: lint } });
+  assert.strictEqual(findCheck(other, 'pages.workflow').status, 'success');
+  assert.strictEqual(findCheck(other, 'pages.workflow.syntax'), undefined);
+  assert.strictEqual(getExitCode(other), 0);
+  
+  const pages = checkWorkflow({ files: { [workflowPath]: staticWorkflow.replace('  pages: write', '  pages: &write write') } });
+  const unchecked = findCheck(pages, 'pages.workflow.unchecked');
+  assert.strictEqual(unchecked.status, 'warning');
+  assert.strictEqual(unchecked.criticality, null);
+  assert.strictEqual(unchecked.details, 'Uses YAML this checker does not read: .github/workflows/static.yml:15  Anchors, aliases and tags are not supported: &write write');
+  assert.strictEqual(findCheck(pages, 'pages.workflow'), undefined);
+  assert.strictEqual(getExitCode(pages), 0);
+});
+
+test('a missing or unreadable workflow fails, outside a repository it is skipped', () => {
+  const missing = findCheck(checkWorkflow({ files: { [workflowPath]: undefined } }), 'pages.workflow');
+  assert.strictEqual(missing.message, 'No workflow deploys to GitHub Pages');
+  assert.ok(missing.fix.includes('  git pull'));
+  
+  const invalid = checkWorkflow({ files: { [workflowPath]: staticWorkflow.replace('  pages: write', '\tpages: write') } });
+  assert.ok(findCheck(invalid, 'pages.workflow.syntax').fix.includes('  .github/workflows/static.yml:15  Tabs cannot be used for indentation'));
+  assert.strictEqual(findCheck(invalid, 'pages.workflow'), undefined);
+  
+  const outside = checkPagesWorkflow(createRun({ env: createFakeEnv(windows) }));
+  assert.strictEqual(findCheck(outside, 'pages.workflow').status, 'skipped');
+});